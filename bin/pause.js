@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+import { runCli } from '../src/cli.js';
+
+runCli(process.argv.slice(2))
+  .then((exitCode) => { process.exitCode = exitCode; })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
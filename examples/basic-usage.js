@@ -80,12 +80,14 @@ async function run() {
   
   try {
     console.log('\nRunning task for the first time (expecting AI correction for logic):');
-    const result4 = await pause.run(
-      taskId,
-      taskDesc,
-      originalFaultyFn,
-      3 
-    );
+    // Without a contract the wrong result (27) would be returned as is; the examples make it a correctable failure
+    const result4 = await pause.run({
+      id: taskId,
+      description: taskDesc,
+      fn: originalFaultyFn,
+      args: [3],
+      contract: { examples: [{ input: [2], output: 4 }, { input: [3], output: 9 }] }
+    });
     console.log(`Result 4 (First run, AI corrected for logic): ${result4}`); 
 
     console.log('\nRunning task for the second time (expecting DB version):');
@@ -93,6 +95,7 @@ async function run() {
       taskId, 
       taskDesc, 
       originalFaultyFn, 
+      {},
       4 
     );
     console.log(`Result 5 (Second run, from DB): ${result5}`); 
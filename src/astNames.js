@@ -0,0 +1,98 @@
+// Node types that start a function scope
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+/**
+ * Collects the names bound by a declaration pattern (`a`, `{ a, b: [c] }`, `...rest`, `a = 1`).
+ * @param {Object|null} pattern - The pattern node.
+ * @param {Set<string>} names - Receives the names.
+ */
+function collectPatternNames(pattern, names) {
+  if (!pattern) return;
+  switch (pattern.type) {
+    case 'Identifier':
+      names.add(pattern.name);
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach(property => collectPatternNames(property.type === 'RestElement' ? property : property.value, names));
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach(element => collectPatternNames(element, names));
+      break;
+    case 'AssignmentPattern':
+      collectPatternNames(pattern.left, names);
+      break;
+    case 'RestElement':
+      collectPatternNames(pattern.argument, names);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Collects `var` and function declarations hoisted to a function body, without entering nested functions.
+ * @param {Object} node - The node to search.
+ * @param {Set<string>} names - Receives the names.
+ */
+function collectHoistedNames(node, names) {
+  if (!node || typeof node.type !== 'string') return;
+  if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+    node.declarations.forEach(declarator => collectPatternNames(declarator.id, names));
+  }
+  if (node.type === 'FunctionDeclaration') {
+    if (node.id) names.add(node.id.name);
+    return;
+  }
+  if (FUNCTION_TYPES.has(node.type)) return;
+  for (const key of Object.keys(node)) {
+    const child = node[key];
+    if (Array.isArray(child)) child.forEach(item => collectHoistedNames(item, names));
+    else if (child && typeof child.type === 'string') collectHoistedNames(child, names);
+  }
+}
+
+/**
+ * Collects the block-scoped declarations (`let`, `const`, `class`, functions) directly inside a list of statements.
+ * @param {Object[]} statements - The statements.
+ * @param {Set<string>} names - Receives the names.
+ */
+function collectLexicalNames(statements, names) {
+  for (const statement of statements) {
+    if (statement.type === 'VariableDeclaration' && statement.kind !== 'var') {
+      statement.declarations.forEach(declarator => collectPatternNames(declarator.id, names));
+    } else if ((statement.type === 'ClassDeclaration' || statement.type === 'FunctionDeclaration') && statement.id) {
+      names.add(statement.id.name);
+    }
+  }
+}
+
+/**
+ * Returns the names a node declares for its descendants.
+ * @param {Object} node - A function, block, loop, catch clause, switch or class node.
+ * @returns {Set<string>} - The declared names.
+ */
+function declaredNames(node) {
+  const names = new Set();
+  if (FUNCTION_TYPES.has(node.type)) {
+    node.params.forEach(param => collectPatternNames(param, names));
+    if (node.type === 'FunctionExpression' && node.id) names.add(node.id.name);
+    if (node.type !== 'ArrowFunctionExpression') names.add('arguments');
+    if (node.body.type === 'BlockStatement') collectHoistedNames(node.body, names);
+  } else if (node.type === 'BlockStatement' || node.type === 'Program' || node.type === 'StaticBlock') {
+    collectLexicalNames(node.body, names);
+  } else if (node.type === 'SwitchStatement') {
+    node.cases.forEach(switchCase => collectLexicalNames(switchCase.consequent, names));
+  } else if (node.type === 'ForStatement' || node.type === 'ForInStatement' || node.type === 'ForOfStatement') {
+    const declaration = node.type === 'ForStatement' ? node.init : node.left;
+    if (declaration && declaration.type === 'VariableDeclaration') {
+      declaration.declarations.forEach(declarator => collectPatternNames(declarator.id, names));
+    }
+  } else if (node.type === 'CatchClause') {
+    collectPatternNames(node.param, names);
+  } else if (node.type === 'ClassExpression' && node.id) {
+    names.add(node.id.name);
+  }
+  return names;
+}
+
+export { collectPatternNames, declaredNames };
@@ -0,0 +1,128 @@
+/**
+ * Per-block circuit breaker for stored versions and AI corrections.
+ *
+ * A stored version that fails `failureThreshold` times in a row is quarantined for `cooldownMs`:
+ * it is not run, and calls go straight to the fallback chain. Likewise, once `failureThreshold`
+ * corrections of a block have failed in a row, the breaker of the block opens and no LLM calls are
+ * made for it for `cooldownMs`. After the cool-down one more attempt is allowed; if it fails too,
+ * the breaker opens again right away, and a success closes it.
+ *
+ * State is kept in memory. Share one instance between several `Pause` instances to give them a common view.
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} [options={}] - Breaker thresholds.
+   * @param {number} [options.failureThreshold=3] - Consecutive failures after which a version is quarantined or a block's breaker opens.
+   * @param {number} [options.cooldownMs=300000] - How long a quarantine or an open breaker lasts.
+   */
+  constructor(options = {}) {
+    this.failureThreshold = typeof options.failureThreshold === 'number' ? options.failureThreshold : 3;
+    this.cooldownMs = typeof options.cooldownMs === 'number' ? options.cooldownMs : 5 * 60 * 1000;
+    this._versions = new Map();
+    this._blocks = new Map();
+  }
+
+  /**
+   * Checks whether the LLM may be asked to correct a block.
+   * @param {string} id - The unique identifier for the code block.
+   * @returns {string|null} - Why no correction may be made, or null if it may.
+   */
+  check(id) {
+    const state = this._blocks.get(id);
+    if (!state || state.openUntil === null || state.openUntil <= Date.now()) return null;
+    return `circuit breaker open after ${state.failures} failed corrections, until ${new Date(state.openUntil).toISOString()}`;
+  }
+
+  /**
+   * Records a failed correction of a block.
+   * @param {string} id - The unique identifier for the code block.
+   * @returns {number|null} - The time (ms since epoch) until which the breaker is now open, or null if it stays closed.
+   */
+  recordCorrectionFailure(id) {
+    return this._recordFailure(this._blocks, id);
+  }
+
+  /**
+   * Records a successful correction of a block, closing its breaker.
+   * @param {string} id - The unique identifier for the code block.
+   * @returns {boolean} - Whether the breaker had failures recorded (and is now reset).
+   */
+  recordCorrectionSuccess(id) {
+    return this._blocks.delete(id);
+  }
+
+  /**
+   * Checks whether a stored version is quarantined.
+   * @param {string} id - The unique identifier for the code block.
+   * @param {number} version - The version number.
+   * @returns {boolean} - Whether the version must not be run.
+   */
+  isQuarantined(id, version) {
+    const state = this._versions.get(`${id}@${version}`);
+    return Boolean(state && state.openUntil !== null && state.openUntil > Date.now());
+  }
+
+  /**
+   * Records a failed run of a stored version.
+   * @param {string} id - The unique identifier for the code block.
+   * @param {number} version - The version number.
+   * @returns {number|null} - The time (ms since epoch) until which the version is now quarantined, or null if it is not.
+   */
+  recordVersionFailure(id, version) {
+    return this._recordFailure(this._versions, `${id}@${version}`);
+  }
+
+  /**
+   * Records a successful run of a stored version, lifting any quarantine.
+   * @param {string} id - The unique identifier for the code block.
+   * @param {number} version - The version number.
+   */
+  recordVersionSuccess(id, version) {
+    this._versions.delete(`${id}@${version}`);
+  }
+
+  /**
+   * Returns the breaker state of every block with recorded failures.
+   * @returns {Object} - `{ [id]: { failures, openUntil, quarantined: { [version]: until } } }` with ISO timestamps.
+   */
+  stats() {
+    const now = Date.now();
+    const blocks = {};
+    const blockState = (id) => {
+      blocks[id] = blocks[id] || { failures: 0, openUntil: null, quarantined: {} };
+      return blocks[id];
+    };
+    for (const [id, state] of this._blocks) {
+      Object.assign(blockState(id), {
+        failures: state.failures,
+        openUntil: state.openUntil !== null && state.openUntil > now ? new Date(state.openUntil).toISOString() : null
+      });
+    }
+    for (const [key, state] of this._versions) {
+      if (state.openUntil === null || state.openUntil <= now) continue;
+      const separator = key.lastIndexOf('@');
+      blockState(key.slice(0, separator)).quarantined[key.slice(separator + 1)] = new Date(state.openUntil).toISOString();
+    }
+    return blocks;
+  }
+
+  // --- Private Helper Methods ---
+
+  /**
+   * Counts a consecutive failure and opens the entry once the threshold is reached.
+   * @private
+   * @param {Map<string, Object>} states - Block or version states.
+   * @param {string} key - The block ID or `id@version` key.
+   * @returns {number|null} - The time until which the entry is open, if this failure opened it.
+   */
+  _recordFailure(states, key) {
+    const state = states.get(key) || { failures: 0, openUntil: null };
+    state.failures++;
+    states.set(key, state);
+    if (state.failures < this.failureThreshold) return null;
+    state.openUntil = Date.now() + this.cooldownMs;
+    return state.openUntil;
+  }
+}
+
+export default CircuitBreaker;
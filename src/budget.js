@@ -0,0 +1,248 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tokens reserved for an LLM call before any call has reported its usage
+const DEFAULT_ESTIMATED_TOKENS = 1000;
+
+// USD per million tokens. Models are matched by the longest key that prefixes the model name.
+const DEFAULT_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 }
+};
+
+/**
+ * Creates an empty usage counter.
+ * @returns {Object} - The counter.
+ */
+function createUsage() {
+  return { corrections: 0, skipped: 0, tokens: { input: 0, output: 0, total: 0 }, cost: 0 };
+}
+
+/**
+ * Tracks token usage and cost of AI corrections and enforces correction budgets.
+ *
+ * Reservations and checks are synchronous, so limits hold across concurrent `run()` calls in the
+ * same process. Each LLM call reserves its estimated usage when it passes the check (see `reserveCall()`),
+ * and the reservation counts against `maxTokensPerDay` and `maxCost` until the actual usage is recorded,
+ * so concurrent corrections cannot all pass the check and overshoot together.
+ * Share one instance between several `Pause` instances to give them a common budget.
+ */
+class CorrectionBudget {
+  /**
+   * @param {Object} [options={}] - Budget limits. Every limit is off unless set.
+   * @param {number} [options.maxCorrectionsPerBlock] - Maximum corrections started for one block within `correctionWindowMs`.
+   * @param {number} [options.correctionWindowMs=3600000] - Time window of `maxCorrectionsPerBlock`.
+   * @param {number} [options.maxTokensPerDay] - Maximum tokens used by corrections within the last 24 hours.
+   * @param {number} [options.maxCost] - Maximum total spend in USD, computed from `pricing`.
+   * @param {Object<string, {input: number, output: number}>} [options.pricing] - USD per million input/output tokens by model name, merged over the built-in prices. Tokens of unpriced models cost nothing.
+   * @param {number} [options.estimatedTokensPerCall] - Tokens reserved for an LLM call in progress, priced at the higher of the input
+   *   and output price. Defaults to the largest usage of one call recorded so far (1000 before the first).
+   */
+  constructor(options = {}) {
+    this.maxCorrectionsPerBlock = typeof options.maxCorrectionsPerBlock === 'number' ? options.maxCorrectionsPerBlock : null;
+    this.correctionWindowMs = typeof options.correctionWindowMs === 'number' ? options.correctionWindowMs : 60 * 60 * 1000;
+    this.maxTokensPerDay = typeof options.maxTokensPerDay === 'number' ? options.maxTokensPerDay : null;
+    this.maxCost = typeof options.maxCost === 'number' ? options.maxCost : null;
+    this.pricing = { ...DEFAULT_PRICING, ...options.pricing };
+    this._totals = createUsage();
+    this._blocks = new Map();
+    this._correctionStarts = new Map();
+    this._tokenLog = [];
+    this.estimatedTokensPerCall = typeof options.estimatedTokensPerCall === 'number' ? options.estimatedTokensPerCall : null;
+    this._largestCall = 0;
+    this._reservations = new Set();
+  }
+
+  /**
+   * Checks the instance-wide limits (tokens per day and spend).
+   * @returns {string|null} - Why no more LLM calls may be made, or null if they may.
+   */
+  check() {
+    // Usage reserved by LLM calls in progress counts as used
+    const reserved = this._reserved();
+    if (this.maxCost !== null && this._totals.cost + reserved.cost >= this.maxCost) {
+      const inProgress = reserved.cost > 0 ? `, $${reserved.cost.toFixed(4)} reserved by calls in progress` : '';
+      return `spend cap of $${this.maxCost} reached ($${this._totals.cost.toFixed(4)} spent${inProgress})`;
+    }
+    if (this.maxTokensPerDay !== null) {
+      const tokensToday = this._tokensSince(Date.now() - DAY_MS);
+      if (tokensToday + reserved.tokens >= this.maxTokensPerDay) {
+        const inProgress = reserved.tokens > 0 ? `, ${reserved.tokens} reserved by calls in progress` : '';
+        return `daily token budget of ${this.maxTokensPerDay} reached (${tokensToday} tokens in the last 24 hours${inProgress})`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reserves the estimated usage of one LLM call if the instance-wide limits allow it.
+   * The reservation counts against the limits until it is passed to `record()` or `release()`.
+   * @param {string|null} model - The model name, used to price the reservation.
+   * @returns {{denial: string|null, reservation: Object|null}} - Why no more LLM calls may be made, or the reservation.
+   */
+  reserveCall(model) {
+    const denial = this.check();
+    if (denial) return { denial, reservation: null };
+    const tokens = this.estimatedTokensPerCall !== null ? this.estimatedTokensPerCall : (this._largestCall || DEFAULT_ESTIMATED_TOKENS);
+    const price = this._priceFor(model);
+    const reservation = { tokens, cost: price ? tokens * Math.max(price.input, price.output) / 1e6 : 0 };
+    this._reservations.add(reservation);
+    return { denial: null, reservation };
+  }
+
+  /**
+   * Releases a reservation without recording usage, for example when the LLM call failed.
+   * @param {Object|null} reservation - The reservation returned by `reserveCall()`.
+   * @returns {void}
+   */
+  release(reservation) {
+    this._reservations.delete(reservation);
+  }
+
+  /**
+   * Reserves one correction of a block if every limit allows it.
+   * @param {string} id - The unique identifier for the code block.
+   * @returns {string|null} - Why the correction is not allowed, or null if it was reserved.
+   */
+  reserve(id) {
+    const denial = this.check() || this._checkBlock(id);
+    if (denial) {
+      this._blockUsage(id).skipped++;
+      this._totals.skipped++;
+      return denial;
+    }
+    const now = Date.now();
+    this._correctionStarts.set(id, [...this._recentStarts(id, now), now]);
+    const usage = this._blockUsage(id);
+    usage.corrections++;
+    usage.lastCorrectionAt = new Date(now).toISOString();
+    this._totals.corrections++;
+    return null;
+  }
+
+  /**
+   * Records the token usage and cost of one LLM response.
+   * @param {string} id - The unique identifier for the code block.
+   * @param {string|null} model - The model name, used to look up prices.
+   * @param {{input: number, output: number, total: number}} tokens - The token usage reported by the provider.
+   * @param {Object|null} [reservation=null] - The reservation of the call (see `reserveCall()`), replaced by the actual usage.
+   * @returns {{input: number, output: number, total: number, cost: number}} - The usage of this response.
+   */
+  record(id, model, tokens, reservation = null) {
+    this.release(reservation);
+    this._largestCall = Math.max(this._largestCall, tokens.total);
+    const price = this._priceFor(model);
+    const cost = price ? (tokens.input * price.input + tokens.output * price.output) / 1e6 : 0;
+    for (const usage of [this._totals, this._blockUsage(id)]) {
+      usage.tokens.input += tokens.input;
+      usage.tokens.output += tokens.output;
+      usage.tokens.total += tokens.total;
+      usage.cost += cost;
+    }
+    if (tokens.total > 0) {
+      this._tokenLog.push({ at: Date.now(), tokens: tokens.total });
+    }
+    return { ...tokens, cost };
+  }
+
+  /**
+   * Returns the usage counters.
+   * @returns {Object} - Totals (`corrections`, `skipped`, `tokens`, `cost`, `tokensLast24h`) and the same counters per block under `blocks`.
+   */
+  stats() {
+    const blocks = {};
+    for (const [id, usage] of this._blocks) {
+      blocks[id] = { ...usage, tokens: { ...usage.tokens } };
+    }
+    return {
+      ...this._totals,
+      tokens: { ...this._totals.tokens },
+      tokensLast24h: this._tokensSince(Date.now() - DAY_MS),
+      blocks
+    };
+  }
+
+  // --- Private Helper Methods ---
+
+  /**
+   * Sums the usage reserved by LLM calls in progress.
+   * @private
+   * @returns {{tokens: number, cost: number}} - The reserved tokens and cost.
+   */
+  _reserved() {
+    let tokens = 0;
+    let cost = 0;
+    for (const reservation of this._reservations) {
+      tokens += reservation.tokens;
+      cost += reservation.cost;
+    }
+    return { tokens, cost };
+  }
+
+  /**
+   * Checks the per-block correction limit.
+   * @private
+   * @param {string} id - The unique identifier for the code block.
+   * @returns {string|null} - Why the correction is not allowed, or null.
+   */
+  _checkBlock(id) {
+    if (this.maxCorrectionsPerBlock === null) return null;
+    const starts = this._recentStarts(id, Date.now());
+    if (starts.length >= this.maxCorrectionsPerBlock) {
+      return `${starts.length} correction(s) of block ID: ${id} within the last ${this.correctionWindowMs}ms (limit ${this.maxCorrectionsPerBlock})`;
+    }
+    return null;
+  }
+
+  /**
+   * Returns the correction start times of a block within the current window.
+   * @private
+   * @param {string} id - The unique identifier for the code block.
+   * @param {number} now - The current time.
+   * @returns {number[]} - The start times.
+   */
+  _recentStarts(id, now) {
+    return (this._correctionStarts.get(id) || []).filter(at => at > now - this.correctionWindowMs);
+  }
+
+  /**
+   * Sums the tokens used since a point in time and drops older entries.
+   * @private
+   * @param {number} since - The start of the period.
+   * @returns {number} - The tokens used.
+   */
+  _tokensSince(since) {
+    this._tokenLog = this._tokenLog.filter(entry => entry.at > since);
+    return this._tokenLog.reduce((sum, entry) => sum + entry.tokens, 0);
+  }
+
+  /**
+   * Returns (creating if needed) the usage counters of a block.
+   * @private
+   * @param {string} id - The unique identifier for the code block.
+   * @returns {Object} - The counters.
+   */
+  _blockUsage(id) {
+    if (!this._blocks.has(id)) {
+      this._blocks.set(id, { ...createUsage(), lastCorrectionAt: null });
+    }
+    return this._blocks.get(id);
+  }
+
+  /**
+   * Looks up the price of a model by the longest matching prefix.
+   * @private
+   * @param {string|null} model - The model name.
+   * @returns {{input: number, output: number}|null} - USD per million tokens, or null if unknown.
+   */
+  _priceFor(model) {
+    if (!model) return null;
+    const key = Object.keys(this.pricing)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return key ? this.pricing[key] : null;
+  }
+}
+
+export default CorrectionBudget;
@@ -0,0 +1,181 @@
+const ERROR_CLASSES = ['defect', 'transient', 'input', 'fatal'];
+
+const ACTIONS = ['correct', 'retry', 'patch', 'rethrow'];
+
+const DEFAULT_POLICIES = {
+  defect: 'correct',
+  transient: 'retry',
+  input: 'patch',
+  fatal: 'rethrow'
+};
+
+// Network and system errors that usually go away when the operation is repeated
+const TRANSIENT_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EBUSY',
+  'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT', 'UND_ERR_SOCKET'
+];
+
+const TRANSIENT_STATUSES = [408, 425, 429, 502, 503, 504];
+
+const TRANSIENT_MESSAGE = /rate limit|too many requests|socket hang up|temporarily unavailable|service unavailable|try again later/i;
+
+// Errors no code change can fix: resources, permissions and credentials
+const FATAL_CODES = ['ENOMEM', 'ENOSPC', 'EACCES', 'EPERM', 'EROFS', 'ERR_WORKER_OUT_OF_MEMORY'];
+
+const FATAL_STATUSES = [401, 403];
+
+// Node's errors for arguments of the wrong type or value
+const INPUT_CODES = ['ERR_INVALID_ARG_TYPE', 'ERR_INVALID_ARG_VALUE', 'ERR_OUT_OF_RANGE', 'ERR_INVALID_URL'];
+
+/**
+ * Returns an error and its causes, outermost first.
+ * @param {any} error - The error.
+ * @returns {Object[]} - The error objects of the chain (at most 5).
+ */
+function causeChain(error) {
+  const chain = [];
+  for (let current = error; current && typeof current === 'object' && chain.length < 5; current = current.cause) {
+    chain.push(current);
+  }
+  return chain;
+}
+
+/**
+ * Reads the HTTP status of an error from the usual places.
+ * @param {Object} error - The error.
+ * @returns {number|null} - The status, or null if it has none.
+ */
+function statusOf(error) {
+  const status = error.status || error.statusCode || (error.response && error.response.status);
+  return typeof status === 'number' ? status : null;
+}
+
+/**
+ * Checks whether a value matches a rule condition: one value, a list of values, or for strings a RegExp.
+ * @param {any} condition - The condition.
+ * @param {any} value - The value.
+ * @returns {boolean} - Whether the value matches.
+ */
+function matches(condition, value) {
+  if (condition instanceof RegExp) return typeof value === 'string' && condition.test(value);
+  if (Array.isArray(condition)) return condition.includes(value);
+  return condition === value;
+}
+
+/**
+ * Sorts errors into classes and decides what `run()` does with each class.
+ *
+ * Classes:
+ * - `defect`: a bug in the code of the block (the default). Corrected with the LLM.
+ * - `transient`: network failures, timeouts and rate limits that a plain retry fixes. Retried with backoff.
+ * - `input`: the code is right but received bad input, such as invalid JSON or Node's invalid argument errors. Corrected with an input patch only.
+ * - `fatal`: nothing the block can fix, such as permissions, credentials, exhausted resources or errors flagged `correctable: false`. Rethrown.
+ *
+ * Actions (the `policies` per class): 'correct', 'retry', 'patch' or 'rethrow'.
+ */
+class ErrorClassifier {
+  /**
+   * @param {Object} [options={}] - Classification rules and policies.
+   * @param {Object[]} [options.rules=[]] - Rules checked before the built-in ones, in order: `{ class, code, name, message, status, test }`.
+   *   Every condition given must match: `code`, `name` and `status` as a value or list, `message` as a substring or RegExp, `test(error)` as a predicate.
+   *   `code` and `status` are also looked up on the error's `cause` chain.
+   * @param {Object<string, string>} [options.policies] - Actions by class, merged over the defaults ('correct' for defects, 'retry' for transient errors,
+   *   'patch' for input errors, 'rethrow' for fatal errors).
+   * @param {Object} [options.retry] - Backoff of the 'retry' action.
+   * @param {number} [options.retry.attempts=2] - Retries after the first failure.
+   * @param {number} [options.retry.baseDelayMs=200] - Delay before the first retry; doubled for every further retry.
+   * @param {number} [options.retry.maxDelayMs=5000] - Upper limit of the delay.
+   * @param {boolean} [options.retry.jitter=true] - Whether to wait a random 50-100% of the delay, so concurrent callers do not retry in step.
+   * @throws {Error} If a rule, class or action is unknown.
+   */
+  constructor(options = {}) {
+    const { rules = [], policies = {}, retry = {} } = options;
+    for (const rule of rules) {
+      if (!ERROR_CLASSES.includes(rule.class)) {
+        throw new Error(`[Pause] Unknown error class in classifier rule: ${rule.class}. Expected one of: ${ERROR_CLASSES.join(', ')}.`);
+      }
+    }
+    for (const [errorClass, action] of Object.entries(policies)) {
+      if (!ERROR_CLASSES.includes(errorClass)) {
+        throw new Error(`[Pause] Unknown error class: ${errorClass}. Expected one of: ${ERROR_CLASSES.join(', ')}.`);
+      }
+      if (!ACTIONS.includes(action)) {
+        throw new Error(`[Pause] Unknown action for error class ${errorClass}: ${action}. Expected one of: ${ACTIONS.join(', ')}.`);
+      }
+    }
+    this.rules = rules;
+    this.policies = { ...DEFAULT_POLICIES, ...policies };
+    this.retry = {
+      attempts: typeof retry.attempts === 'number' ? retry.attempts : 2,
+      baseDelayMs: typeof retry.baseDelayMs === 'number' ? retry.baseDelayMs : 200,
+      maxDelayMs: typeof retry.maxDelayMs === 'number' ? retry.maxDelayMs : 5000,
+      jitter: retry.jitter !== false
+    };
+  }
+
+  /**
+   * Classifies an error.
+   * @param {any} error - The error thrown by a block.
+   * @returns {{errorClass: string, reason: string}} - The class and what decided it.
+   */
+  classify(error) {
+    const chain = causeChain(error);
+    const codes = chain.map(e => e.code).filter(Boolean);
+    const statuses = chain.map(statusOf).filter(status => status !== null);
+    const name = error && error.name;
+    const message = error && typeof error.message === 'string' ? error.message : String(error);
+
+    for (const [index, rule] of this.rules.entries()) {
+      if (rule.code !== undefined && !codes.some(code => matches(rule.code, code))) continue;
+      if (rule.status !== undefined && !statuses.some(status => matches(rule.status, status))) continue;
+      if (rule.name !== undefined && !matches(rule.name, name)) continue;
+      if (rule.message !== undefined && !(typeof rule.message === 'string' ? message.includes(rule.message) : matches(rule.message, message))) continue;
+      if (rule.test !== undefined && !rule.test(error)) continue;
+      return { errorClass: rule.class, reason: `rule ${index + 1}` };
+    }
+
+    if (codes.some(code => code.startsWith('ERR_PAUSE_'))) return { errorClass: 'defect', reason: `code ${codes.find(code => code.startsWith('ERR_PAUSE_'))}` };
+    if (error && error.correctable === false) return { errorClass: 'fatal', reason: 'marked as not correctable' };
+    if (name === 'AbortError') return { errorClass: 'fatal', reason: 'aborted' };
+
+    const fatalCode = codes.find(code => FATAL_CODES.includes(code));
+    if (fatalCode) return { errorClass: 'fatal', reason: `code ${fatalCode}` };
+    const fatalStatus = statuses.find(status => FATAL_STATUSES.includes(status));
+    if (fatalStatus) return { errorClass: 'fatal', reason: `HTTP status ${fatalStatus}` };
+
+    const transientCode = codes.find(code => TRANSIENT_CODES.includes(code));
+    if (transientCode) return { errorClass: 'transient', reason: `code ${transientCode}` };
+    const transientStatus = statuses.find(status => TRANSIENT_STATUSES.includes(status));
+    if (transientStatus) return { errorClass: 'transient', reason: `HTTP status ${transientStatus}` };
+    if (TRANSIENT_MESSAGE.test(message)) return { errorClass: 'transient', reason: 'message' };
+
+    const inputCode = codes.find(code => INPUT_CODES.includes(code));
+    if (inputCode) return { errorClass: 'input', reason: `code ${inputCode}` };
+    if (name === 'SyntaxError' && /JSON/.test(message)) return { errorClass: 'input', reason: 'invalid JSON' };
+    if (name === 'ValidationError') return { errorClass: 'input', reason: 'ValidationError' };
+
+    return { errorClass: 'defect', reason: name ? String(name) : 'default' };
+  }
+
+  /**
+   * Returns the action for an error class.
+   * @param {string} errorClass - The class.
+   * @returns {string} - 'correct', 'retry', 'patch' or 'rethrow'.
+   */
+  actionFor(errorClass) {
+    return this.policies[errorClass] || 'correct';
+  }
+
+  /**
+   * Returns how long to wait before a retry.
+   * @param {number} retry - The retry number, starting at 1.
+   * @returns {number|null} - The delay in milliseconds, or null if no retries are left.
+   */
+  retryDelay(retry) {
+    if (retry > this.retry.attempts) return null;
+    const delay = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** (retry - 1));
+    return this.retry.jitter ? Math.round(delay * (0.5 + Math.random() / 2)) : delay;
+  }
+}
+
+export default ErrorClassifier;
@@ -0,0 +1,280 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createTwoFilesPatch } from 'diff';
+import Pause from './pause.js';
+import { findVersion, getActiveVersion } from './storage/blocks.js';
+
+const CONFIG_FILES = ['pause.config.js', 'pause.config.mjs'];
+
+// Commands that need the whole block record (history, proposals, the list of blocks) and not just the active code
+const RECORD_COMMANDS = new Set(['list', 'history', 'proposals', 'approve', 'reject', 'rollback', 'delete', 'export', 'import']);
+
+const USAGE = `Usage: pause [--config <file>] <command> [arguments]
+
+Commands:
+  list                              List stored blocks
+  show <id>                         Show the active version of a block
+  diff <id> [version]               Diff the original code against a stored version (default: active)
+  history <id>                      List the versions of a block
+  proposals <id>                    List the correction proposals of a block
+  approve <id> <proposalId>         Approve a pending proposal
+  reject <id> <proposalId> [reason] Reject a pending proposal
+  rollback <id> <version>           Make a stored version active again
+  delete <id>                       Delete a block and all of its versions
+  export [file]                     Export all blocks to a JSON bundle (default: stdout)
+  import <file> [--overwrite]       Import blocks from a JSON bundle
+
+The configuration file (default: ${CONFIG_FILES.join(' or ')} in the current directory)
+must default-export Pause options, a Pause instance, or a function returning either.
+`;
+
+/**
+ * Splits command-line arguments into options and positional arguments.
+ * @param {string[]} argv - The arguments after the executable name.
+ * @returns {{config: string|null, overwrite: boolean, help: boolean, positional: string[]}}
+ */
+function parseArgs(argv) {
+  const parsed = { config: null, overwrite: false, help: false, positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--config' || arg === '-c') {
+      parsed.config = argv[++i];
+    } else if (arg.startsWith('--config=')) {
+      parsed.config = arg.slice('--config='.length);
+    } else if (arg === '--overwrite') {
+      parsed.overwrite = true;
+    } else if (arg === '--help' || arg === '-h') {
+      parsed.help = true;
+    } else {
+      parsed.positional.push(arg);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Loads the Pause configuration file and creates the Pause instance it describes.
+ * @param {string|null} configPath - Explicit configuration file, or null to look for the defaults.
+ * @param {string} cwd - Directory to resolve paths against.
+ * @returns {Promise<Pause>} - The configured Pause instance.
+ * @throws {Error} If no configuration file is found.
+ */
+async function loadPause(configPath, cwd) {
+  let resolved = null;
+  if (configPath) {
+    resolved = path.resolve(cwd, configPath);
+  } else {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(cwd, name);
+      try {
+        await fs.access(candidate);
+        resolved = candidate;
+        break;
+      } catch {
+        // Try the next default name
+      }
+    }
+  }
+  if (!resolved) {
+    throw new Error(`[Pause] No configuration file found. Create ${CONFIG_FILES[0]} or pass --config <file>.`);
+  }
+
+  const module = await import(pathToFileURL(resolved).href);
+  let config = module.default;
+  if (typeof config === 'function') {
+    config = await config();
+  }
+  return config instanceof Pause ? config : new Pause(config || {});
+}
+
+/**
+ * Parses a required positive integer argument.
+ * @param {string|undefined} value - The raw argument.
+ * @param {string} name - The argument name (for error messages).
+ * @returns {number} - The parsed number.
+ * @throws {Error} If the value is not a positive integer.
+ */
+function parseNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`[Pause] Expected <${name}> to be a positive integer, got: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Throws a usage error if a required argument is missing.
+ * @param {string|undefined} value - The raw argument.
+ * @param {string} name - The argument name.
+ * @returns {string} - The argument.
+ */
+function required(value, name) {
+  if (value === undefined) {
+    throw new Error(`[Pause] Missing argument <${name}>.\n\n${USAGE}`);
+  }
+  return value;
+}
+
+/**
+ * Throws if a command needs the whole block record but the store does not keep it.
+ * Stores without `listBlocks()` and `deleteBlock()`, such as the `getFunctionFromDb`/`saveFunctionToDb` pair,
+ * persist only the active code; history and proposals live in the memory of the application process.
+ * @param {Pause} pause - The configured Pause instance.
+ * @param {string} command - The command to run.
+ * @throws {Error} If the command cannot work with the configured store.
+ */
+function assertRecordStore(pause, command) {
+  if (!RECORD_COMMANDS.has(command)) return;
+  if (typeof pause.store.listBlocks !== 'function' || typeof pause.store.deleteBlock !== 'function') {
+    throw new Error(`[Pause] \`pause ${command}\` needs a store that implements listBlocks() and deleteBlock(), such as FileStore. ` +
+      'The configured store keeps only the active code; the history and proposals of its blocks exist only in the application process.');
+  }
+}
+
+/**
+ * Formats a version (or proposal) as a single line.
+ * @param {Object} entry - The version or proposal.
+ * @returns {string} - The formatted line.
+ */
+function describeEntry(entry) {
+  const details = [entry.createdAt, entry.source && `source: ${entry.source}`, entry.model && `model: ${entry.model}`, entry.error && `error: ${entry.error}`];
+  return details.filter(Boolean).join(' | ');
+}
+
+/**
+ * Runs the `pause` command-line tool.
+ * @param {string[]} argv - The arguments after the executable name.
+ * @param {Object} [io={}] - Streams and working directory, mainly for tests.
+ * @param {{write: Function}} [io.stdout=process.stdout] - Output stream.
+ * @param {string} [io.cwd=process.cwd()] - Working directory.
+ * @returns {Promise<number>} - The exit code.
+ */
+async function runCli(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const cwd = io.cwd || process.cwd();
+  const print = (text = '') => stdout.write(`${text}\n`);
+  const args = parseArgs(argv);
+  const [command, ...rest] = args.positional;
+
+  if (args.help || !command) {
+    print(USAGE);
+    return args.help ? 0 : 1;
+  }
+
+  const pause = await loadPause(args.config, cwd);
+  assertRecordStore(pause, command);
+
+  switch (command) {
+    case 'list': {
+      for (const id of await pause.listBlocks()) {
+        const block = await pause.store.getBlock(id);
+        const pending = (block.proposals || []).filter(p => p.status === 'pending').length;
+        const active = block.activeVersion != null ? `v${block.activeVersion}` : 'local';
+        print(`${id}\t${active}${block.pinnedVersion != null ? ' (pinned)' : ''}\t${block.versions.length} version(s)\t${pending} pending`);
+      }
+      return 0;
+    }
+
+    case 'show': {
+      const id = required(rest[0], 'id');
+      const active = getActiveVersion(await pause.store.getBlock(id));
+      if (!active) {
+        print(`Block ${id} has no active version; the local code runs.`);
+        return 1;
+      }
+      print(`${id} v${active.version} | ${describeEntry(active)}`);
+      print();
+      print(active.code);
+      return 0;
+    }
+
+    case 'diff': {
+      const id = required(rest[0], 'id');
+      const block = await pause.store.getBlock(id);
+      const version = rest[1] ? findVersion(block, parseNumber(rest[1], 'version')) : getActiveVersion(block);
+      if (!version) {
+        print(`Block ${id} has no ${rest[1] ? `version ${rest[1]}` : 'active version'}.`);
+        return 1;
+      }
+      if (!version.originalCode) {
+        print(`Version ${version.version} of block ${id} has no original code recorded.`);
+        return 1;
+      }
+      stdout.write(createTwoFilesPatch(`${id} (original)`, `${id} (v${version.version})`, `${version.originalCode}\n`, `${version.code}\n`));
+      return 0;
+    }
+
+    case 'history': {
+      const id = required(rest[0], 'id');
+      for (const version of await pause.history(id)) {
+        const flags = [version.active && 'active', version.pinned && 'pinned'].filter(Boolean).join(', ');
+        print(`v${version.version}${flags ? ` [${flags}]` : ''} | ${describeEntry(version)}`);
+      }
+      return 0;
+    }
+
+    case 'proposals': {
+      const id = required(rest[0], 'id');
+      for (const proposal of await pause.proposals(id)) {
+        const reason = proposal.reason ? ` | reason: ${proposal.reason}` : '';
+        print(`#${proposal.proposalId} ${proposal.kind} [${proposal.status}] | ${describeEntry(proposal)}${reason}`);
+      }
+      return 0;
+    }
+
+    case 'approve': {
+      const id = required(rest[0], 'id');
+      const created = await pause.approve(id, parseNumber(required(rest[1], 'proposalId'), 'proposalId'));
+      print(`Approved proposal ${rest[1]} of ${id} as version ${created.version}.`);
+      return 0;
+    }
+
+    case 'reject': {
+      const id = required(rest[0], 'id');
+      const proposalId = parseNumber(required(rest[1], 'proposalId'), 'proposalId');
+      await pause.reject(id, proposalId, rest.slice(2).join(' ') || undefined);
+      print(`Rejected proposal ${proposalId} of ${id}.`);
+      return 0;
+    }
+
+    case 'rollback': {
+      const id = required(rest[0], 'id');
+      const version = parseNumber(required(rest[1], 'version'), 'version');
+      await pause.rollback(id, version);
+      print(`Block ${id} now runs version ${version}.`);
+      return 0;
+    }
+
+    case 'delete': {
+      const id = required(rest[0], 'id');
+      await pause.deleteBlock(id);
+      print(`Deleted block ${id}.`);
+      return 0;
+    }
+
+    case 'export': {
+      const json = JSON.stringify(await pause.exportBlocks(), null, 2);
+      if (rest[0]) {
+        await fs.writeFile(path.resolve(cwd, rest[0]), `${json}\n`, 'utf8');
+      } else {
+        print(json);
+      }
+      return 0;
+    }
+
+    case 'import': {
+      const file = path.resolve(cwd, required(rest[0], 'file'));
+      const bundle = JSON.parse(await fs.readFile(file, 'utf8'));
+      const { imported, skipped } = await pause.importBlocks(bundle, { overwrite: args.overwrite });
+      print(`Imported ${imported.length} block(s)${skipped.length ? `, skipped ${skipped.length} existing (use --overwrite to replace): ${skipped.join(', ')}` : ''}.`);
+      return 0;
+    }
+
+    default:
+      print(`Unknown command: ${command}\n\n${USAGE}`);
+      return 1;
+  }
+}
+
+export { runCli, parseArgs, loadPause };
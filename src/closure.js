@@ -0,0 +1,80 @@
+import * as acorn from 'acorn';
+import * as walk from 'acorn-walk';
+import { parseCode } from './codeParser.js';
+import { declaredNames } from './astNames.js';
+
+const PATTERN_TYPES = new Set(['ObjectPattern', 'ArrayPattern', 'AssignmentPattern', 'RestElement', 'Property']);
+
+/**
+ * Parses a function string as an expression.
+ * The code is first normalized with `parseCode`, so every form a block can run (method shorthand,
+ * class methods, expressions and statements) parses to a function expression.
+ * @param {string} code - The function string.
+ * @returns {Object|null} - The AST of the normalized function expression, or null if the code does not parse or has an unsupported form.
+ */
+function parseFunction(code) {
+  try {
+    return acorn.parse(`(${parseCode(code).source}\n)`, { ecmaVersion: 'latest', sourceType: 'script', allowAwaitOutsideFunction: true });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Finds the free variables of a function string: names it reads or assigns that are neither
+ * declared inside it nor JavaScript/host globals. These are the variables it takes from its closure.
+ * @param {string} code - The function string (e.g. `fn.toString()`).
+ * @param {Object} [options={}] - Search options.
+ * @param {boolean} [options.includeGlobals=false] - Also return references to globals such as `process` or `fetch`.
+ * @returns {string[]} - The free variable names in order of first use, or an empty list if the code does not parse.
+ */
+function findFreeVariables(code, options = {}) {
+  const ast = parseFunction(code);
+  if (!ast) return [];
+
+  const scopes = new Map();
+  const isDeclared = (name, ancestors) => ancestors.some((ancestor) => {
+    if (!scopes.has(ancestor)) scopes.set(ancestor, declaredNames(ancestor));
+    return scopes.get(ancestor).has(name);
+  });
+  const free = new Set();
+  const consider = (node, ancestors) => {
+    if (!isDeclared(node.name, ancestors) && (options.includeGlobals || !(node.name in globalThis))) free.add(node.name);
+  };
+
+  walk.ancestor(ast, {
+    Identifier: consider,
+    // Patterns are walked as VariablePattern; only assignment targets are references
+    VariablePattern(node, ancestors) {
+      let index = ancestors.length - 2;
+      while (index >= 0 && PATTERN_TYPES.has(ancestors[index].type)) index--;
+      const owner = ancestors[index];
+      if (owner && (owner.type === 'AssignmentExpression' || owner.type === 'ForInStatement' || owner.type === 'ForOfStatement')) {
+        consider(node, ancestors);
+      }
+    }
+  });
+  return Array.from(free);
+}
+
+/**
+ * Captures the closure variables of a function by resolving its free variables.
+ * @param {Function|string} fnOrCode - The function or function string.
+ * @param {Function} resolve - Returns the value of a variable by name, evaluated where the function was
+ *   declared, typically `(name) => eval(name)`. Names it throws for (e.g. ReferenceError) are skipped.
+ * @returns {Object} - The captured variables by name.
+ */
+function captureClosure(fnOrCode, resolve) {
+  const code = typeof fnOrCode === 'function' ? fnOrCode.toString() : fnOrCode;
+  const captured = {};
+  for (const name of findFreeVariables(code)) {
+    try {
+      captured[name] = resolve(name);
+    } catch {
+      // Not resolvable from the declaring scope; leave it to the globals
+    }
+  }
+  return captured;
+}
+
+export { parseFunction, findFreeVariables, captureClosure };
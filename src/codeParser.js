@@ -0,0 +1,207 @@
+import * as acorn from 'acorn';
+import * as walk from 'acorn-walk';
+import { collectPatternNames } from './astNames.js';
+
+const PARSE_OPTIONS = { ecmaVersion: 'latest', sourceType: 'script', allowAwaitOutsideFunction: true };
+
+// Parsed code strings by source; blocks run the same strings over and over
+const CACHE_SIZE = 500;
+const cache = new Map();
+
+/**
+ * Creates the error for code that cannot be run as a block.
+ * @param {string} message - What is wrong with the code.
+ * @param {string} code - 'ERR_PAUSE_CODE_SYNTAX' or 'ERR_PAUSE_CODE_UNSUPPORTED'.
+ * @returns {Error} - The error; a `SyntaxError` for syntax errors.
+ */
+function codeError(message, code) {
+  const error = code === 'ERR_PAUSE_CODE_SYNTAX' ? new SyntaxError(`[Pause] ${message}`) : new Error(`[Pause] ${message}`);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Parses source as a script.
+ * @param {string} source - The source.
+ * @param {Object} [options={}] - Further acorn options.
+ * @returns {Object|null} - The AST, or null if the source does not parse.
+ */
+function tryParse(source, options = {}) {
+  try {
+    return acorn.parse(source, { ...PARSE_OPTIONS, ...options });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks whether code awaits outside of the functions it declares.
+ * @param {Object} node - The AST node.
+ * @returns {boolean} - Whether it contains a top-level `await` or `for await`.
+ */
+function hasTopLevelAwait(node) {
+  let found = false;
+  walk.recursive(node, null, {
+    Function() {
+      // Awaits inside nested functions belong to those functions
+    },
+    AwaitExpression() {
+      found = true;
+    },
+    ForOfStatement(statement, state, c) {
+      if (statement.await) found = true;
+      c(statement.left, state);
+      c(statement.right, state);
+      c(statement.body, state, 'Statement');
+    }
+  });
+  return found;
+}
+
+/**
+ * Returns the static name of a property or method key.
+ * @param {Object} property - The Property or MethodDefinition node.
+ * @returns {string|null} - The name, or null for computed and private keys.
+ */
+function keyName(property) {
+  if (property.computed) return null;
+  if (property.key.type === 'Identifier') return property.key.name;
+  if (property.key.type === 'Literal') return String(property.key.value);
+  return null;
+}
+
+/**
+ * Describes a parsed function.
+ * @param {Object} node - The function node.
+ * @param {string} wrapped - The source the node was parsed from.
+ * @param {string} kind - 'arrow', 'function' or 'method'.
+ * @param {string|null} name - The name of the function or method.
+ * @param {string} source - The function expression that evaluates to the function.
+ * @returns {Object} - The description (see `parseCode`).
+ */
+function describeFunction(node, wrapped, kind, name, source) {
+  const paramNames = new Set();
+  node.params.forEach(param => collectPatternNames(param, paramNames));
+  return {
+    kind,
+    name,
+    async: node.async,
+    generator: node.generator,
+    expressionBody: node.body.type !== 'BlockStatement',
+    params: node.params.map(param => wrapped.slice(param.start, param.end)),
+    paramNames: Array.from(paramNames),
+    source
+  };
+}
+
+/**
+ * Parses a code string into its description, without the cache.
+ * @param {string} code - The code string.
+ * @returns {Object} - The description (see `parseCode`).
+ * @throws {Error} If the code does not parse or has an unsupported form.
+ */
+function analyze(code) {
+  const wrapped = `(${code}\n)`;
+  const expressionAst = tryParse(wrapped);
+  if (expressionAst && expressionAst.body.length === 1 && expressionAst.body[0].type === 'ExpressionStatement') {
+    const expression = expressionAst.body[0].expression;
+    if (expression.type === 'ArrowFunctionExpression') {
+      return describeFunction(expression, wrapped, 'arrow', null, code);
+    }
+    if (expression.type === 'FunctionExpression') {
+      return describeFunction(expression, wrapped, 'function', expression.id ? expression.id.name : null, code);
+    }
+    if (expression.type === 'ClassExpression') {
+      throw codeError('A class cannot run as a block. Use a function or one of its methods instead.', 'ERR_PAUSE_CODE_UNSUPPORTED');
+    }
+    const async = hasTopLevelAwait(expression);
+    return {
+      kind: 'expression', name: null, async, generator: false, expressionBody: true, params: [], paramNames: [],
+      source: `${async ? 'async ' : ''}() => (\n${code}\n)`
+    };
+  }
+
+  // Method shorthand, as copied from an object literal or class body: `name(a, b) { ... }`
+  const objectSource = `({${code}\n})`;
+  const objectAst = tryParse(objectSource);
+  const properties = objectAst ? objectAst.body[0].expression.properties : [];
+  if (properties.length === 1 && properties[0].type === 'Property' && (properties[0].method || properties[0].kind !== 'init')) {
+    const property = properties[0];
+    const name = keyName(property);
+    if (property.kind !== 'init') {
+      throw codeError(`A ${property.kind}ter cannot run as a block. Use a function or a method instead.`, 'ERR_PAUSE_CODE_UNSUPPORTED');
+    }
+    if (name === null) {
+      throw codeError('Methods with computed names cannot run as blocks. Give the method a plain name.', 'ERR_PAUSE_CODE_UNSUPPORTED');
+    }
+    return describeFunction(property.value, objectSource, 'method', name, `${objectSource}[${JSON.stringify(name)}]`);
+  }
+  const classSource = `(class {${code}\n})`;
+  const classAst = tryParse(classSource);
+  const members = classAst ? classAst.body[0].expression.body.body : [];
+  if (members.length === 1 && members[0].type === 'MethodDefinition') {
+    const member = members[0];
+    const name = keyName(member);
+    if (member.kind !== 'method') {
+      throw codeError(`A ${member.kind}ter cannot run as a block. Use a function or a method instead.`, 'ERR_PAUSE_CODE_UNSUPPORTED');
+    }
+    if (name === null) {
+      throw codeError('Private methods and methods with computed names cannot run as blocks. Give the method a plain name.', 'ERR_PAUSE_CODE_UNSUPPORTED');
+    }
+    return describeFunction(member.value, classSource, 'method', name, `${classSource}${member.static ? '' : '.prototype'}[${JSON.stringify(name)}]`);
+  }
+
+  // Statements, run as the body of a function: `const total = a + b; return total;`
+  let statementsAst;
+  try {
+    statementsAst = acorn.parse(code, { ...PARSE_OPTIONS, allowReturnOutsideFunction: true });
+  } catch (syntaxError) {
+    throw codeError(`Cannot parse the code: ${syntaxError.message}`, 'ERR_PAUSE_CODE_SYNTAX');
+  }
+  const async = hasTopLevelAwait(statementsAst);
+  return {
+    kind: 'statements', name: null, async, generator: false, expressionBody: false, params: [], paramNames: [],
+    source: `${async ? 'async ' : ''}function () {\n${code}\n}`
+  };
+}
+
+/**
+ * Parses a code string of a block: a local code string, a stored version or AI-generated code.
+ *
+ * Supported forms:
+ * - `arrow`: arrow functions, including `async`, default parameters, destructuring and expression bodies.
+ * - `function`: function expressions, including `async` and generator functions.
+ * - `method`: method shorthand such as `total(items) { ... }`, also `async`, generator and `static` methods.
+ * - `expression`: any other expression, evaluated when the block runs (`items.length * 2`).
+ * - `statements`: statements run as a function body, which may `return` and `await` (`const x = await load(); return x;`).
+ *
+ * Classes, getters, setters and private or computed method names are rejected.
+ * Every form is normalized to `source`, a function expression that both execution paths compile the same way.
+ * @param {string} code - The code string.
+ * @returns {{kind: string, name: string|null, async: boolean, generator: boolean, expressionBody: boolean, params: string[], paramNames: string[], source: string}}
+ *   - The form of the code, whether it is async or a generator, whether its body is an expression, the source of each parameter,
+ *   the names the parameters bind, and the normalized function expression.
+ * @throws {Error} An error with code 'ERR_PAUSE_CODE_SYNTAX' (a `SyntaxError`) if the code does not parse,
+ *   or 'ERR_PAUSE_CODE_UNSUPPORTED' if it has an unsupported form.
+ */
+function parseCode(code) {
+  if (typeof code !== 'string' || code.trim() === '') {
+    throw codeError('A code string must be a non-empty string.', 'ERR_PAUSE_CODE_UNSUPPORTED');
+  }
+  if (cache.has(code)) return cache.get(code);
+  const parsed = Object.freeze(analyze(code));
+  if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value);
+  cache.set(code, parsed);
+  return parsed;
+}
+
+/**
+ * Checks whether parsed code is a function, as opposed to an expression or statements.
+ * @param {Object} parsed - The result of `parseCode`.
+ * @returns {boolean} - Whether the code is an arrow function, function expression or method.
+ */
+function isFunctionCode(parsed) {
+  return parsed.kind === 'arrow' || parsed.kind === 'function' || parsed.kind === 'method';
+}
+
+export { parseCode, isFunctionCode };
@@ -0,0 +1,195 @@
+import { isDeepStrictEqual } from 'util';
+import { safeStringify } from './serialize.js';
+
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+/**
+ * Returns the JSON Schema type of a value.
+ * @param {any} value - The value.
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean', 'object' or the `typeof` of other values.
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Shows a value in a violation message.
+ * @param {any} value - The value.
+ * @returns {string} - Compact JSON, shortened for long values.
+ */
+function show(value) {
+  return safeStringify(value, { maxDepth: 3, maxStringLength: 100, maxArrayLength: 10, maxKeys: 10 });
+}
+
+/**
+ * Checks a value against a JSON Schema.
+ *
+ * Supports the keywords `type`, `enum`, `const`, `properties`, `required`, `additionalProperties`,
+ * `items`, `minItems`, `maxItems`, `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`,
+ * `minLength`, `maxLength`, `pattern`, `anyOf`, `oneOf`, `allOf` and `not`. Other keywords are ignored.
+ * @param {any} value - The value to check.
+ * @param {Object|boolean} schema - The schema.
+ * @param {string} [path='result'] - Where the value is, for the messages.
+ * @returns {string[]} - One message per violation; empty if the value matches.
+ */
+function validateSchema(value, schema, path = 'result') {
+  if (schema === true) return [];
+  if (schema === false) return [`${path} is not allowed`];
+  const errors = [];
+  const type = typeOf(value);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some(expected => expected === type || (expected === 'number' && type === 'integer'));
+    if (!matches) return [`${path} must be of type ${types.join(' or ')}, got ${type === 'integer' ? 'number' : type}`];
+  }
+  if (schema.enum && !schema.enum.some(option => isDeepStrictEqual(option, value))) {
+    errors.push(`${path} must be one of ${show(schema.enum)}, got ${show(value)}`);
+  }
+  if ('const' in schema && !isDeepStrictEqual(schema.const, value)) {
+    errors.push(`${path} must be ${show(schema.const)}, got ${show(value)}`);
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}, got ${value}`);
+    if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}, got ${value}`);
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) errors.push(`${path} must be > ${schema.exclusiveMinimum}, got ${value}`);
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) errors.push(`${path} must be < ${schema.exclusiveMaximum}, got ${value}`);
+  }
+  if (type === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) errors.push(`${path} must have at least ${schema.minLength} characters`);
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) errors.push(`${path} must have at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) errors.push(`${path} must match /${schema.pattern}/, got ${show(value)}`);
+  }
+  if (type === 'array') {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) errors.push(`${path} must have at least ${schema.minItems} items, got ${value.length}`);
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) errors.push(`${path} must have at most ${schema.maxItems} items, got ${value.length}`);
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+  if (type === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (key in properties) {
+        errors.push(...validateSchema(propertyValue, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties !== undefined) {
+        errors.push(...validateSchema(propertyValue, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(sub => errors.push(...validateSchema(value, sub, path)));
+  }
+  if (schema.anyOf && !schema.anyOf.some(sub => validateSchema(value, sub, path).length === 0)) {
+    errors.push(`${path} must match at least one schema of anyOf, got ${show(value)}`);
+  }
+  if (schema.oneOf && schema.oneOf.filter(sub => validateSchema(value, sub, path).length === 0).length !== 1) {
+    errors.push(`${path} must match exactly one schema of oneOf, got ${show(value)}`);
+  }
+  if (schema.not && validateSchema(value, schema.not, path).length === 0) {
+    errors.push(`${path} must not match ${show(schema.not)}`);
+  }
+  return errors;
+}
+
+/**
+ * What the result of a block must look like, checked after every execution.
+ *
+ * A contract has up to three parts, all of which must hold:
+ * - `schema`: a JSON Schema the result must match (see `validateSchema` for the supported keywords).
+ * - `check(result, args)`: a predicate returning `true` when the result is acceptable, or `false` or a
+ *   message describing what is wrong. A predicate that throws counts as a violation.
+ * - `examples`: `{ input, output }` pairs. A call whose arguments deep-equal `input` must return `output`,
+ *   and corrected code is run against every example before it is saved.
+ */
+class ResultContract {
+  /**
+   * @param {Object} [options={}] - The parts of the contract.
+   * @param {Object} [options.schema] - JSON Schema of the result.
+   * @param {Function} [options.check] - Predicate called as `(result, args)`; may be async.
+   * @param {Array<{input: any[], output: any}>} [options.examples=[]] - Example arguments and their expected result.
+   * @throws {Error} If the contract has no parts or a part is malformed.
+   */
+  constructor(options = {}) {
+    const { schema = null, check = null, examples = [] } = options;
+    if (!schema && !check && examples.length === 0) {
+      throw new Error('[Pause] A result contract needs a schema, a check function or examples.');
+    }
+    if (schema && schema.type && ![].concat(schema.type).every(type => SCHEMA_TYPES.includes(type))) {
+      throw new Error(`[Pause] Unknown type in result schema: ${schema.type}. Expected one of: ${SCHEMA_TYPES.join(', ')}.`);
+    }
+    if (check && typeof check !== 'function') {
+      throw new Error('[Pause] The check of a result contract must be a function.');
+    }
+    if (!examples.every(example => example && Array.isArray(example.input) && 'output' in example)) {
+      throw new Error('[Pause] Result contract examples must be { input: [...args], output } objects.');
+    }
+    this.schema = schema;
+    this.check = check;
+    this.examples = examples;
+  }
+
+  /**
+   * Creates a contract from the `contract` option: a `ResultContract`, a predicate function or contract options.
+   * @param {ResultContract|Function|Object|null} spec - The contract.
+   * @returns {ResultContract|null} - The contract, or null if none is given.
+   */
+  static from(spec) {
+    if (!spec) return null;
+    if (spec instanceof ResultContract) return spec;
+    return new ResultContract(typeof spec === 'function' ? { check: spec } : spec);
+  }
+
+  /**
+   * Checks the result of one call.
+   * @param {any} result - The result.
+   * @param {any[]} [args=[]] - The arguments of the call.
+   * @returns {Promise<string[]>} - One message per violation; empty if the result is acceptable.
+   */
+  async validate(result, args = []) {
+    const violations = this.schema ? validateSchema(result, this.schema) : [];
+    if (this.check) {
+      try {
+        const verdict = await this.check(result, args);
+        if (typeof verdict === 'string') {
+          violations.push(verdict);
+        } else if (verdict !== true) {
+          violations.push('result does not satisfy the check function');
+        }
+      } catch (checkError) {
+        violations.push(`the check function threw: ${checkError.message}`);
+      }
+    }
+    const example = this.examples.find(candidate => isDeepStrictEqual(candidate.input, args));
+    if (example && !isDeepStrictEqual(example.output, result)) {
+      violations.push(`for the arguments ${show(args)} the result must be ${show(example.output)}, got ${show(result)}`);
+    }
+    return violations;
+  }
+
+  /**
+   * Describes the contract for the correction prompt.
+   * @returns {string} - The description.
+   */
+  describe() {
+    const parts = [];
+    if (this.schema) parts.push(`The result must match this JSON Schema:\n${JSON.stringify(this.schema, null, 2)}`);
+    if (this.check) parts.push(`The result must satisfy this check, called as check(result, args):\n${this.check.toString()}`);
+    if (this.examples.length > 0) {
+      const lines = this.examples.map(({ input, output }) => `- arguments ${show(input)} => ${show(output)}`);
+      parts.push(`For these arguments the result must be exactly:\n${lines.join('\n')}`);
+    }
+    return parts.join('\n\n');
+  }
+}
+
+export default ResultContract;
+export { validateSchema };
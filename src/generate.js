@@ -0,0 +1,216 @@
+import fs from 'fs/promises';
+import path from 'path';
+import * as acorn from 'acorn';
+import * as walk from 'acorn-walk';
+import { createTwoFilesPatch } from 'diff';
+
+const DEFAULT_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+/**
+ * Parses JavaScript source, trying module syntax first and falling back to script syntax.
+ * @param {string} source - The source code to parse.
+ * @returns {Object} - The acorn AST.
+ */
+function parseSource(source) {
+  const options = { ecmaVersion: 'latest', locations: true, allowHashBang: true, allowAwaitOutsideFunction: true };
+  try {
+    return acorn.parse(source, { ...options, sourceType: 'module' });
+  } catch (moduleError) {
+    try {
+      return acorn.parse(source, { ...options, sourceType: 'script', allowReturnOutsideFunction: true });
+    } catch {
+      throw moduleError;
+    }
+  }
+}
+
+/**
+ * Returns the static string value of a literal or expression-free template literal.
+ * @param {Object} node - The AST node.
+ * @returns {string|null} - The string value, or null if it is not static.
+ */
+function staticString(node) {
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+/**
+ * Checks whether a call expression is `<callee>.run(...)` for one of the given callee names.
+ * Matches both `pause.run(...)` and member chains such as `this.pause.run(...)`.
+ * @param {Object} node - The CallExpression node.
+ * @param {string[]} calleeNames - Names the Pause instance is referred to by.
+ * @returns {boolean}
+ */
+function isRunCall(node, calleeNames) {
+  const callee = node.callee;
+  if (callee.type !== 'MemberExpression' || callee.computed || callee.property.name !== 'run') return false;
+  const object = callee.object;
+  if (object.type === 'Identifier') return calleeNames.includes(object.name);
+  if (object.type === 'MemberExpression' && !object.computed) return calleeNames.includes(object.property.name);
+  return false;
+}
+
+/**
+ * Finds the `pause.run('<id>', description, fnOrCode, ...)` call sites in a source string.
+ * @param {string} source - The source code to search.
+ * @param {Object} [options={}] - Search options.
+ * @param {string[]} [options.calleeNames=['pause']] - Names the Pause instance is referred to by.
+ * @returns {Object[]} - Call sites with `id`, `line`, `kind` ('function' or 'string'), the `start`/`end` of the code argument
+ *   and, for strings, its `value`.
+ */
+function findRunCalls(source, options = {}) {
+  const calleeNames = options.calleeNames || ['pause'];
+  const calls = [];
+  walk.full(parseSource(source), (node) => {
+    if (node.type !== 'CallExpression' || !isRunCall(node, calleeNames) || node.arguments.length < 3) return;
+    const id = staticString(node.arguments[0]);
+    const codeArg = node.arguments[2];
+    if (id === null) return;
+
+    let kind = null;
+    if (['ArrowFunctionExpression', 'FunctionExpression'].includes(codeArg.type)) kind = 'function';
+    else if (staticString(codeArg) !== null) kind = 'string';
+    if (!kind) return;
+
+    calls.push({ id, line: codeArg.loc.start.line, kind, start: codeArg.start, end: codeArg.end, value: kind === 'string' ? staticString(codeArg) : null });
+  });
+  return calls.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Writes a code string as a string literal in the quoting style of the literal it replaces.
+ * Template literals keep line breaks; quoted literals escape them.
+ * @param {string} code - The stored code string.
+ * @param {string} quote - The quote character of the replaced literal: `'`, `"` or a backtick.
+ * @returns {string} - The string literal.
+ */
+function toStringLiteral(code, quote) {
+  if (quote === '`') {
+    return `\`${code.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${')}\``;
+  }
+  const json = JSON.stringify(code);
+  if (quote === '"') return json;
+  return `'${json.slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Re-indents a code string so its continuation lines match the indentation of the call site.
+ * @param {string} code - The stored code string.
+ * @param {string} indent - The indentation of the line the code argument starts on.
+ * @returns {string} - The re-indented code.
+ */
+function reindent(code, indent) {
+  const lines = code.trim().split('\n');
+  const rest = lines.slice(1);
+  const commonIndent = Math.min(...rest.filter(l => l.trim()).map(l => l.match(/^[ \t]*/)[0].length));
+  const strip = Number.isFinite(commonIndent) ? commonIndent : 0;
+  return [lines[0], ...rest.map(l => (l.trim() ? indent + l.slice(strip) : ''))].join('\n');
+}
+
+/**
+ * Replaces the code argument of each `pause.run` call with the stored version of its block.
+ * Only the argument text is replaced, so formatting and comments around it are preserved.
+ * A code string argument is replaced by a string literal holding the stored code, so the block keeps receiving a string.
+ * Calls nested inside a replaced block are left to the stored code of the outer block.
+ * @param {string} source - The source code to rewrite.
+ * @param {Function} getStoredCode - Async function returning the stored code for a block ID, or null.
+ * @param {Object} [options={}] - Rewrite options.
+ * @param {string[]} [options.calleeNames=['pause']] - Names the Pause instance is referred to by.
+ * @param {string[]} [options.ids] - Only rewrite these block IDs.
+ * @returns {Promise<{output: string, changes: Object[]}>} - The rewritten source and the applied changes.
+ */
+async function rewriteSource(source, getStoredCode, options = {}) {
+  const replacements = [];
+  for (const call of findRunCalls(source, options)) {
+    if (options.ids && !options.ids.includes(call.id)) continue;
+    if (replacements.some(r => call.start >= r.start && call.end <= r.end)) continue;
+
+    const storedCode = await getStoredCode(call.id);
+    const previousCode = source.slice(call.start, call.end);
+    // String blocks stay strings: the stored code is written as a literal of the same kind
+    const currentCode = call.kind === 'string' ? call.value : previousCode;
+    if (!storedCode || storedCode.trim() === currentCode.trim()) continue;
+
+    let code;
+    if (call.kind === 'string') {
+      code = toStringLiteral(storedCode, previousCode[0]);
+    } else {
+      const lineStart = source.lastIndexOf('\n', call.start - 1) + 1;
+      code = reindent(storedCode, source.slice(lineStart, call.start).match(/^[ \t]*/)[0]);
+    }
+    replacements.push({ ...call, previousCode, code });
+  }
+
+  let output = source;
+  for (const replacement of [...replacements].reverse()) {
+    output = output.slice(0, replacement.start) + replacement.code + output.slice(replacement.end);
+  }
+  const changes = replacements.map(({ id, line, kind, previousCode, code }) => ({ id, line, kind, previousCode, code }));
+  return { output, changes };
+}
+
+/**
+ * Collects the JavaScript files under a path.
+ * @param {string} target - A file or directory path.
+ * @param {string[]} extensions - File extensions to include.
+ * @returns {Promise<string[]>} - The file paths, sorted.
+ */
+async function collectFiles(target, extensions) {
+  const stats = await fs.stat(target);
+  if (stats.isFile()) return [target];
+
+  const files = [];
+  for (const entry of await fs.readdir(target, { withFileTypes: true })) {
+    const entryPath = path.join(target, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRECTORIES.has(entry.name)) files.push(...await collectFiles(entryPath, extensions));
+    } else if (extensions.includes(path.extname(entry.name))) {
+      files.push(entryPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Rewrites the `pause.run` call sites of a file, a directory or a source string.
+ * @param {string|{source: string, filename?: string}} target - A file or directory path, or an object holding source code.
+ * @param {Function} getStoredCode - Async function returning the stored code for a block ID, or null.
+ * @param {Object} [options={}] - Generation options.
+ * @param {boolean} [options.write=false] - Write rewritten files back to disk.
+ * @param {string[]} [options.extensions=['.js', '.mjs', '.cjs']] - File extensions scanned in directories.
+ * @param {string[]} [options.calleeNames=['pause']] - Names the Pause instance is referred to by.
+ * @param {string[]} [options.ids] - Only rewrite these block IDs.
+ * @returns {Promise<Object[]>} - One entry per changed file with `file`, `changes`, `output` and a unified diff `patch`.
+ */
+async function generate(target, getStoredCode, options = {}) {
+  const sources = [];
+  if (typeof target === 'object' && target !== null) {
+    sources.push({ file: target.filename || 'source.js', source: target.source, onDisk: false });
+  } else {
+    for (const file of await collectFiles(target, options.extensions || DEFAULT_EXTENSIONS)) {
+      sources.push({ file, source: await fs.readFile(file, 'utf8'), onDisk: true });
+    }
+  }
+
+  const results = [];
+  for (const { file, source, onDisk } of sources) {
+    const { output, changes } = await rewriteSource(source, getStoredCode, options);
+    if (changes.length === 0) continue;
+
+    const displayName = onDisk ? path.relative(process.cwd(), file) : file;
+    const patch = createTwoFilesPatch(`a/${displayName}`, `b/${displayName}`, source, output);
+    if (options.write && onDisk) {
+      await fs.writeFile(file, output, 'utf8');
+    }
+    results.push({ file, changes, output, patch });
+  }
+  return results;
+}
+
+export {
+  findRunCalls,
+  rewriteSource,
+  generate
+};
@@ -1,7 +1,52 @@
 import Pause from './pause.js'; // Added .js extension for ESM
+import MemoryStore from './storage/memoryStore.js';
+import FileStore from './storage/fileStore.js';
+import Sandbox from './sandbox.js';
+import CorrectionBudget from './budget.js';
+import ContextSerializer from './serialize.js';
+import PolicyEngine from './policy.js';
+import CircuitBreaker from './breaker.js';
+import ResultContract from './contract.js';
+import ErrorClassifier from './classifier.js';
+import RolloutPolicy from './rollout.js';
+import { parseCode } from './codeParser.js';
+import { createProvider, LangChainProvider, JsonTextProvider, OpenAICompatibleProvider, CassetteProvider } from './providers/index.js';
 
 // Export the main class
 export default Pause;
 
+// Built-in storage adapters for the `store` option
+export { MemoryStore, FileStore };
+
+// Sandbox for running DB and AI-generated code (the `sandbox` option)
+export { Sandbox };
+
+// Usage tracking and correction limits (the `budget` option), shareable between instances
+export { CorrectionBudget };
+
+// Serialization and redaction of the context sent to the LLM (the `serializer` option)
+export { ContextSerializer };
+
+// Static checks on proposed code (the `policy` option)
+export { PolicyEngine };
+
+// Version quarantine and correction cool-down per block (the `breaker` option), shareable between instances
+export { CircuitBreaker };
+
+// Checks on the results of a block (the `contract` and `contracts` options)
+export { ResultContract };
+
+// Error classes and the action taken for each (the `classifier` option)
+export { ErrorClassifier };
+
+// Shadow and canary stages for new versions (the `rollout` option)
+export { RolloutPolicy };
+
+// Parser for code strings: blocks given as strings, stored versions and corrections
+export { parseCode };
+
+// Correction providers (the `provider` option) and record/replay cassettes (the `cassette` option)
+export { createProvider, LangChainProvider, JsonTextProvider, OpenAICompatibleProvider, CassetteProvider };
+
 // Optionally, export a default instance or other convenience functions
-// export const defaultPause = new Pause(); 
\ No newline at end of file
+// export const defaultPause = new Pause();
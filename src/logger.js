@@ -0,0 +1,75 @@
+import { safeStringify } from './serialize.js';
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Converts `Error` values in log fields to plain objects that keep their name and stack.
+ * @param {Object} fields - The structured fields of a log entry.
+ * @returns {Object} - The serializable fields.
+ */
+function serializeFields(fields) {
+  const serialized = {};
+  for (const [key, value] of Object.entries(fields)) {
+    serialized[key] = value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : value;
+  }
+  return serialized;
+}
+
+/**
+ * Formats a log entry as a single human-readable line.
+ * @param {string} level - The log level.
+ * @param {string} message - The log message.
+ * @param {Object} fields - The structured fields of the entry.
+ * @returns {string} - The formatted line.
+ */
+function formatText(level, message, fields) {
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${value instanceof Error ? JSON.stringify(value.message) : safeStringify(value)}`)
+    .join(' ');
+  return `[Pause] ${level.toUpperCase()} ${message}${details ? ` ${details}` : ''}`;
+}
+
+/**
+ * Creates a logger that writes entries at or above `level` as text or JSON lines.
+ * Field values are serialized with `safeStringify`, so BigInts, cycles and other values `JSON.stringify` rejects never make logging throw.
+ * @param {Object} [options={}] - Logger options.
+ * @param {string} [options.level='info'] - Minimum level to write ('debug', 'info', 'warn', 'error' or 'silent').
+ * @param {string} [options.format='text'] - 'text' for `[Pause] LEVEL message key=value` lines, 'json' for one JSON object per line.
+ * @param {Function} [options.write] - Receives each formatted line. Defaults to writing to stderr.
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}} - The logger.
+ */
+function createLogger(options = {}) {
+  const level = options.level || 'info';
+  if (level !== 'silent' && !LEVELS.includes(level)) {
+    throw new Error(`[Pause] Unknown log level: ${level}. Expected one of: ${LEVELS.join(', ')}, silent.`);
+  }
+  const minimum = level === 'silent' ? LEVELS.length : LEVELS.indexOf(level);
+  const write = options.write || ((line) => process.stderr.write(`${line}\n`));
+  const logger = {};
+  LEVELS.forEach((name, index) => {
+    logger[name] = (message, fields = {}) => {
+      if (index < minimum) return;
+      write(options.format === 'json'
+        ? safeStringify({ time: new Date().toISOString(), level: name, msg: message, ...serializeFields(fields) })
+        : formatText(name, message, fields));
+    };
+  });
+  return logger;
+}
+
+/**
+ * Resolves the `logger` option of `Pause`.
+ * Nothing is logged unless a logger is configured.
+ * @param {boolean|string|Object} [option] - `true` or a level name for the built-in logger, `createLogger` options,
+ *   or an object with `debug`/`info`/`warn`/`error` methods called as `(message, fields)` (e.g. `console`).
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}} - The logger.
+ */
+function resolveLogger(option) {
+  if (!option) return createLogger({ level: 'silent' });
+  if (option === true) return createLogger();
+  if (typeof option === 'string') return createLogger({ level: option });
+  if (LEVELS.every(name => typeof option[name] === 'function')) return option;
+  return createLogger(option);
+}
+
+export { createLogger, resolveLogger, LEVELS };
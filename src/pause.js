@@ -2,153 +2,1808 @@
 // require('dotenv').config(); // Removed for ESM
 
 import { ChatOpenAI } from '@langchain/openai';
-import { DynamicStructuredTool } from 'langchain/tools';
-import { HumanMessage } from "@langchain/core/messages"; // Import HumanMessage
+import { AsyncLocalStorage } from 'async_hooks';
+import { setTimeout as sleep } from 'timers/promises';
+import { EventEmitter } from 'events';
+import { isDeepStrictEqual } from 'util';
+import LegacyFunctionStore from './storage/legacyStore.js';
+import MemoryStore from './storage/memoryStore.js';
+import { generate } from './generate.js';
+import Sandbox from './sandbox.js';
+import { parseCode, isFunctionCode } from './codeParser.js';
+import CorrectionBudget from './budget.js';
+import CircuitBreaker from './breaker.js';
+import { resolveLogger } from './logger.js';
+import ContextSerializer from './serialize.js';
+import PolicyEngine from './policy.js';
+import ResultContract from './contract.js';
+import ErrorClassifier from './classifier.js';
+import RolloutPolicy from './rollout.js';
+import { captureClosure } from './closure.js';
+import { toSample, matchesSample, exportRegressionTests } from './regression.js';
+import { createProvider, createCassette, applyToolMode, LangChainProvider } from './providers/index.js';
+import {
+  hashSource,
+  createBlockRecord,
+  findVersion,
+  getActiveVersion,
+  appendVersion,
+  markGoodVersion,
+  findLastKnownGood,
+  getSamples,
+  appendSample,
+  getActivePatches,
+  getRevision,
+  appendPatch,
+  appendProposal,
+  findProposal
+} from './storage/blocks.js';
 
-// Helper to determine if a function string likely represents an async function
-const isLikelyAsyncString = (code) => /^(async\s+)?function\*?|async\s+=>|async\s+\(/.test(code.trim());
+// Where run() looks for a result when a block fails and cannot be corrected
+const FALLBACK_STEPS = ['last-known-good', 'local', 'value'];
 
-// Helper to get AsyncFunction constructor. Placed at the top for clarity.
-const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
+// What run() does when the local source changed since the active version was stored
+const SOURCE_CHANGE_POLICIES = ['prefer-local-on-change', 'warn', 're-correct', 'ignore'];
+
+// Instance settings that run() options, wrap() and instrument() can override per block; `signal` is combined with the instance signal instead
+const CALL_OVERRIDES = ['maxTurns', 'maxCorrectionTokens', 'onSourceChange', 'fallback', 'timeoutMs', 'signal', 'contract', 'regression'];
+
+// Helper to create the error of a block that did not finish within its time limit
+const timeoutError = (id, timeoutMs) => {
+  const error = new Error(`[Pause] Block ${id} did not finish within ${timeoutMs}ms. It may loop forever or wait for a promise that never settles.`);
+  error.code = 'ERR_PAUSE_TIMEOUT';
+  return error;
+};
+
+// Helper to create the error of a block whose result violates its contract
+const contractError = (id, violations, result) => {
+  const error = new Error(`[Pause] The result of block ${id} violates its contract:\n${violations.map(v => `- ${v}`).join('\n')}`);
+  error.code = 'ERR_PAUSE_CONTRACT';
+  error.violations = violations;
+  error.result = result;
+  return error;
+};
+
+// Helper to validate the onSourceChange option
+const resolveSourceChangePolicy = (policy) => {
+  const resolved = policy || 'prefer-local-on-change';
+  if (!SOURCE_CHANGE_POLICIES.includes(resolved)) {
+    throw new Error(`[Pause] Unknown onSourceChange policy: ${resolved}. Expected one of: ${SOURCE_CHANGE_POLICIES.join(', ')}.`);
+  }
+  return resolved;
+};
+
+// Helper to normalize the fallback option; fallbacks are off (null) unless the option is given
+const resolveFallback = (option) => {
+  if (!option) return null;
+  const fallback = option === true ? {} : option;
+  const chain = fallback.chain || FALLBACK_STEPS;
+  const unknown = chain.find(step => !FALLBACK_STEPS.includes(step));
+  if (unknown) {
+    throw new Error(`[Pause] Unknown fallback step: ${unknown}. Expected one of: ${FALLBACK_STEPS.join(', ')}.`);
+  }
+  return { chain, handler: fallback.handler || null, hasValue: 'value' in fallback, value: fallback.value };
+};
+
+// Most blocks without a stored record whose samples are kept in memory
+const MAX_PENDING_SAMPLE_BLOCKS = 1000;
+
+// Helper to validate the `regression` option; null disables the regression corpus
+const resolveRegression = (option) => {
+  if (option === false) return null;
+  const regression = option === true || !option ? {} : option;
+  return {
+    maxSamples: typeof regression.maxSamples === 'number' ? regression.maxSamples : 20,
+    maxSampleLength: typeof regression.maxSampleLength === 'number' ? regression.maxSampleLength : 10000
+  };
+};
+
+// Helper to list the methods instrument() wraps: own function properties, and for class instances the prototype methods
+const listMethods = (object) => {
+  const names = [];
+  const addMethods = (source, skipConstructor) => {
+    for (const name of Object.getOwnPropertyNames(source)) {
+      const descriptor = Object.getOwnPropertyDescriptor(source, name);
+      if (names.includes(name) || (skipConstructor && name === 'constructor') || !descriptor || typeof descriptor.value !== 'function') continue;
+      if (/^class\b/.test(Function.prototype.toString.call(descriptor.value))) continue;
+      if (source === object && !descriptor.enumerable) continue;
+      names.push(name);
+    }
+  };
+  addMethods(object, false);
+  for (let proto = Object.getPrototypeOf(object); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    addMethods(proto, true);
+  }
+  return names;
+};
+
+// Helper to check that a scope key can be declared as a variable of the same name
+const isBindableName = (name) => {
+  if (!/^[A-Za-z_$][\w$]*$/.test(name)) return false;
+  try {
+    new Function(name, '');
+    return true;
+  } catch {
+    return false; // Reserved word
+  }
+};
+
+// Helper to check that structuredClone copies a value without losing anything: plain objects, arrays and built-in data types
+const isPlainData = (value, seen = new Set()) => {
+  if (value === null || typeof value !== 'object') return typeof value !== 'function' && typeof value !== 'symbol';
+  if (seen.has(value)) return true;
+  seen.add(value);
+  const proto = Object.getPrototypeOf(value);
+  if (Array.isArray(value)) return proto === Array.prototype && value.every(item => isPlainData(item, seen));
+  if (proto === Object.prototype || proto === null) return Object.values(value).every(item => isPlainData(item, seen));
+  if (value instanceof Map && proto === Map.prototype) return [...value].every(entry => isPlainData(entry, seen));
+  if (value instanceof Set && proto === Set.prototype) return [...value].every(item => isPlainData(item, seen));
+  return (value instanceof Date && proto === Date.prototype) || (value instanceof RegExp && proto === RegExp.prototype) ||
+    ArrayBuffer.isView(value);
+};
+
+// Helper to deep-copy an input of a patch; values that cannot be copied faithfully (functions, class instances) are shared
+const copyPatchInput = (value) => {
+  if (!isPlainData(value)) return value;
+  try {
+    return structuredClone(value);
+  } catch {
+    return value;
+  }
+};
+
+// Tracks the block currently executing so nested blocks can report their parent to the LLM
+const blockContext = new AsyncLocalStorage();
+
+/**
+ * Runs code blocks and corrects them with an LLM when they fail.
+ *
+ * Pause is an `EventEmitter`. Every event receives a single payload object that includes the block `id`:
+ * - `execution:start` `{ id, description, source, version }` - a block starts running ('local' or 'db' source).
+ * - `source:db` `{ id, version }` - a stored version runs instead of the local code.
+ * - `source:stale` `{ id, version, policy }` - the local source changed since the active version was stored (reported once per version).
+ * - `execution:success` `{ id, source, version, durationMs }` - a block returned without an error.
+ * - `execution:error` `{ id, source, version, error, errorClass }` - a block threw; `errorClass` is its class (see `ErrorClassifier`), or null without a classifier.
+ * - `execution:retry` `{ id, retry, delayMs, errorClass, error }` - a block failed with an error whose policy is 'retry' and runs again after `delayMs`.
+ * - `correction:joined` `{ id }` - a block failed while it was already being corrected; the call waits for that correction and then runs the chosen version.
+ * - `correction:attempt` `{ id, turn, tokensUsed }` - the LLM is asked for the next step of the correction loop.
+ * - `correction:proposed` `{ id, turn, kind, code }` - the LLM proposed corrected code ('replacement') or an input patch ('patch').
+ * - `correction:saved` `{ id, turn, kind, version }` - a proposal ran successfully and became active.
+ * - `correction:pending` `{ id, turn, kind, proposalId }` - a proposal was stored for approval.
+ * - `correction:policy` `{ id, turn, kind, code, errors, warnings, rejected }` - a proposal violated the code policy; it is rejected if there are errors.
+ * - `correction:regression` `{ id, turn, kind, code, regressions }` - a proposal changed the result of a call in the regression corpus and was rejected.
+ * - `correction:failed` `{ id, turns, tokensUsed, error }` - the correction loop gave up.
+ * - `correction:aborted` `{ id, turns, tokensUsed, reason }` - the `signal` of the call was aborted during the correction.
+ * - `correction:skipped` `{ id, reason }` - a correction budget is used up, the circuit breaker is open or a proposal of the block awaits approval; no LLM call is made.
+ * - `breaker:open` `{ id, until }` - corrections of a block failed repeatedly; no LLM calls are made for it until `until`.
+ * - `breaker:quarantined` `{ id, version, until }` - a stored version failed repeatedly and is not run until `until`.
+ * - `rollout:started` `{ id, version, stage }` - a corrected version was saved and is rolled out gradually instead of becoming active.
+ * - `rollout:mismatch` `{ id, version, result, shadowResult }` - in shadow mode, the new version returned a different result than the current version.
+ * - `rollout:canary` `{ id, version }` - the new version passed shadow mode and now answers a share of the calls.
+ * - `rollout:promoted` `{ id, version }` and `rollout:rolled-back` `{ id, version, reason }` - the rollout ended.
+ * - `fallback:used` `{ id, step, version }` - a failed call was answered by a fallback step ('last-known-good', 'local' or 'value').
+ * - `proposal:approved` `{ id, proposalId, kind, version }` and `proposal:rejected` `{ id, proposalId, reason }`.
+ */
+class Pause extends EventEmitter {
+  /**
+   * Creates an instance of the Pause framework.
+   * @param {Object} [options={}] - Configuration options for the Pause framework.
+   * @param {Object} [options.store] - Versioned storage adapter implementing `getBlock(id)` and `updateBlock(id, updater)` (see `src/storage/blocks.js`), such as `MemoryStore` or `FileStore`. Takes precedence over `getFunctionFromDb`/`saveFunctionToDb`. Defaults to a `MemoryStore` when no storage option is given.
+   * @param {Function} [options.getFunctionFromDb] - Async function to retrieve stored function string by id. Must return a Promise resolving to the string or null. Used through a compatibility shim when no `store` is given.
+   * @param {Function} [options.saveFunctionToDb] - Async function to store corrected function string by id. Must return a Promise. Used through a compatibility shim when no `store` is given.
+   * @param {import('@langchain/openai').ChatOpenAI} [options.llm] - Optional LangChain LLM instance (e.g., ChatOpenAI). If not provided and OPENAI_API_KEY is set, a default ChatOpenAI instance is created.
+   * @param {Object|string} [options.provider] - Correction provider used instead of `llm`: a provider instance (see `src/providers/index.js`), a provider type, or `{ type, toolMode, ...options }`. Defaults to the `PAUSE_PROVIDER` environment variable.
+   * @param {string|Object} [options.cassette] - Record correction requests to, or replay them from, a cassette file: a file path, `{ file, mode: 'record'|'replay', normalize }` or a `CassetteProvider`. Replaying needs no LLM. Defaults to the `PAUSE_CASSETTE` and `PAUSE_CASSETTE_MODE` environment variables.
+   * @param {string} [options.toolMode='native'] - How `llm` calls tools: 'native', or 'json' for models without tool calling (tool calls are read from JSON in the reply). Defaults to the `PAUSE_TOOL_MODE` environment variable.
+   * @param {string} [options.modelName='gpt-4o-mini'] - OpenAI model name to use for the default LLM.
+   * @param {number} [options.temperature=0] - Temperature setting for the default LLM.
+   * @param {number} [options.maxTokens=1024] - Max tokens setting for the default LLM.
+   * @param {number} [options.maxTurns=8] - Maximum number of LLM turns in the correction loop of one failure.
+   * @param {number} [options.maxAiRetries] - Deprecated alias for `maxTurns`.
+   * @param {number} [options.maxCorrectionTokens] - Maximum number of tokens the correction loop of one failure may use. Unlimited by default.
+   * @param {boolean|Object} [options.approval] - Store corrections as pending proposals that must be approved before they become active. Pass `true` or an object.
+   * @param {boolean} [options.approval.executePending=true] - Run a pending proposal once to answer the call that triggered it, and each later failing call until it is decided.
+   *   When false, those calls fail with the original error. No new correction is started while a proposal for the current local source is pending.
+   * @param {Function} [options.approval.onProposal] - Called as `(proposal, { id, description })` for each new proposal. May return (or resolve to) `true`/`false` or `{ approved, reason }` to decide right away; anything else leaves the proposal pending.
+   * @param {boolean|Object|Sandbox} [options.sandbox] - Run DB and AI-generated code (including candidates tested during correction) in a sandbox. Pass `true`, `Sandbox` options or a `Sandbox` instance.
+   * @param {Object|boolean} [options.fallback] - Where to look for a result when a block fails and cannot be corrected. Off by default, so the error is thrown.
+   *   Pass `true` or `{ chain, value, handler }`. `chain` lists the steps in order (default `['last-known-good', 'local', 'value']`): the newest other stored version
+   *   that has run successfully before, the local `fnOrCode` (when a stored version failed), and `handler(error, { id, scope, args })` or else `value`
+   *   when one of them is given. When every step fails, the error of the failed correction is thrown.
+   * @param {boolean|Object|CircuitBreaker} [options.breaker] - Per-block circuit breaker (see `CircuitBreaker`): quarantines stored versions that
+   *   fail `failureThreshold` times in a row and stops LLM calls for a block whose corrections failed that often, both for `cooldownMs`.
+   *   Pass `true`, `CircuitBreaker` options or an instance to share between instances. Off by default.
+   * @param {boolean|Object|RolloutPolicy} [options.rollout] - Roll corrected versions out gradually instead of activating them when they are saved
+   *   (see `RolloutPolicy`): first in shadow mode for `shadowCalls` calls, run alongside the current version with the results compared and the current
+   *   result returned, then as a canary answering `canaryPercent` of the calls for `canaryCalls` calls. The version is then promoted, or rolled back
+   *   as soon as it exceeds `maxMismatches` or `maxErrorRate`. Pass `true`, `RolloutPolicy` options or an instance. Off by default.
+   * @param {Object|ErrorClassifier|boolean} [options.classifier] - Sorts errors into defects, transient, input and fatal errors and picks the action for
+   *   each class (see `ErrorClassifier`): correct with the LLM, retry with backoff, correct with an input patch only, or rethrow right away.
+   *   Off by default, so every error is corrected. Pass `true` for the built-in rules, `ErrorClassifier` options (`rules`, `policies`, `retry`)
+   *   or an instance. The class is recorded with the correction.
+   * @param {Object|CorrectionBudget} [options.budget] - Limits on AI corrections (see `CorrectionBudget`): `maxCorrectionsPerBlock` within `correctionWindowMs`, `maxTokensPerDay`, `maxCost` and `pricing`. Once a limit is reached, `run()` rethrows the original error without calling the LLM. Pass a `CorrectionBudget` instance to share a budget between instances.
+   * @param {number} [options.timeoutMs] - Time limit for each execution of a block (including stored versions, candidates and proposals). A timeout is
+   *   an error with code 'ERR_PAUSE_TIMEOUT' that is corrected like any other. Synchronous code that never returns can only be stopped in the `sandbox`. Unlimited by default.
+   * @param {Object<string, Object|Function|ResultContract>} [options.contracts] - Result contracts by block ID (see `ResultContract`): a JSON `schema`,
+   *   a `check(result, args)` predicate and/or `examples`. A result that violates the contract is an error with code 'ERR_PAUSE_CONTRACT' that is corrected
+   *   like any other, and corrections must satisfy the contract before they are saved. A `contract` passed to `run()` or `wrap()` takes precedence.
+   * @param {Object|boolean} [options.regression] - Regression corpus: the arguments and results of up to `maxSamples` (default 20) successful calls
+   *   per block and local source are kept, and every proposed correction is replayed against them before it is saved. They are stored with the block
+   *   record once the block has one (after its first correction); until then they are kept in memory. A proposal that changes one
+   *   of those results is rejected. Calls whose arguments or result do not survive a JSON round trip, or whose JSON is longer than `maxSampleLength`
+   *   (default 10000), are not sampled. Pass `false` to disable it, for example for blocks with side effects or results that change between calls.
+   * @param {AbortSignal} [options.signal] - Aborts every block of the instance: waiting for the block and the correction loop stop, and `run()` rejects with the abort reason.
+   * @param {string} [options.onSourceChange='prefer-local-on-change'] - What to do when the local source of a block changed since its active version was stored:
+   *   'prefer-local-on-change' runs the local code instead, 'warn' keeps running the stored version, 're-correct' asks the LLM for a new version
+   *   based on the new source (running the local code if that fails), and 'ignore' always runs the stored version. Pinned versions always run.
+   * @param {Object|PolicyEngine|boolean} [options.policy] - Static checks on proposed code before it is tested or saved (see `PolicyEngine`): forbidden identifiers and modules, dynamic `import()`, arity changes and dropped `async`, with `rules` levels and per-block overrides under `blocks`. Violations are reported to the LLM as the reason for the rejection. Off by default; pass `true` for the defaults, `PolicyEngine` options or an instance.
+   * @param {Object|ContextSerializer} [options.serializer] - How failure context (arguments, scope, errors, stack traces, tool results) is serialized and redacted before it is sent to the LLM (see `ContextSerializer`): size limits `maxDepth`, `maxStringLength`, `maxArrayLength`, `maxKeys`, and redaction with `redactKeys`, `redactPatterns`, `redactor` and `defaultRedaction`.
+   * @param {boolean|string|Object} [options.logger] - Where to log. Nothing is logged by default. Pass `true` or a level ('debug', 'info', 'warn', 'error') for text lines on stderr, `{ level, format: 'json', write }` for structured output, or an object with `debug`/`info`/`warn`/`error` methods called as `(message, fields)`.
+   * @param {...any} args - Arguments to pass to the function.
+   * @returns {Promise<any>} - The result of the function execution.
+   * @throws {Error} If fnOrCode is invalid type, execution fails (including DB code execution errors), or AI correction fails after retries.
+   */
+  constructor(options = {}) {
+    super();
+    this.logger = resolveLogger(options.logger);
+
+    if (options.store) {
+      this.store = options.store;
+    } else if (options.getFunctionFromDb || options.saveFunctionToDb) {
+      this.store = new LegacyFunctionStore(
+        options.getFunctionFromDb || (async () => null),
+        options.saveFunctionToDb || (async () => {})
+      );
+    } else {
+      this.store = new MemoryStore();
+    }
+    if (typeof options.maxTurns === 'number') {
+      this.maxTurns = options.maxTurns;
+    } else {
+      this.maxTurns = typeof options.maxAiRetries === 'number' ? options.maxAiRetries : 8;
+    }
+    this.maxCorrectionTokens = typeof options.maxCorrectionTokens === 'number' ? options.maxCorrectionTokens : null;
+    this.timeoutMs = typeof options.timeoutMs === 'number' ? options.timeoutMs : null;
+    this.signal = options.signal || null;
+    this.contracts = Object.fromEntries(Object.entries(options.contracts || {}).map(([id, spec]) => [id, ResultContract.from(spec)]));
+    this.regression = resolveRegression(options.regression);
+    // Samples of blocks without a stored record, by block ID; they are written once the block has a record
+    this.pendingSamples = new Map();
+
+    if (options.approval) {
+      const approval = options.approval === true ? {} : options.approval;
+      this.approval = {
+        executePending: approval.executePending !== false,
+        onProposal: approval.onProposal || null
+      };
+    } else {
+      this.approval = null;
+    }
+
+    this.onSourceChange = resolveSourceChangePolicy(options.onSourceChange);
+    this._staleReported = new Set();
+    this._inflight = new Map();
+
+    this.budget = options.budget instanceof CorrectionBudget ? options.budget : new CorrectionBudget(options.budget || {});
+
+    if (options.breaker instanceof CircuitBreaker) {
+      this.breaker = options.breaker;
+    } else if (options.breaker) {
+      this.breaker = new CircuitBreaker(options.breaker === true ? {} : options.breaker);
+    } else {
+      this.breaker = null;
+    }
+
+    this.fallback = resolveFallback(options.fallback);
+
+    if (options.rollout instanceof RolloutPolicy) {
+      this.rollout = options.rollout;
+    } else if (options.rollout) {
+      this.rollout = new RolloutPolicy(options.rollout === true ? {} : options.rollout);
+    } else {
+      this.rollout = null;
+    }
+
+    if (options.classifier instanceof ErrorClassifier) {
+      this.classifier = options.classifier;
+    } else if (options.classifier) {
+      this.classifier = new ErrorClassifier(options.classifier === true ? {} : options.classifier);
+    } else {
+      this.classifier = null;
+    }
+
+    if (options.policy instanceof PolicyEngine) {
+      this.policy = options.policy;
+    } else if (options.policy) {
+      this.policy = new PolicyEngine(options.policy === true ? {} : options.policy);
+    } else {
+      this.policy = null;
+    }
+
+    this.serializer = options.serializer instanceof ContextSerializer ? options.serializer : new ContextSerializer(options.serializer || {});
+
+    if (options.sandbox instanceof Sandbox) {
+      this.sandbox = options.sandbox;
+    } else if (options.sandbox) {
+      this.sandbox = new Sandbox(options.sandbox === true ? {} : options.sandbox);
+    } else {
+      this.sandbox = null;
+    }
+
+    this.toolMode = options.toolMode || process.env.PAUSE_TOOL_MODE || 'native';
+    this.provider = createProvider(options.provider, process.env);
+    this.cassette = createCassette(options.cassette, process.env);
+    this._llmProvider = null;
+
+    this.llm = options.llm;
+    if (this.provider) {
+      this.logger.info('Correction provider configured', { provider: this.provider.name, model: this.provider.model });
+    } else if (!this.llm && process.env.OPENAI_API_KEY) {
+      try {
+        this.llm = new ChatOpenAI({
+          modelName: options.modelName || 'gpt-4o-mini', 
+          temperature: options.temperature || 0,
+          maxTokens: options.maxTokens || 1024
+        });
+        this.logger.info('LLM initialized via OPENAI_API_KEY', { model: this.llm.modelName });
+      } catch (llmError) {
+        this.logger.error('Failed to initialize LLM from API key', { error: llmError });
+        this.llm = null;
+      }
+    } else if (this.llm) {
+      this.logger.info('LLM provided in options');
+    } else {
+      this.logger.info('LLM not configured');
+    }
+  }
+
+  /**
+   * Executes a given function or code string associated with an ID.
+   * If code exists in the database for the ID, it's executed instead of `fnOrCode`.
+   * Active input patches for the ID are applied to `scope` and `args` before execution.
+   * Handles errors by running a tool-calling loop in which the LLM can inspect the failure,
+   * test candidates and finally propose either a corrected block or an input patch.
+   * @param {string} id - The unique identifier for this code block.
+   * @param {string} description - A natural language description of what the code should do.
+   * @param {Function|string} fnOrCode - The function or code string to execute (used if no DB code).
+   * @param {Object|Function} [scope={}] - Variables available by name to code strings, DB code and corrected code, and shown to the LLM.
+   *   Pass a resolver such as `(name) => eval(name)` instead to capture the closure variables `fnOrCode` uses automatically.
+   * @param {...any} args - Arguments to pass to the function.
+   * @returns {Promise<any>} - The result of the function execution.
+   * @throws {Error} If fnOrCode is invalid type, execution fails (including DB code execution errors), or AI correction fails within its turn/token budget.
+   *   If the call is aborted, the abort reason.
+   *
+   * Instead of the positional arguments, `run()` also takes one options object `{ id, description, fn, scope, args }` with per-call
+   * overrides of `maxTurns`, `maxCorrectionTokens`, `onSourceChange`, `fallback`, `timeoutMs`, `contract` and `regression`, and a `signal` to abort the call.
+   */
+  async run(id, description, fnOrCode, scope = {}, ...args) {
+    if (id !== null && typeof id === 'object') {
+      const { id: blockId, description: blockDescription, fn, scope: blockScope = {}, args: blockArgs = [], ...options } = id;
+      const overrides = this._resolveOverrides(options, 'run', ['id', 'description', 'fn', 'scope', 'args']);
+      return this._invoke(blockId, blockDescription, fn, blockScope, blockArgs, { overrides });
+    }
+    return this._invoke(id, description, fnOrCode, scope, args);
+  }
+
+  /**
+   * Returns a drop-in replacement for a function that runs it as a block, like `run()`.
+   * The wrapper takes the same arguments, passes its `this` on to the function and keeps its `name` and `length`,
+   * but always returns a promise.
+   * @param {string} id - The unique identifier for this code block.
+   * @param {string} description - A natural language description of what the code should do.
+   * @param {Function} fn - The function to wrap.
+   * @param {Object} [options={}] - Options for every call of the wrapper.
+   * @param {Object|Function} [options.scope={}] - The scope of the block (see `run()`).
+   * @param {number} [options.maxTurns] - Overrides the instance setting for this block.
+   * @param {number} [options.maxCorrectionTokens] - Overrides the instance setting for this block.
+   * @param {string} [options.onSourceChange] - Overrides the instance setting for this block.
+   * @param {Object|boolean} [options.fallback] - Overrides the instance setting for this block.
+   * @param {number} [options.timeoutMs] - Overrides the instance setting for this block.
+   * @param {AbortSignal} [options.signal] - Aborts every call of the wrapper, in addition to the instance signal.
+   * @param {Object|Function|ResultContract} [options.contract] - The result contract of the block (see the `contracts` option).
+   * @param {Object|boolean} [options.regression] - Overrides the instance setting for this block.
+   * @returns {Function} - The wrapped function.
+   * @throws {Error} If `fn` is not a function or an option is unknown.
+   */
+  wrap(id, description, fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new Error('[Pause] Invalid type for fn: wrap() expects a function.');
+    }
+    const { scope = {}, ...overrideOptions } = options;
+    const overrides = this._resolveOverrides(overrideOptions, 'wrap', ['scope']);
+    const pause = this;
+    const wrapped = function (...args) {
+      return pause._invoke(id, description, fn, scope, args, { thisArg: this, overrides });
+    };
+    Object.defineProperty(wrapped, 'name', { value: fn.name });
+    Object.defineProperty(wrapped, 'length', { value: fn.length });
+    return wrapped;
+  }
+
+  /**
+   * Wraps every method of a module or object with `wrap()`, using `${prefix}.${name}` as the block ID.
+   * Methods are the object's own function properties and, for class instances, the methods of its class and superclasses.
+   * Objects are instrumented in place; modules and other non-extensible objects are copied.
+   * @param {Object} object - The module namespace, plain object or class instance.
+   * @param {Object} [options={}] - Options for the wrapped methods; the `wrap()` options apply to every method.
+   * @param {string} [options.prefix] - The block ID prefix. Defaults to the class name of an instance; required for plain objects and modules.
+   * @param {Object} [options.descriptions={}] - Descriptions by method name. Methods without one are described by name.
+   * @returns {Object} - The instrumented object.
+   * @throws {Error} If no prefix is given or can be derived.
+   */
+  instrument(object, options = {}) {
+    const constructorName = object && object.constructor && object.constructor.name;
+    const { prefix = constructorName !== 'Object' ? constructorName : undefined, descriptions = {}, ...wrapOptions } = options;
+    if (!prefix) {
+      throw new Error('[Pause] instrument() needs a prefix for the block IDs of a plain object or module.');
+    }
+    const target = Object.isExtensible(object) ? object : { ...object };
+    for (const name of listMethods(object)) {
+      const description = descriptions[name] || `The ${name} method of ${prefix}.`;
+      target[name] = this.wrap(`${prefix}.${name}`, description, object[name], wrapOptions);
+    }
+    return target;
+  }
+
+  /**
+   * Returns every input patch stored for a block, oldest first.
+   * Patches are data fixes and are kept apart from the code versions returned by `history()`.
+   * @param {string} id - The unique identifier for the code block.
+   * @returns {Promise<Object[]>} - The patches, each flagged with `active`.
+   */
+  async patchHistory(id) {
+    const block = await this.store.getBlock(id);
+    return block && block.patches ? block.patches : [];
+  }
+
+  /**
+   * Deactivates all input patches of a block. The patches stay in the patch history.
+   * @param {string} id - The unique identifier for the code block.
+   * @returns {Promise<void>}
+   */
+  async clearPatches(id) {
+    await this.store.updateBlock(id, (current) => {
+      if (current && current.patches) {
+        current.patches.forEach(p => { p.active = false; });
+      }
+      return current;
+    });
+    this.logger.info('Cleared patches', { id });
+  }
+
+  /**
+   * Returns the correction proposals of a block, oldest first.
+   * @param {string} id - The unique identifier for the code block.
+   * @param {Object} [options={}] - Filter options.
+   * @param {string} [options.status] - Only return proposals with this status ('pending', 'approved' or 'rejected').
+   * @returns {Promise<Object[]>} - The proposals.
+   */
+  async proposals(id, options = {}) {
+    const block = await this.store.getBlock(id);
+    const proposals = block && block.proposals ? block.proposals : [];
+    return options.status ? proposals.filter(p => p.status === options.status) : proposals;
+  }
+
+  /**
+   * Approves a pending proposal: corrected code becomes the active version, a patch becomes an active patch.
+   * @param {string} id - The unique identifier for the code block.
+   * @param {number} proposalId - The proposal to approve.
+   * @returns {Promise<Object>} - The version (or patch) created from the proposal.
+   * @throws {Error} If the proposal does not exist or was already decided.
+   */
+  async approve(id, proposalId) {
+    let created = null;
+    let kind = null;
+    let rollout = null;
+    await this.store.updateBlock(id, (current) => {
+      const previousVersion = current ? current.activeVersion : null;
+      const proposal = this._assertPendingProposal(current, id, proposalId);
+      const { code, source, error, errorClass, model, attempt, originalCode, sourceHash } = proposal;
+      kind = proposal.kind;
+      if (kind === 'patch') {
+        appendPatch(current, id, { code, source, error, errorClass, model, attempt });
+        created = current.patches[current.patches.length - 1];
+      } else {
+        appendVersion(current, id, { code, source, error, errorClass, model, attempt, originalCode, sourceHash });
+        created = current.versions[current.versions.length - 1];
+        rollout = this._beginRollout(current, previousVersion);
+      }
+      proposal.status = 'approved';
+      proposal.decidedAt = new Date().toISOString();
+      proposal.version = created.version;
+      return current;
+    });
+    this.logger.info('Approved proposal', { id, proposalId, kind, version: created.version });
+    this._emit('proposal:approved', { id, proposalId, kind, version: created.version });
+    if (rollout) this._reportRollout(id, rollout);
+    return created;
+  }
+
+  /**
+   * Rejects a pending proposal. The reason is shown to the LLM in later corrections of the block.
+   * @param {string} id - The unique identifier for the code block.
+   * @param {number} proposalId - The proposal to reject.
+   * @param {string} [reason] - Why the proposal was rejected.
+   * @returns {Promise<void>}
+   * @throws {Error} If the proposal does not exist or was already decided.
+   */
+  async reject(id, proposalId, reason) {
+    await this.store.updateBlock(id, (current) => {
+      const proposal = this._assertPendingProposal(current, id, proposalId);
+      proposal.status = 'rejected';
+      proposal.decidedAt = new Date().toISOString();
+      proposal.reason = reason || null;
+      return current;
+    });
+    this.logger.info('Rejected proposal', { id, proposalId, reason: reason || null });
+    this._emit('proposal:rejected', { id, proposalId, reason: reason || null });
+  }
+
+  /**
+   * Returns every stored version of a block, oldest first.
+   * @param {string} id - The unique identifier for the code block.
+   * @returns {Promise<Object[]>} - The versions, each flagged with `active` and `pinned`, and with the stage of its `rollout` (or null).
+   */
+  async history(id) {
+    const block = await this.store.getBlock(id);
+    if (!block) return [];
+    return block.versions.map(v => ({
+      ...v,
+      active: v.version === block.activeVersion,
+      pinned: v.version === block.pinnedVersion,
+      rollout: block.rollout && block.rollout.version === v.version ? block.rollout.stage : null
+    }));
+  }
+
+  /**
+   * Makes a previously stored version the active version of a block, ending a rollout in progress.
+   * @param {string} id - The unique identifier for the code block.
+   * @param {number} version - The version number to activate.
+   * @returns {Promise<Object>} - The activated version.
+   * @throws {Error} If the version does not exist or the block is pinned to another version.
+   */
+  async rollback(id, version) {
+    const block = await this.store.updateBlock(id, (current) => {
+      this._assertVersionExists(current, id, version);
+      if (current.pinnedVersion != null && current.pinnedVersion !== version) {
+        throw new Error(`[Pause] Block ID ${id} is pinned to version ${current.pinnedVersion}. Unpin it before rolling back.`);
+      }
+      current.activeVersion = version;
+      current.rollout = null;
+      return current;
+    });
+    this.logger.info('Rolled back block', { id, version });
+    return findVersion(block, version);
+  }
+
+  /**
+   * Pins a block to a version: it becomes active, a rollout in progress ends and later corrections are stored without being activated.
+   * @param {string} id - The unique identifier for the code block.
+   * @param {number} version - The version number to pin.
+   * @returns {Promise<Object>} - The pinned version.
+   * @throws {Error} If the version does not exist.
+   */
+  async pin(id, version) {
+    const block = await this.store.updateBlock(id, (current) => {
+      this._assertVersionExists(current, id, version);
+      current.activeVersion = version;
+      current.pinnedVersion = version;
+      current.rollout = null;
+      return current;
+    });
+    this.logger.info('Pinned block', { id, version });
+    return findVersion(block, version);
+  }
+
+  /**
+   * Removes the pin from a block. The active version is left unchanged.
+   * @param {string} id - The unique identifier for the code block.
+   * @returns {Promise<void>}
+   */
+  async unpin(id) {
+    await this.store.updateBlock(id, (current) => {
+      if (current) current.pinnedVersion = null;
+      return current;
+    });
+    this.logger.info('Unpinned block', { id });
+  }
+
+  /**
+   * Lists the IDs of all stored blocks.
+   * @returns {Promise<string[]>} - The block IDs, sorted.
+   * @throws {Error} If the storage adapter does not implement `listBlocks()`.
+   */
+  async listBlocks() {
+    if (typeof this.store.listBlocks !== 'function') {
+      throw new Error('[Pause] The configured store does not support listing blocks.');
+    }
+    return (await this.store.listBlocks()).sort();
+  }
+
+  /**
+   * Deletes a block with all of its versions, patches and proposals.
+   * @param {string} id - The unique identifier for the code block.
+   * @returns {Promise<void>}
+   */
+  async deleteBlock(id) {
+    if (typeof this.store.deleteBlock === 'function') {
+      await this.store.deleteBlock(id);
+    } else {
+      await this.store.updateBlock(id, () => null);
+    }
+    this.logger.info('Deleted block', { id });
+  }
+
+  /**
+   * Exports block records to a JSON-serializable bundle.
+   * @param {string[]} [ids] - The blocks to export. Defaults to every stored block.
+   * @returns {Promise<Object>} - The bundle (`{ format, exportedAt, blocks }`).
+   */
+  async exportBlocks(ids) {
+    const blocks = [];
+    for (const id of ids || await this.listBlocks()) {
+      const block = await this.store.getBlock(id);
+      if (block) blocks.push(block);
+    }
+    return { format: 'pause-blocks@1', exportedAt: new Date().toISOString(), blocks };
+  }
+
+  /**
+   * Imports block records from a bundle created by `exportBlocks()`.
+   * @param {Object} bundle - The bundle to import.
+   * @param {Object} [options={}] - Import options.
+   * @param {boolean} [options.overwrite=false] - Replace blocks that already exist instead of skipping them.
+   * @returns {Promise<{imported: string[], skipped: string[]}>} - The IDs that were imported and skipped.
+   * @throws {Error} If the bundle has an unknown format.
+   */
+  async importBlocks(bundle, options = {}) {
+    if (!bundle || bundle.format !== 'pause-blocks@1' || !Array.isArray(bundle.blocks)) {
+      throw new Error('[Pause] Invalid block bundle: expected format "pause-blocks@1".');
+    }
+    const imported = [];
+    const skipped = [];
+    for (const block of bundle.blocks) {
+      let written = false;
+      await this.store.updateBlock(block.id, (current) => {
+        if (current && !options.overwrite) return current;
+        written = true;
+        return block;
+      });
+      (written ? imported : skipped).push(block.id);
+    }
+    this.logger.info('Imported blocks', { imported: imported.length, skipped: skipped.length });
+    return { imported, skipped };
+  }
+
+  /**
+   * Returns the token usage, cost and number of AI corrections, in total and per block.
+   * With a circuit breaker, `breakers` holds the breaker state of each block with recorded failures.
+   * @returns {Object} - The usage counters (see `CorrectionBudget#stats` and `CircuitBreaker#stats`).
+   */
+  stats() {
+    const stats = this.budget.stats();
+    return this.breaker ? { ...stats, breakers: this.breaker.stats() } : stats;
+  }
+
+  /**
+   * Writes the stored corrections back into source code by replacing the code argument
+   * of each `pause.run('<id>', ...)` call site with the active version of that block.
+   * @param {string|{source: string, filename?: string}} target - A file or directory path, or an object holding source code.
+   * @param {Object} [options={}] - Generation options.
+   * @param {boolean} [options.write=false] - Write rewritten files back to disk instead of only returning them.
+   * @param {string[]} [options.extensions=['.js', '.mjs', '.cjs']] - File extensions scanned in directories.
+   * @param {string[]} [options.calleeNames=['pause']] - Names the Pause instance is referred to by at call sites.
+   * @param {string[]} [options.ids] - Only rewrite these block IDs.
+   * @returns {Promise<Object[]>} - One entry per changed file with `file`, `changes`, the rewritten `output` and a unified diff `patch`.
+   */
+  async generate(target, options = {}) {
+    const results = await generate(target, async (id) => {
+      const activeVersion = getActiveVersion(await this.store.getBlock(id));
+      return activeVersion ? activeVersion.code : null;
+    }, options);
+    this.logger.info('Generated rewritten files', { files: results.length, written: Boolean(options.write) });
+    return results;
+  }
+
+  /**
+   * Turns the regression corpus of a block into a Jest test file, with one test per recorded call.
+   * The calls recorded for the local source that ran last are used.
+   * @param {string} id - The unique identifier for the code block.
+   * @param {Object} [options={}] - Export options.
+   * @param {string} [options.importPath] - Module exporting the function under test, as imported from the test file.
+   *   Without it, the active stored version of the block is embedded in the file.
+   * @param {string} [options.exportName='default'] - The export of `importPath` to test.
+   * @param {string} [options.dir='.'] - Directory of the test file, named `<id>.regression.test.js`.
+   * @param {boolean} [options.write=false] - Write the file to disk instead of only returning it.
+   * @returns {Promise<{file: string, output: string, tests: number}>} - The path and source of the test file, and its number of tests.
+   * @throws {Error} If no calls were recorded for the block, or it has no active version and no `importPath` is given.
+   */
+  async exportRegressionTests(id, options = {}) {
+    const exported = await exportRegressionTests(this._corpus(id, await this.store.getBlock(id)), id, options);
+    this.logger.info('Exported regression tests', { id, file: exported.file, tests: exported.tests, written: Boolean(options.write) });
+    return exported;
+  }
+
+  // --- Private Helper Methods ---
+
+  /**
+   * Starts a block: validates it, resolves the scope and runs it in a new execution frame.
+   * @private
+   * @param {string} id - The unique identifier for this code block.
+   * @param {string} description - A natural language description of what the code should do.
+   * @param {Function|string} fnOrCode - The function or code string to execute.
+   * @param {Object|Function} scope - The scope object or closure resolver.
+   * @param {any[]} args - Arguments to pass to the function.
+   * @param {Object} [call={}] - `thisArg` for the function and setting `overrides` (from `run()` options or `wrap()`).
+   * @returns {Promise<any>} - The result of the block.
+   */
+  async _invoke(id, description, fnOrCode, scope, args, call = {}) {
+    if (typeof fnOrCode !== 'function' && typeof fnOrCode !== 'string') {
+      throw new Error('[Pause] Invalid type for fnOrCode: must be a function or string.');
+    }
+    const { signal: callSignal, ...overrides } = call.overrides || {};
+    const signals = [this.signal, callSignal].filter(Boolean);
+    const signal = signals.length > 1 ? AbortSignal.any(signals) : signals[0] || null;
+    if (signal) signal.throwIfAborted();
+    if (typeof scope === 'function') {
+      scope = captureClosure(fnOrCode, scope);
+    }
+
+    const originalCodeString = typeof fnOrCode === 'function' ? fnOrCode.toString() : fnOrCode;
+    const frame = {
+      id,
+      description,
+      code: originalCodeString,
+      parent: blockContext.getStore() || null,
+      thisArg: call.thisArg,
+      overrides,
+      signal
+    };
+    return blockContext.run(frame, () => this._runBlock(frame, fnOrCode, scope, args));
+  }
+
+  /**
+   * Validates and normalizes per-block setting overrides.
+   * @private
+   * @param {Object} options - Overrides by setting name (see `CALL_OVERRIDES`).
+   * @param {string} method - The method the options were passed to (for error messages).
+   * @param {string[]} ownOptions - The other options of the method (for error messages).
+   * @returns {Object} - The normalized overrides.
+   * @throws {Error} If an option is unknown or invalid.
+   */
+  _resolveOverrides(options, method, ownOptions) {
+    const overrides = {};
+    for (const [name, value] of Object.entries(options)) {
+      if (!CALL_OVERRIDES.includes(name)) {
+        throw new Error(`[Pause] Unknown ${method} option: ${name}. Expected one of: ${[...ownOptions, ...CALL_OVERRIDES].join(', ')}.`);
+      }
+      if (name === 'onSourceChange') {
+        overrides[name] = resolveSourceChangePolicy(value);
+      } else if (name === 'fallback') {
+        overrides[name] = resolveFallback(value);
+      } else if (name === 'contract') {
+        overrides[name] = ResultContract.from(value);
+      } else if (name === 'regression') {
+        overrides[name] = resolveRegression(value);
+      } else {
+        overrides[name] = value;
+      }
+    }
+    return overrides;
+  }
+
+  /**
+   * Returns the settings that apply to a block: the instance settings with the overrides of its frame.
+   * @private
+   * @param {Object} frame - The execution frame.
+   * @returns {{maxTurns: number, maxCorrectionTokens: number|null, onSourceChange: string, fallback: Object|null, timeoutMs: number|null, contract: ResultContract|null}} - The settings.
+   */
+  _settings(frame) {
+    return {
+      maxTurns: this.maxTurns,
+      maxCorrectionTokens: this.maxCorrectionTokens,
+      onSourceChange: this.onSourceChange,
+      fallback: this.fallback,
+      timeoutMs: this.timeoutMs,
+      contract: this.contracts[frame.id] || null,
+      regression: this.regression,
+      ...frame.overrides
+    };
+  }
+
+  /**
+   * Executes a block within its time limit and checks the result against its contract.
+   * @private
+   * @param {Object} frame - The execution frame.
+   * @param {Object|null} activeVersion - The stored version to run, or null to run the local code.
+   * @param {Function|string} fnOrCode - The local function or code string.
+   * @param {Object} scope - Scope object for the block.
+   * @param {any[]} args - Arguments to pass to the block.
+   * @returns {Promise<any>} - The result of the block.
+   * @throws {Error} If the block fails or times out, or an error with code 'ERR_PAUSE_CONTRACT' if the result violates the contract.
+   */
+  async _executeChecked(frame, activeVersion, fnOrCode, scope, args) {
+    const result = await this._guard(frame, () => this._executeBlock(frame.id, activeVersion, fnOrCode, scope, args, frame.thisArg));
+    const { contract } = this._settings(frame);
+    if (contract) {
+      const violations = await contract.validate(result, args);
+      if (violations.length > 0) throw contractError(frame.id, violations, result);
+    }
+    return result;
+  }
+
+  /**
+   * Runs proposed code against every example of the block's contract.
+   * @private
+   * @param {Object} frame - The execution frame.
+   * @param {string} code - The proposed function string.
+   * @param {Object} scope - Scope object for the block.
+   * @returns {Promise<string[]>} - One message per violation; empty if the code returns the expected result for every example.
+   */
+  async _checkExamples(frame, code, scope) {
+    const { contract } = this._settings(frame);
+    const violations = [];
+    for (const { input } of contract ? contract.examples : []) {
+      try {
+        const result = await this._guard(frame, () => this._executeFunctionString(code, frame.id, input, scope, frame.thisArg));
+        violations.push(...await contract.validate(result, input));
+      } catch (exampleError) {
+        if (this._isAborted(frame)) throw exampleError;
+        violations.push(`for the arguments ${this.serializer.serialize(input)} it threw: ${exampleError.message}`);
+      }
+    }
+    return violations;
+  }
+
+  /**
+   * Replays the regression corpus of a block against a proposal. Samples with the arguments of the failing call are skipped.
+   * @private
+   * @param {Object} context - The failure context (see `_runCorrectionLoop`).
+   * @param {string} kind - 'replacement' for corrected code, 'patch' for an input patch.
+   * @param {string} code - The proposed function string.
+   * @returns {Promise<string[]>} - One message per sample whose result the proposal changes.
+   */
+  async _checkRegressions(context, kind, code) {
+    const { frame, block, scope, args, fnOrCode, activeVersion } = context;
+    const { regression } = this._settings(frame);
+    if (!regression) return [];
+    const failing = toSample(args, null, Infinity);
+    const failingArgs = failing ? JSON.stringify(failing.args) : null;
+    const regressions = [];
+    for (const sample of getSamples(this._corpus(frame.id, block), hashSource(frame.code))) {
+      if (sample.unstable || JSON.stringify(sample.args) === failingArgs) continue;
+      const sampleArgs = JSON.parse(JSON.stringify(sample.args));
+      try {
+        let result;
+        if (kind === 'patch') {
+          const patched = await this._applyPatch(code, frame.id, scope, sampleArgs);
+          result = await this._guard(frame, () => this._executeBlock(frame.id, activeVersion, fnOrCode, patched.scope, patched.args, frame.thisArg));
+        } else {
+          result = await this._guard(frame, () => this._executeFunctionString(code, frame.id, sampleArgs, scope, frame.thisArg));
+        }
+        if (!matchesSample(sample, result)) {
+          regressions.push(`for the arguments ${this.serializer.serialize(sample.args)} the result was ${this.serializer.serialize(sample.result)}, got ${this.serializer.serialize(result)}`);
+        }
+      } catch (replayError) {
+        if (this._isAborted(frame)) throw replayError;
+        regressions.push(`for the arguments ${this.serializer.serialize(sample.args)} the result was ${this.serializer.serialize(sample.result)}, but it threw: ${replayError.message}`);
+      }
+    }
+    return regressions;
+  }
+
+  /**
+   * Checks whether the call of a block was aborted through its signal.
+   * @private
+   * @param {Object} frame - The execution frame.
+   * @returns {boolean} - Whether the call was aborted.
+   */
+  _isAborted(frame) {
+    return Boolean(frame.signal && frame.signal.aborted);
+  }
+
+  /**
+   * Waits for part of a call within its time limit, and stops waiting when the call is aborted.
+   * The work itself is not interrupted; synchronous code that never returns can only be stopped in the sandbox.
+   * @private
+   * @param {Object} frame - The execution frame.
+   * @param {Function} task - Starts the work and returns its result or promise.
+   * @param {number|null} [timeoutMs] - The time limit. Defaults to the `timeoutMs` setting of the block; null for none.
+   * @returns {Promise<any>} - The result of the task.
+   * @throws {Error} The abort reason, an error with code 'ERR_PAUSE_TIMEOUT' when the time limit is reached, or the error of the task.
+   */
+  async _guard(frame, task, timeoutMs = this._settings(frame).timeoutMs) {
+    const signal = frame.signal;
+    if (!timeoutMs && !signal) return task();
+    if (signal) signal.throwIfAborted();
+
+    const running = Promise.resolve().then(task);
+    running.catch(() => {}); // The task may still fail after the time limit; that is no longer reported
+    let timer = null;
+    let onAbort = null;
+    const stopped = new Promise((resolve, reject) => {
+      if (timeoutMs) timer = setTimeout(() => reject(timeoutError(frame.id, timeoutMs)), timeoutMs);
+      if (signal) {
+        onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+    try {
+      return await Promise.race([running, stopped]);
+    } finally {
+      clearTimeout(timer);
+      if (onAbort) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Emits an event without letting a failing listener break the block that triggered it.
+   * @private
+   * @param {string} event - The event name.
+   * @param {Object} payload - The event payload.
+   */
+  _emit(event, payload) {
+    try {
+      this.emit(event, payload);
+    } catch (listenerError) {
+      this.logger.error('Event listener failed', { event, error: listenerError });
+    }
+  }
+
+  /**
+   * Reports that a correction was not attempted (or not continued) because a budget is used up or the circuit breaker is open.
+   * @private
+   * @param {string} id - The unique identifier for the code block.
+   * @param {string} reason - The budget that was reached, or the breaker state.
+   */
+  _skipCorrection(id, reason) {
+    this.logger.warn('Correction skipped; rethrowing the original error', { id, reason });
+    this._emit('correction:skipped', { id, reason });
+  }
+
+  /**
+   * Returns the correction provider: the `provider` option, or an adapter around `this.llm`,
+   * wrapped in the cassette if one is configured.
+   * The adapter is created lazily so an `llm` assigned after construction is picked up.
+   * @private
+   * @returns {Object|null} - The provider, or null if no LLM (or cassette) is configured.
+   */
+  _getProvider() {
+    let provider = this.provider;
+    if (!provider && this.llm) {
+      if (!this._llmProvider || this._llmProvider.llm !== this.llm) {
+        this._llmProvider = { llm: this.llm, provider: applyToolMode(new LangChainProvider(this.llm), this.toolMode) };
+      }
+      provider = this._llmProvider.provider;
+    }
+    if (this.cassette) {
+      this.cassette.provider = provider || null;
+      return this.cassette;
+    }
+    return provider || null;
+  }
+
+  /**
+   * Runs a block inside its execution frame and starts the correction loop on errors.
+   * @private
+   * @param {Object} frame - The execution frame (`id`, `description`, `code` and the `parent` frame).
+   * @param {Function|string} fnOrCode - The function or code string to execute (used if no DB code).
+   * @param {Object} scope - Variables available to code strings by name.
+   * @param {any[]} args - Arguments to pass to the function.
+   * @param {boolean} [joined=false] - Whether the call already waited for a correction of the block; errors are then thrown instead of corrected.
+   * @param {number} [retry=0] - How often the call was retried after transient errors.
+   * @returns {Promise<any>} - The result of the function execution.
+   */
+  async _runBlock(frame, fnOrCode, scope, args, joined = false, retry = 0) {
+    const { id, description, code: originalCodeString } = frame;
+    const callScope = scope;
+    const callArgs = args;
+    const rerun = () => this._runBlock(frame, fnOrCode, callScope, callArgs, true);
+    const { onSourceChange } = this._settings(frame);
+    let executionSource = 'local';
+    let block = null;
+    let activeVersion = null;
+    let startedAt = Date.now();
+    let quarantineError = null;
+
+    try {
+      block = await this.store.getBlock(id);
+      activeVersion = getActiveVersion(block);
+      ({ scope, args } = await this._applyActivePatches(block, id, scope, args));
+      if (this._isStale(block, activeVersion, originalCodeString, onSourceChange)) {
+        const staleVersion = activeVersion;
+        this._reportStale(id, staleVersion, onSourceChange);
+        if (onSourceChange === 're-correct' && !joined) {
+          const recorrected = await this._recorrect(frame, fnOrCode, scope, args, block, staleVersion, rerun);
+          if (recorrected.done) return recorrected.result;
+        }
+        if (onSourceChange !== 'warn') activeVersion = null;
+      }
+      executionSource = activeVersion ? 'db' : 'local';
+      const version = activeVersion ? activeVersion.version : null;
+      if (activeVersion && this.breaker && this.breaker.isQuarantined(id, version)) {
+        this.logger.warn('Skipping quarantined version', { id, version });
+        quarantineError = new Error(`[Pause] Version ${version} of block ID ${id} is quarantined after repeated failures.`);
+      } else {
+        if (activeVersion) {
+          this.logger.debug('Using DB version', { id, version });
+          this._emit('source:db', { id, version });
+        } else {
+          this.logger.debug('Using local version', { id });
+        }
+        this._emit('execution:start', { id, description, source: executionSource, version });
+        startedAt = Date.now();
+        const candidate = this.rollout && this.rollout.isActive(block && block.rollout) ? findVersion(block, block.rollout.version) : null;
+        const { result, answeredBy } = candidate
+          ? await this._runRollout(frame, block.rollout, candidate, activeVersion, fnOrCode, scope, args)
+          : { result: await this._executeChecked(frame, activeVersion, fnOrCode, scope, args), answeredBy: activeVersion };
+        this._emit('execution:success', { id, source: executionSource, version, durationMs: Date.now() - startedAt });
+        // A result of the version being rolled out says nothing about the current version
+        if (answeredBy === activeVersion) {
+          await this._recordVersionSuccess(id, block, activeVersion);
+          await this._recordSample(frame, block, activeVersion, args, result);
+        }
+        return result;
+      }
+    } catch (error) {
+      const version = activeVersion ? activeVersion.version : null;
+      const { errorClass, reason } = this.classifier ? this.classifier.classify(error) : { errorClass: null, reason: null };
+      const action = this.classifier ? this.classifier.actionFor(errorClass) : 'correct';
+      this.logger.warn('Error during execution', { id, source: executionSource, version, error, errorClass });
+      this._emit('execution:error', { id, source: executionSource, version, error, errorClass });
+      if (this._isAborted(frame)) throw error;
+      if (action === 'rethrow') {
+        this.logger.info('Rethrowing the error without correcting it', { id, errorClass, reason });
+        throw error;
+      }
+      if (action === 'retry') {
+        const delayMs = this.classifier.retryDelay(retry + 1);
+        if (delayMs !== null) {
+          this.logger.info('Retrying after a transient error', { id, retry: retry + 1, delayMs, errorClass, reason });
+          this._emit('execution:retry', { id, retry: retry + 1, delayMs, errorClass, error });
+          await this._guard(frame, () => sleep(delayMs, undefined, frame.signal ? { signal: frame.signal } : {}), null);
+          return this._runBlock(frame, fnOrCode, callScope, callArgs, joined, retry + 1);
+        }
+        this.logger.warn('Retries used up; not correcting the error', { id, retries: retry, errorClass });
+        return this._fallback({ frame, fnOrCode, scope, args, error, block, activeVersion, executionSource }, error);
+      }
+      // Only defects count against a stored version; a network failure says nothing about its code. Without a classifier every error counts.
+      if (activeVersion && this.breaker && (errorClass === null || errorClass === 'defect')) {
+        const until = this.breaker.recordVersionFailure(id, version);
+        if (until) {
+          this.logger.warn('Quarantined version after repeated failures', { id, version, until: new Date(until).toISOString() });
+          this._emit('breaker:quarantined', { id, version, until: new Date(until).toISOString() });
+        }
+      }
+      const classification = this.classifier ? { errorClass, reason, action } : null;
+      const failure = { frame, fnOrCode, scope, args, error, block, activeVersion, executionSource, classification };
+      if (joined) return this._fallback(failure, error);
+      try {
+        return await this._correctOnce(failure, rerun);
+      } catch (correctionError) {
+        return this._fallback(failure, correctionError);
+      }
+    }
+    return this._fallback({ frame, fnOrCode, scope, args, error: quarantineError, block, activeVersion, executionSource }, quarantineError);
+  }
+
+  /**
+   * Records that a stored version ran successfully: lifts its quarantine and remembers it as known good.
+   * @private
+   * @param {string} id - The unique identifier for the code block.
+   * @param {Object|null} block - The block record.
+   * @param {Object|null} activeVersion - The version that ran, or null for the local code.
+   * @returns {Promise<void>}
+   */
+  async _recordVersionSuccess(id, block, activeVersion) {
+    if (!activeVersion) return;
+    if (this.breaker) this.breaker.recordVersionSuccess(id, activeVersion.version);
+    if ((block.goodVersions || []).includes(activeVersion.version)) return;
+    try {
+      await this.store.updateBlock(id, (current) => markGoodVersion(current, activeVersion.version));
+    } catch (storeError) {
+      this.logger.warn('Could not record the version as known good', { id, version: activeVersion.version, error: storeError });
+    }
+  }
+
+  /**
+   * Runs a call of a block whose newest version is being rolled out.
+   * In shadow mode the current and the new version run side by side and the current result is returned;
+   * the new result only answers the call when the current version fails. In the canary stage some calls
+   * run only the new version, and the current version answers them if it fails.
+   * @private
+   * @param {Object} frame - The execution frame.
+   * @param {Object} rollout - The rollout state of the block.
+   * @param {Object} candidate - The version being rolled out.
+   * @param {Object|null} activeVersion - The current version, or null for the local code.
+   * @param {Function|string} fnOrCode - The local function or code string.
+   * @param {Object} scope - Scope object for the block.
+   * @param {any[]} args - Arguments to pass to the block.
+   * @returns {Promise<{result: any, answeredBy: Object|null}>} - The result, and the version that returned it.
+   * @throws {Error} The error of the current version if the call fails.
+   */
+  async _runRollout(frame, rollout, candidate, activeVersion, fnOrCode, scope, args) {
+    const id = frame.id;
+    const stage = rollout.stage;
+
+    if (stage === 'canary' && this.rollout.pickCanary()) {
+      try {
+        const result = await this._executeChecked(frame, candidate, fnOrCode, scope, args);
+        await this._recordRollout(frame, candidate, { error: false });
+        return { result, answeredBy: candidate };
+      } catch (canaryError) {
+        if (this._isAborted(frame)) throw canaryError;
+        this.logger.warn('Canary version failed; running the current version', { id, version: candidate.version, error: canaryError });
+        await this._recordRollout(frame, candidate, { error: true });
+      }
+    }
+    if (stage !== 'shadow') {
+      return { result: await this._executeChecked(frame, activeVersion, fnOrCode, scope, args), answeredBy: activeVersion };
+    }
+
+    let shadowArgs;
+    try {
+      shadowArgs = structuredClone(args);
+    } catch {
+      this.logger.debug('Arguments cannot be copied; skipping the shadow run', { id, version: candidate.version });
+      return { result: await this._executeChecked(frame, activeVersion, fnOrCode, scope, args), answeredBy: activeVersion };
+    }
+    const [current, shadow] = await Promise.allSettled([
+      this._executeChecked(frame, activeVersion, fnOrCode, scope, args),
+      this._executeChecked(frame, candidate, fnOrCode, scope, shadowArgs)
+    ]);
+    if (this._isAborted(frame)) throw frame.signal.reason;
+    if (shadow.status === 'rejected') {
+      this.logger.warn('Shadow version failed', { id, version: candidate.version, error: shadow.reason });
+    }
+    if (current.status === 'fulfilled') {
+      const mismatch = shadow.status === 'fulfilled' && !isDeepStrictEqual(current.value, shadow.value);
+      if (mismatch) {
+        this.logger.warn('Shadow version returned a different result', { id, version: candidate.version });
+        this._emit('rollout:mismatch', { id, version: candidate.version, result: current.value, shadowResult: shadow.value });
+      }
+      await this._recordRollout(frame, candidate, { error: shadow.status === 'rejected', mismatch });
+      return { result: current.value, answeredBy: activeVersion };
+    }
+    await this._recordRollout(frame, candidate, { error: shadow.status === 'rejected' });
+    if (shadow.status === 'rejected') throw current.reason;
+    this.logger.info('Current version failed; answered by the shadow version', { id, version: candidate.version, error: current.reason });
+    return { result: shadow.value, answeredBy: candidate };
+  }
+
+  /**
+   * Records a call of the version being rolled out and moves the rollout on: to the canary stage, promotion or rollback.
+   * @private
+   * @param {Object} frame - The execution frame.
+   * @param {Object} candidate - The version being rolled out.
+   * @param {Object} outcome - `error` and `mismatch` of the call (see `RolloutPolicy#record`).
+   * @returns {Promise<void>}
+   */
+  async _recordRollout(frame, candidate, outcome) {
+    const id = frame.id;
+    const version = candidate.version;
+    let step = null;
+    try {
+      await this.store.updateBlock(id, (current) => {
+        step = null;
+        if (!current || !this.rollout.isActive(current.rollout) || current.rollout.version !== version) return current;
+        step = this.rollout.record(current.rollout, outcome);
+        current.rollout = step.rollout;
+        if (step.decision === 'promote') {
+          current.activeVersion = version;
+          current.rollout = { ...step.rollout, stage: 'promoted', endedAt: new Date().toISOString() };
+        } else if (step.decision === 'rollback') {
+          current.rollout = { ...step.rollout, stage: 'rolled-back', endedAt: new Date().toISOString(), reason: step.reason };
+        }
+        return current;
+      });
+    } catch (storeError) {
+      this.logger.warn('Could not record the rollout call', { id, version, error: storeError });
+      return;
+    }
+    if (!step || !step.decision) return;
+    if (step.decision === 'canary') {
+      this.logger.info('Version passed shadow mode; starting the canary', { id, version });
+      this._emit('rollout:canary', { id, version });
+    } else if (step.decision === 'promote') {
+      this.logger.info('Promoted rolled out version', { id, version });
+      this._emit('rollout:promoted', { id, version });
+    } else {
+      this.logger.warn('Rolled back version', { id, version, reason: step.reason });
+      this._emit('rollout:rolled-back', { id, version, reason: step.reason });
+    }
+  }
+
+  /**
+   * Adds a successful call to the regression corpus of the block, unless the corpus already holds it or is full.
+   * Blocks without a stored record keep their samples in memory, so blocks that only ever run local code cause no store writes.
+   * The samples are written with the first sample recorded after the block got a record.
+   * @private
+   * @param {Object} frame - The execution frame.
+   * @param {Object|null} block - The block record read before the call.
+   * @param {Object|null} activeVersion - The version that ran, or null for the local code.
+   * @param {any[]} args - The arguments the block received (after active patches).
+   * @param {any} result - What the block returned.
+   * @returns {Promise<void>}
+   */
+  async _recordSample(frame, block, activeVersion, args, result) {
+    const { regression } = this._settings(frame);
+    if (!regression) return;
+    const sample = toSample(args, result, regression.maxSampleLength);
+    if (!sample) return;
+    const id = frame.id;
+    const sourceHash = hashSource(frame.code);
+    const samples = getSamples(this._corpus(id, block), sourceHash);
+    const known = samples.find(s => JSON.stringify(s.args) === JSON.stringify(sample.args));
+    if (known ? known.unstable || matchesSample(known, result) : samples.length >= regression.maxSamples) return;
+    const data = { ...sample, sourceHash, version: activeVersion ? activeVersion.version : null };
+    const pending = this.pendingSamples.get(id);
+    this.pendingSamples.delete(id);
+    if (!block) {
+      if (this.pendingSamples.size >= MAX_PENDING_SAMPLE_BLOCKS) this.pendingSamples.delete(this.pendingSamples.keys().next().value);
+      this.pendingSamples.set(id, appendSample(pending || { samples: [] }, id, data, regression.maxSamples));
+      return;
+    }
+    try {
+      // A record deleted in the meantime is not created again just to hold samples
+      await this.store.updateBlock(id, (current) => current && [...(pending ? pending.samples : []), data]
+        .reduce((next, entry) => appendSample(next, id, entry, regression.maxSamples), current));
+    } catch (storeError) {
+      this.logger.warn('Could not record the regression sample', { id, error: storeError });
+    }
+  }
+
+  /**
+   * Returns a block record with the samples kept in memory for the block added to its stored samples.
+   * @private
+   * @param {string} id - The unique identifier for the code block.
+   * @param {Object|null} block - The block record.
+   * @returns {Object|null} - The record with every known sample, or `block` if none are kept in memory.
+   */
+  _corpus(id, block) {
+    const pending = this.pendingSamples.get(id);
+    if (!pending) return block;
+    return { ...(block || createBlockRecord(id)), samples: [...(block && block.samples || []), ...pending.samples] };
+  }
+
+  /**
+   * Answers a failed call from the fallback chain: the last known good version, the local code
+   * and the fallback handler or value, in the configured order.
+   * @private
+   * @param {Object} failure - The failure (see `_correct`).
+   * @param {Error} finalError - The error to throw when no step succeeds.
+   * @returns {Promise<any>} - The result of the first step that succeeds.
+   * @throws {Error} `finalError` if fallbacks are disabled or every step fails.
+   */
+  async _fallback(failure, finalError) {
+    const { frame, fnOrCode, scope, args, error, block, activeVersion, executionSource } = failure;
+    const { fallback } = this._settings(frame);
+    if (!fallback || this._isAborted(frame)) throw finalError;
+    const id = frame.id;
+
+    for (const step of fallback.chain) {
+      let version = null;
+      let attempt;
+      if (step === 'last-known-good') {
+        const good = findLastKnownGood(block, activeVersion ? activeVersion.version : null, v => !this.breaker || !this.breaker.isQuarantined(id, v.version));
+        if (!good) continue;
+        version = good.version;
+        attempt = () => this._executeChecked(frame, good, fnOrCode, scope, args);
+      } else if (step === 'local') {
+        if (executionSource === 'local') continue;
+        attempt = () => this._executeChecked(frame, null, fnOrCode, scope, args);
+      } else if (fallback.handler) {
+        attempt = () => fallback.handler(error, { id, scope, args });
+      } else if (fallback.hasValue) {
+        attempt = () => fallback.value;
+      } else {
+        continue;
+      }
+
+      try {
+        const result = await attempt();
+        this.logger.info('Answered the call from a fallback', { id, step, version });
+        this._emit('fallback:used', { id, step, version });
+        return result;
+      } catch (stepError) {
+        this.logger.warn('Fallback step failed', { id, step, version, error: stepError });
+      }
+    }
+    throw finalError;
+  }
+
+  /**
+   * Corrects a failed block at most once at a time per ID.
+   * A call that fails while the block is being corrected waits for that correction and then
+   * runs the block again (`rerun`) instead of starting its own. With a store that implements
+   * `lock(id, { signal })` the same holds across processes: the correction runs under the store's lock, and
+   * a process that finds a correction stored while it waited runs the block again. Waiting for the lock stops when
+   * the call is aborted; if the lock cannot be taken, the original error is thrown.
+   * @private
+   * @param {Object} failure - The failure (see `_correct`).
+   * @param {Function} rerun - Runs the block again with the unpatched scope and arguments of the call.
+   * @returns {Promise<any>} - The result of the correction or of the rerun.
+   */
+  async _correctOnce(failure, rerun) {
+    const { frame, error } = failure;
+    const id = frame.id;
+    // A block that recursively calls itself while being corrected must not wait for its own correction
+    for (let parent = frame.parent; parent; parent = parent.parent) {
+      if (parent.id === id) return this._correct(failure);
+    }
+
+    const inflight = this._inflight.get(id);
+    if (inflight) {
+      this.logger.debug('Waiting for the correction in progress', { id });
+      this._emit('correction:joined', { id });
+      await inflight;
+      return rerun();
+    }
+
+    const correction = (async () => {
+      let release = null;
+      if (typeof this.store.lock === 'function') {
+        try {
+          release = await this.store.lock(id, { signal: frame.signal });
+        } catch (lockError) {
+          if (this._isAborted(frame)) throw frame.signal.reason;
+          this.logger.warn('Could not take the correction lock; rethrowing the original error', { id, error: lockError });
+          throw error;
+        }
+      }
+      try {
+        if (getRevision(await this.store.getBlock(id)) !== getRevision(failure.block)) {
+          this.logger.debug('A correction was stored while the block ran; running it again', { id });
+          this._emit('correction:joined', { id });
+          return { rerun: true };
+        }
+        return { result: await this._correct(failure) };
+      } finally {
+        if (release) await release();
+      }
+    })();
+    const settled = correction.then(() => {}, () => {});
+    this._inflight.set(id, settled);
+    try {
+      const outcome = await correction;
+      return outcome.rerun ? rerun() : outcome.result;
+    } finally {
+      if (this._inflight.get(id) === settled) this._inflight.delete(id);
+    }
+  }
+
+  /**
+   * Corrects a failed block with the LLM, within the correction budget.
+   * @private
+   * @param {Object} failure - The failure: `frame`, `fnOrCode`, `scope`, `args`, `error`, `block`, `activeVersion`, `executionSource`
+   *   and the `classification` of the error (`errorClass`, `reason` and `action`), or null without a classifier.
+   * @returns {Promise<any>} - The result of the accepted correction.
+   * @throws {Error} The original error if no LLM is configured or a budget is reached, otherwise the error of the failed correction.
+   */
+  async _correct(failure) {
+    const { frame, error } = failure;
+    const id = frame.id;
+    const provider = this._getProvider();
+    if (!provider) {
+      this.logger.debug('No LLM configured; cannot attempt correction', { id });
+      throw error;
+    }
+    const pending = this._findPendingProposal(failure);
+    if (pending) return this._answerFromPending(failure, pending);
+    const denial = (this.breaker && this.breaker.check(id)) || this.budget.reserve(id);
+    if (denial) {
+      this._skipCorrection(id, denial);
+      throw error;
+    }
+    this.logger.info('Starting correction loop', { id, maxTurns: this._settings(frame).maxTurns });
+    const context = {
+      ...failure, description: frame.description, originalCodeString: frame.code, provider, turn: 0, tokensUsed: 0
+    };
+    try {
+      const result = await this._runCorrectionLoop(context);
+      if (this.breaker) this.breaker.recordCorrectionSuccess(id);
+      return result;
+    } catch (correctionError) {
+      if (this._isAborted(frame)) {
+        this.logger.info('Correction aborted', { id, turns: context.turn, tokensUsed: context.tokensUsed });
+        this._emit('correction:aborted', { id, turns: context.turn, tokensUsed: context.tokensUsed, reason: frame.signal.reason });
+        throw correctionError;
+      }
+      // The original error is rethrown when a pending proposal is not executed or a budget is reached; that is not a failed correction
+      if (correctionError !== error) {
+        this.logger.error('Correction failed', { id, turns: context.turn, tokensUsed: context.tokensUsed, error: correctionError });
+        this._emit('correction:failed', { id, turns: context.turn, tokensUsed: context.tokensUsed, error: correctionError });
+        const until = this.breaker ? this.breaker.recordCorrectionFailure(id) : null;
+        if (until) {
+          this.logger.warn('Circuit breaker opened; no corrections until the cool-down ends', { id, until: new Date(until).toISOString() });
+          this._emit('breaker:open', { id, until: new Date(until).toISOString() });
+        }
+      }
+      throw correctionError;
+    }
+  }
 
-class Pause {
   /**
-   * Creates an instance of the Pause framework.
-   * @param {Object} [options={}] - Configuration options for the Pause framework.
-   * @param {Function} options.getFunctionFromDb - Async function to retrieve stored function string by id. Must return a Promise resolving to the string or null.
-   * @param {Function} options.saveFunctionToDb - Async function to store corrected function string by id. Must return a Promise.
-   * @param {import('@langchain/openai').ChatOpenAI} [options.llm] - Optional LangChain LLM instance (e.g., ChatOpenAI). If not provided and OPENAI_API_KEY is set, a default ChatOpenAI instance is created.
-   * @param {string} [options.modelName='gpt-4o-mini'] - OpenAI model name to use for the default LLM.
-   * @param {number} [options.temperature=0] - Temperature setting for the default LLM.
-   * @param {number} [options.maxTokens=1024] - Max tokens setting for the default LLM.
-   * @param {number} [options.maxAiRetries=3] - Maximum number of AI correction retries.
-   * @param {...any} args - Arguments to pass to the function.
-   * @returns {Promise<any>} - The result of the function execution.
-   * @throws {Error} If fnOrCode is invalid type, execution fails (including DB code execution errors), or AI correction fails after retries.
+   * Returns the newest pending proposal of a block that was made for its current local source.
+   * @private
+   * @param {Object} failure - The failure (see `_correct`).
+   * @returns {Object|null} - The proposal, or null if there is none or no approval workflow.
    */
-  constructor(options = {}) {
-    this.getFunctionFromDb = options.getFunctionFromDb || (async () => null);
-    this.saveFunctionToDb = options.saveFunctionToDb || (async () => {});
-    this.maxAiRetries = typeof options.maxAiRetries === 'number' ? options.maxAiRetries : 3;
+  _findPendingProposal(failure) {
+    if (!this.approval || !failure.block) return null;
+    const sourceHash = hashSource(failure.frame.code);
+    const pending = (failure.block.proposals || []).filter(p => p.status === 'pending' && (!p.sourceHash || p.sourceHash === sourceHash));
+    return pending.length > 0 ? pending[pending.length - 1] : null;
+  }
 
-    this.llm = options.llm;
-    if (!this.llm && process.env.OPENAI_API_KEY) {
-      try {
-        this.llm = new ChatOpenAI({
-          modelName: options.modelName || 'gpt-4o-mini', 
-          temperature: options.temperature || 0,
-          maxTokens: options.maxTokens || 1024
-        });
-        console.log(`[Pause] LLM Initialized via OPENAI_API_KEY (Model: ${this.llm.modelName})`);
-      } catch (llmError) {
-        console.error("[Pause] Failed to initialize LLM from API key:", llmError);
-        this.llm = null;
+  /**
+   * Answers a failed call while a proposal of the block awaits approval, instead of asking the LLM for another one.
+   * With `executePending` the proposal runs once for the call; otherwise, or if it fails too, the original error is thrown.
+   * @private
+   * @param {Object} failure - The failure (see `_correct`).
+   * @param {Object} proposal - The pending proposal.
+   * @returns {Promise<any>} - The result of the pending proposal.
+   * @throws {Error} The original error if the proposal is not executed or fails.
+   */
+  async _answerFromPending(failure, proposal) {
+    const { frame, error, scope, args, fnOrCode, activeVersion } = failure;
+    const id = frame.id;
+    this._skipCorrection(id, `proposal ${proposal.proposalId} is pending approval`);
+    if (!this.approval.executePending) throw error;
+    try {
+      this.logger.debug('Running the pending proposal', { id, proposalId: proposal.proposalId, kind: proposal.kind });
+      if (proposal.kind === 'patch') {
+        const patched = await this._applyPatch(proposal.code, id, scope, args);
+        return await this._executeChecked(frame, activeVersion, fnOrCode, patched.scope, patched.args);
       }
-    } else if (this.llm) {
-      console.log('[Pause] LLM provided in options');
-    } else {
-      console.log('[Pause] LLM not configured.');
+      return await this._executeChecked(frame, { code: proposal.code }, fnOrCode, scope, args);
+    } catch (runError) {
+      if (this._isAborted(frame)) throw runError;
+      this.logger.warn('Pending proposal failed too; rethrowing the original error', { id, proposalId: proposal.proposalId, error: runError });
+      throw error;
     }
   }
 
   /**
-   * Executes a given function or code string associated with an ID.
-   * If code exists in the database for the ID, it's executed instead of `fnOrCode`.
-   * Handles errors and attempts AI correction if the error source is the local `fnOrCode`.
-   * @param {string} id - The unique identifier for this code block.
-   * @param {string} description - A natural language description of what the code should do.
-   * @param {Function|string} fnOrCode - The function or code string to execute (used if no DB code).
-   * @param {Object} [scope={}] - Optional scope object for eval-based execution (use with caution).
-   * @param {...any} args - Arguments to pass to the function.
-   * @returns {Promise<any>} - The result of the function execution.
-   * @throws {Error} If fnOrCode is invalid type, execution fails (including DB code execution errors), or AI correction fails after retries.
+   * Checks whether the active version was stored for a different local source than the current one.
+   * Versions without a source hash (stored externally or before hashes were kept) and pinned versions are never stale.
+   * @private
+   * @param {Object|null} block - The block record.
+   * @param {Object|null} activeVersion - The active version.
+   * @param {string} originalCodeString - The current local source of the block.
+   * @param {string} onSourceChange - The source change policy of the block.
+   * @returns {boolean} - Whether the active version is stale.
    */
-  async run(id, description, fnOrCode, scope = {}, ...args) {
-    let executionSource = 'local';
-    let originalCodeString = typeof fnOrCode === 'function' ? fnOrCode.toString() : fnOrCode;
+  _isStale(block, activeVersion, originalCodeString, onSourceChange) {
+    if (onSourceChange === 'ignore' || !activeVersion || !activeVersion.sourceHash) return false;
+    if (block.pinnedVersion === activeVersion.version) return false;
+    return activeVersion.sourceHash !== hashSource(originalCodeString);
+  }
 
-    if (typeof fnOrCode !== 'function' && typeof fnOrCode !== 'string') {
-      throw new Error('[Pause] Invalid type for fnOrCode: must be a function or string.');
-    }
+  /**
+   * Logs and emits that the active version of a block is stale, once per version.
+   * @private
+   * @param {string} id - The unique identifier for the code block.
+   * @param {Object} staleVersion - The stale version.
+   * @param {string} onSourceChange - The source change policy of the block.
+   */
+  _reportStale(id, staleVersion, onSourceChange) {
+    const key = `${id}@${staleVersion.version}`;
+    if (this._staleReported.has(key)) return;
+    this._staleReported.add(key);
+    const message = onSourceChange === 'warn'
+      ? 'Local source changed since the active version was stored; still running the stored version'
+      : 'Local source changed since the active version was stored; invalidating it';
+    this.logger.warn(message, { id, version: staleVersion.version, policy: onSourceChange });
+    this._emit('source:stale', { id, version: staleVersion.version, policy: onSourceChange });
+  }
 
+  /**
+   * Asks the LLM for a new version of a block whose local source changed since its active version was stored.
+   * The stale version is shown to the model as the failure; proposals are tested against the current arguments.
+   * @private
+   * @param {Object} frame - The execution frame.
+   * @param {Function|string} fnOrCode - The new local function or code string.
+   * @param {Object} scope - Scope object for the block.
+   * @param {any[]} args - Arguments to pass to the function.
+   * @param {Object} block - The block record.
+   * @param {Object} staleVersion - The stale active version.
+   * @param {Function} rerun - Runs the block again (see `_correctOnce`).
+   * @returns {Promise<{done: boolean, result?: any}>} - The result of the new version, or `done: false` to run the local code instead.
+   */
+  async _recorrect(frame, fnOrCode, scope, args, block, staleVersion, rerun) {
+    const id = frame.id;
+    if (!this._getProvider()) {
+      this.logger.debug('No LLM configured; running the local code instead of re-correcting', { id });
+      return { done: false };
+    }
+    const error = new Error(`[Pause] The local source of block ${id} changed since version ${staleVersion.version} was stored, so that version is stale. Propose a version of the new local source that keeps the intent of the stored version where it still applies.\nStored version ${staleVersion.version}:\n${staleVersion.code}`);
     try {
-      const savedFunctionString = await this.getFunctionFromDb(id);
-      if (savedFunctionString) {
-        console.log(`[Pause] Using DB version for block ID: ${id}`);
-        executionSource = 'db';
-        return await this._executeFunctionString(savedFunctionString, id, ...args);
-      } else {
-        console.log(`[Pause] Using local version for block ID: ${id}`);
-        executionSource = 'local';
-        if (typeof fnOrCode === 'function') {
-          return await fnOrCode(...args);
-        } else { 
-          return await this._executeCodeStringViaEval(fnOrCode, id, scope, ...args);
-        }
-      }
-    } catch (error) {
-      console.error(`[Pause] Error during execution of block ID: ${id} (Source: ${executionSource})`, error);
-
-      if (this.llm) {
-        console.log(`[Pause] Error caught for ID ${id}. Initiating AI correction attempts (max: ${this.maxAiRetries}).`);
-        
-        let lastAiAttemptError = null;
-        for (let attempt = 1; attempt <= this.maxAiRetries; attempt++) {
-          try {
-            const correctedCode = await this._attemptAICorrection(id, description, originalCodeString, error, args, attempt);
-            
-            await this.saveFunctionToDb(id, correctedCode);
-            console.log(`[Pause] Saved AI-corrected code for block ID: ${id} (Attempt ${attempt}).`);
-            console.log(`[Pause] Executing AI-corrected code for block ID: ${id}...`);
-            return await this._executeFunctionString(correctedCode, id, ...args);
-          } catch (aiAttemptError) {
-            lastAiAttemptError = aiAttemptError; 
-            console.error(`[Pause] AI Correction attempt #${attempt} failed for block ID: ${id}:`, aiAttemptError);
-            if (attempt === this.maxAiRetries) {
-              console.error(`[Pause] All ${this.maxAiRetries} AI correction attempts failed for block ID: ${id}.`);
-              throw new Error(`Max AI retries reached for block ID: ${id}. Last AI error: ${lastAiAttemptError ? lastAiAttemptError.message : 'N/A'}. Original error: ${error.message}`);
-            }
-          }
-        }
-      } else {
-        console.log(`[Pause] No LLM configured. Cannot attempt AI correction for ID ${id}.`);
-        throw error;
-      }
+      const result = await this._correctOnce({ frame, fnOrCode, scope, args, error, block, activeVersion: null, executionSource: 'local' }, rerun);
+      return { done: true, result };
+    } catch (recorrectError) {
+      if (this._isAborted(frame)) throw recorrectError;
+      this.logger.warn('Re-correction failed; running the local code', { id, error: recorrectError });
+      return { done: false };
     }
   }
 
-  // --- Private Helper Methods ---
+  /**
+   * Stores a new version of a block through the storage adapter.
+   * @private
+   * @param {string} id - The unique identifier for the code block.
+   * @param {Object} data - The version code and metadata.
+   * @returns {Promise<Object>} - The stored version.
+   */
+  async _saveVersion(id, data) {
+    let rollout = null;
+    const block = await this.store.updateBlock(id, (current) => {
+      const previousVersion = current ? current.activeVersion : null;
+      const next = appendVersion(current, id, data);
+      rollout = this._beginRollout(next, previousVersion);
+      return next;
+    });
+    const saved = block.versions[block.versions.length - 1];
+    if (rollout) this._reportRollout(id, rollout);
+    return saved;
+  }
 
   /**
-   * Attempts to get a corrected code string from the configured LLM.
+   * Starts the rollout of a version that was just appended, keeping the previous version active.
+   * Nothing happens without a rollout policy, or if the block is pinned and the version did not become active anyway.
+   * @private
+   * @param {Object} block - The block record, with the new version appended and activated.
+   * @param {number|null} previousVersion - The version that was active before.
+   * @returns {Object|null} - The rollout state, or null if the version stays active.
+   */
+  _beginRollout(block, previousVersion) {
+    if (!this.rollout || block.pinnedVersion != null) return null;
+    const rollout = this.rollout.start(block.activeVersion, previousVersion);
+    if (rollout) {
+      block.rollout = rollout;
+      block.activeVersion = previousVersion;
+    }
+    return rollout;
+  }
+
+  /**
+   * Logs and emits that a version is being rolled out.
    * @private
    * @param {string} id - The unique identifier for the code block.
-   * @param {string} description - A natural language description of what the code should do.
-   * @param {string} originalCodeString - The original code string that caused the error.
-   * @param {Error} originalError - The error object caught during execution.
-   * @param {any[]} args - The arguments passed to the function when the error occurred.
-   * @param {number} attemptNumber - The current attempt number for this correction.
-   * @returns {Promise<string>} - The corrected code string.
-   * @throws {Error} If AI correction fails (e.g., bad response, invalid code).
+   * @param {Object} rollout - The rollout state.
    */
-  async _attemptAICorrection(id, description, originalCodeString, originalError, args, attemptNumber) {
-    console.log(`[Pause] AI Correction internal attempt #${attemptNumber} for block ID: ${id}...`);
+  _reportRollout(id, rollout) {
+    this.logger.info('Rolling out new version', { id, version: rollout.version, stage: rollout.stage });
+    this._emit('rollout:started', { id, version: rollout.version, stage: rollout.stage });
+  }
 
-    const correctionToolInstance = this._createCorrectionTool(id);
-    const llmWithTool = this.llm.bindTools([correctionToolInstance]);
-    const promptText = this._buildCorrectionPrompt(id, description, originalCodeString, originalError, args);
-    
-    console.log('[Pause] Invoking LLM for correction...');
-    const aiResponse = await llmWithTool.invoke([new HumanMessage({ content: promptText })]);
-    console.log('[Pause] Raw LLM aiResponse:', JSON.stringify(aiResponse, null, 2));
+  /**
+   * Stores a pending proposal of a block through the storage adapter.
+   * @private
+   * @param {string} id - The unique identifier for the code block.
+   * @param {Object} data - The proposal kind, code and metadata.
+   * @returns {Promise<Object>} - The stored proposal.
+   */
+  async _saveProposal(id, data) {
+    const block = await this.store.updateBlock(id, (current) => appendProposal(current, id, data));
+    return block.proposals[block.proposals.length - 1];
+  }
+
+  /**
+   * Stores a new input patch of a block through the storage adapter.
+   * @private
+   * @param {string} id - The unique identifier for the code block.
+   * @param {Object} data - The patch code and metadata.
+   * @returns {Promise<Object>} - The stored patch.
+   */
+  async _savePatch(id, data) {
+    const block = await this.store.updateBlock(id, (current) => appendPatch(current, id, data));
+    return block.patches[block.patches.length - 1];
+  }
+
+  /**
+   * Executes a block: the active DB version if there is one, otherwise the local function or code string.
+   * @private
+   * @param {string} id - The unique identifier for the code block.
+   * @param {Object|null} activeVersion - The active stored version, or null to run the local code.
+   * @param {Function|string} fnOrCode - The local function or code string.
+   * @param {Object} scope - Variables available to code strings by name.
+   * @param {any[]} args - Arguments to pass to the block.
+   * @param {any} [thisArg] - `this` for the block, when it is called as a method.
+   * @returns {Promise<any>} - The result of the block.
+   */
+  async _executeBlock(id, activeVersion, fnOrCode, scope, args, thisArg) {
+    if (activeVersion) {
+      return await this._executeFunctionString(activeVersion.code, id, args, scope, thisArg);
+    }
+    if (typeof fnOrCode === 'function') {
+      return await fnOrCode.apply(thisArg, args);
+    }
+    return await this._executeCodeString(fnOrCode, id, args, scope, thisArg);
+  }
+
+  /**
+   * Runs a patch function on copies of the scope and arguments.
+   * Each scope variable and argument is deep-copied when it is plain data, so a patch that mutates nested values
+   * cannot change the caller's objects, even if the patch is rejected later. Functions and class instances are shared.
+   * The patch may mutate its inputs or return `{ scope, args }`.
+   * @private
+   * @param {string} patchCode - The patch function string, called as `(scope, args)`.
+   * @param {string} id - The unique identifier for the code block (for logging).
+   * @param {Object} scope - The scope object of the block.
+   * @param {any[]} args - The arguments of the block.
+   * @returns {Promise<{scope: Object, args: any[]}>} - The patched scope and arguments.
+   */
+  async _applyPatch(patchCode, id, scope, args) {
+    // Normalize inside the executed code so in-place changes also survive a sandbox round trip
+    const wrappedPatch = `async (scope, args) => {
+      const result = await (${parseCode(patchCode).source})(scope, args);
+      return {
+        scope: result && typeof result.scope === 'object' && result.scope !== null ? result.scope : scope,
+        args: result && Array.isArray(result.args) ? result.args : args
+      };
+    }`;
+    const scopeCopy = Object.fromEntries(Object.entries(scope).map(([name, value]) => [name, copyPatchInput(value)]));
+    return await this._executeFunctionString(wrappedPatch, id, [scopeCopy, args.map(copyPatchInput)]);
+  }
+
+  /**
+   * Applies the active patches of a block in order.
+   * @private
+   * @param {Object|null} block - The block record.
+   * @param {string} id - The unique identifier for the code block.
+   * @param {Object} scope - The scope object of the block.
+   * @param {any[]} args - The arguments of the block.
+   * @returns {Promise<{scope: Object, args: any[]}>} - The patched scope and arguments.
+   */
+  async _applyActivePatches(block, id, scope, args) {
+    let state = { scope, args };
+    for (const patch of getActivePatches(block)) {
+      this.logger.debug('Applying patch', { id, version: patch.version });
+      state = await this._applyPatch(patch.code, id, state.scope, state.args);
+    }
+    return state;
+  }
+
+  /**
+   * Returns a pending proposal of a block, throwing if it does not exist or was already decided.
+   * @private
+   * @param {Object|null} block - The block record.
+   * @param {string} id - The unique identifier for the code block.
+   * @param {number} proposalId - The proposal number.
+   * @returns {Object} - The proposal.
+   * @throws {Error} If the proposal does not exist or is not pending.
+   */
+  _assertPendingProposal(block, id, proposalId) {
+    const proposal = findProposal(block, proposalId);
+    if (!proposal) {
+      throw new Error(`[Pause] Proposal ${proposalId} not found for block ID: ${id}`);
+    }
+    if (proposal.status !== 'pending') {
+      throw new Error(`[Pause] Proposal ${proposalId} for block ID: ${id} is already ${proposal.status}`);
+    }
+    return proposal;
+  }
+
+  /**
+   * Throws if a block does not contain the given version.
+   * @private
+   * @param {Object|null} block - The block record.
+   * @param {string} id - The unique identifier for the code block.
+   * @param {number} version - The version number to check.
+   * @throws {Error} If the version does not exist.
+   */
+  _assertVersionExists(block, id, version) {
+    if (!findVersion(block, version)) {
+      throw new Error(`[Pause] Version ${version} not found for block ID: ${id}`);
+    }
+  }
+
+  /**
+   * Runs the multi-turn correction loop over a single LLM conversation.
+   * Each turn invokes the LLM once; tool results (including the reasons proposals were rejected)
+   * are fed back so the model can learn from earlier attempts. The loop ends when a proposal is
+   * accepted or the turn/token budget is used up.
+   * @private
+   * @param {Object} context - The failure context.
+   * @param {Object} context.frame - The execution frame of the failing block.
+   * @param {string} context.description - A natural language description of what the code should do.
+   * @param {string} context.originalCodeString - The original code string of the block.
+   * @param {Error} context.error - The error object caught during execution.
+   * @param {Object} context.scope - The scope object passed to the block when the error occurred.
+   * @param {any[]} context.args - The arguments passed to the block when the error occurred.
+   * @param {Function|string} context.fnOrCode - The local function or code string.
+   * @param {Object|null} context.activeVersion - The stored version that failed, or null if the local code failed.
+   * @param {string} context.executionSource - Where the failing code came from ('local' or 'db').
+   * @param {Object} context.provider - The correction provider.
+   * @param {number} context.turn - The current turn; updated by the loop.
+   * @param {number} context.tokensUsed - Tokens used so far; updated by the loop.
+   * @returns {Promise<any>} - The result of the accepted correction.
+   * @throws {Error} If no proposal is accepted within the budget.
+   */
+  async _runCorrectionLoop(context) {
+    const { frame, description, originalCodeString, error, scope, args, provider } = context;
+    const id = frame.id;
+    const { maxTurns, maxCorrectionTokens, timeoutMs, contract, regression } = this._settings(frame);
+    const classification = context.classification || null;
+    const handlers = this._createToolHandlers(context);
+    if (classification && classification.action === 'patch') {
+      // The code is considered right; only the inputs may be fixed
+      delete handlers.test_candidate;
+      delete handlers.propose_corrected_block;
+    }
+    const tools = this._createTools(id, handlers);
+    const rejectedProposals = (context.block && context.block.proposals || []).filter(p => p.status === 'rejected');
+    const promptText = this._buildCorrectionPrompt(id, description, originalCodeString, error, scope, args, rejectedProposals, {
+      thisArg: frame.thisArg, timeoutMs, contract, classification,
+      samples: regression ? getSamples(this._corpus(id, context.block), hashSource(frame.code)).filter(sample => !sample.unstable).length : 0
+    });
+    const messages = [{ role: 'user', content: this.serializer.redactText(promptText) }];
+
+    let lastAiAttemptError = null;
+    for (let turn = 1; turn <= maxTurns; turn++) {
+      if (maxCorrectionTokens !== null && context.tokensUsed >= maxCorrectionTokens) {
+        throw new Error(`AI correction token budget of ${maxCorrectionTokens} reached for block ID: ${id}. Last AI error: ${lastAiAttemptError ? lastAiAttemptError.message : 'N/A'}. Original error: ${error.message}`);
+      }
+      const { denial, reservation } = this.budget.reserveCall(provider.model);
+      if (denial) {
+        this._skipCorrection(id, denial);
+        throw error;
+      }
+
+      context.turn = turn;
+      this.logger.debug('Correction turn', { id, turn });
+      this._emit('correction:attempt', { id, turn, tokensUsed: context.tokensUsed });
+      let response;
+      try {
+        response = await this._guard(frame, () => provider.complete({ messages, tools, blockId: id, signal: frame.signal || undefined }), null);
+      } catch (providerError) {
+        this.budget.release(reservation);
+        throw providerError;
+      }
+      const toolCalls = response.toolCalls || [];
+      this.logger.debug('LLM response', { id, turn, provider: provider.name, content: response.content, toolCalls, usage: response.usage || null });
+      context.tokensUsed += this.budget.record(id, provider.model, response.usage || { input: 0, output: 0, total: 0 }, reservation).total;
+      messages.push({ role: 'assistant', content: response.content || '', toolCalls, raw: response.raw });
+
+      if (toolCalls.length === 0) {
+        lastAiAttemptError = new Error(`AI failed to propose a correction using the tool. Response content: ${response.content}`);
+        this.logger.warn('LLM responded without a tool call', { id, turn });
+        messages.push({ role: 'user', content: 'You must respond by calling one of the provided tools.' });
+        continue;
+      }
 
-    if (!aiResponse.tool_calls || aiResponse.tool_calls.length === 0) {
-      throw new Error(`AI failed to propose a correction using the tool. Response content: ${aiResponse.content}`);
+      for (const toolCall of toolCalls) {
+        let outcome;
+        try {
+          outcome = await this._handleToolCall(id, toolCall, handlers);
+        } catch (toolError) {
+          if (this._isAborted(frame)) throw toolError;
+          lastAiAttemptError = toolError;
+          this.logger.warn('Tool call failed', { id, turn, tool: toolCall.name, error: toolError });
+          outcome = { content: `Tool Error: ${toolError.message}` };
+        }
+        if (outcome.accepted) {
+          if (outcome.error) throw outcome.error;
+          return outcome.result;
+        }
+        messages.push({ role: 'tool', content: this.serializer.redactText(outcome.content), toolCallId: toolCall.id || `call_${turn}`, name: toolCall.name });
+      }
     }
 
-    const toolCall = aiResponse.tool_calls[0];
-    console.log('[Pause] Found tool call in aiResponse.tool_calls:', JSON.stringify(toolCall, null, 2));
+    throw new Error(`Max AI retries reached for block ID: ${id}. Last AI error: ${lastAiAttemptError ? lastAiAttemptError.message : 'N/A'}. Original error: ${error.message}`);
+  }
 
+  /**
+   * Validates a tool call from the LLM and dispatches it to its handler.
+   * @private
+   * @param {string} id - The unique identifier for the code block.
+   * @param {Object} toolCall - The tool call (`name`, `args`, `id`) from the LLM response.
+   * @param {Object} handlers - Tool handlers keyed by tool name.
+   * @returns {Promise<{content: string, accepted?: boolean, result?: any}>} - The tool outcome.
+   * @throws {Error} If the tool call is malformed or its handler rejects it.
+   */
+  async _handleToolCall(id, toolCall, handlers) {
     let parsedArgs = toolCall.args;
     if (typeof parsedArgs === 'string') {
       try {
@@ -158,26 +1813,234 @@ class Pause {
       }
     }
 
-    if (toolCall.name !== 'propose_corrected_block' || typeof parsedArgs !== 'object' || parsedArgs === null) {
+    const handler = handlers[toolCall.name];
+    if (!handler || typeof parsedArgs !== 'object' || parsedArgs === null) {
       throw new Error(`AI responded with unexpected tool call structure or args: ${JSON.stringify(toolCall)}`);
     }
+    if (parsedArgs.block_id !== id) {
+      throw new Error(`AI tool call had mismatched block_id. Expected ${id}, got ${parsedArgs.block_id}`);
+    }
+    return handler(parsedArgs);
+  }
+
+  /**
+   * Checks that a proposed code string is a syntactically valid JavaScript function in a form blocks can run.
+   * @private
+   * @param {any} code - The proposed code.
+   * @param {string} codeKey - The tool argument the code came from (for error messages).
+   * @throws {Error} If the code is missing or not valid JavaScript.
+   */
+  _validateProposedCode(code, codeKey) {
+    if (!code || typeof code !== 'string') {
+      throw new Error(`AI tool call did not return a valid ${codeKey} string.`);
+    }
+    let parsed;
+    try {
+      parsed = parseCode(code);
+      new Function(`return (${parsed.source}\n);`);
+    } catch (e) {
+      if (e.code === 'ERR_PAUSE_CODE_UNSUPPORTED') {
+        throw new Error(`AI proposed unsupported code: ${e.message.replace(/^\[Pause\] /, '')}\nCode: ${code}`);
+      }
+      // Report the engine's own syntax error message rather than the parser's
+      let message = e.message;
+      try {
+        new Function(`return (${code}\n);`);
+      } catch (engineError) {
+        message = engineError.message;
+      }
+      throw new Error(`AI proposed invalid JavaScript syntax: ${message}\nCode: ${code}`);
+    }
+    if (!isFunctionCode(parsed)) {
+      throw new Error(`AI proposed ${parsed.kind === 'expression' ? 'an expression' : 'statements'} instead of a function.\nCode: ${code}`);
+    }
+  }
+
+  /**
+   * Checks proposed code against the code policy of its block.
+   * Warnings are logged and emitted; errors reject the proposal with the violations as the reason.
+   * @private
+   * @param {Object} context - The failure context (see `_runCorrectionLoop`).
+   * @param {string} kind - 'replacement' for corrected code, 'patch' for an input patch.
+   * @param {string} code - The proposed function string.
+   * @throws {Error} If the code violates a rule at level 'error'.
+   */
+  _checkPolicy(context, kind, code) {
+    if (!this.policy) return;
+    const id = context.frame.id;
+    const { errors, warnings } = this.policy.check(code, { id, kind, originalCode: context.originalCodeString });
+    if (errors.length === 0 && warnings.length === 0) return;
+
+    const rejected = errors.length > 0;
+    this.logger.warn(rejected ? 'Proposal rejected by code policy' : 'Proposal flagged by code policy', { id, turn: context.turn, kind, errors, warnings });
+    this._emit('correction:policy', { id, turn: context.turn, kind, code, errors, warnings, rejected });
+    if (rejected) {
+      const reasons = errors.map(({ rule, message }) => `- ${message} (${rule})`).join('\n');
+      throw new Error(`Proposal rejected by the code policy for block ${id}:\n${reasons}\nRevise the code so it complies with these rules.`);
+    }
+  }
+
+  /**
+   * Creates the handlers behind the correction tools for one failure.
+   * Inspection tools only report information; `propose_corrected_block` and `run_patch_function`
+   * run the proposal against the failing inputs and are only accepted if it succeeds.
+   * @private
+   * @param {Object} context - The failure context (see `_runCorrectionLoop`).
+   * @returns {Object} - Async handlers keyed by tool name, resolving to `{ content, accepted?, result? }`.
+   */
+  _createToolHandlers(context) {
+    const { frame, error, scope, args } = context;
+    const id = frame.id;
+
+    return {
+      retrieve_stack: async () => ({
+        content: `${error.toString()}\n${error.stack || '(no stack trace)'}`
+      }),
+
+      retrieve_scope: async () => ({
+        content: this.serializer.serialize({ scope, args }, { space: 2 })
+      }),
+
+      retrieve_parent_block: async () => {
+        const parent = frame.parent;
+        if (!parent) {
+          return { content: 'This block is not nested inside another pause.run block.' };
+        }
+        return { content: JSON.stringify({ id: parent.id, description: parent.description, code: parent.code }, null, 2) };
+      },
+
+      test_candidate: async ({ candidate_code }) => {
+        this._validateProposedCode(candidate_code, 'candidate_code');
+        this._checkPolicy(context, 'replacement', candidate_code);
+        try {
+          const result = await this._guard(frame, () => this._executeFunctionString(candidate_code, id, args, scope, frame.thisArg));
+          const { contract } = this._settings(frame);
+          const violations = contract ? [...await contract.validate(result, args), ...await this._checkExamples(frame, candidate_code, scope)] : [];
+          if (violations.length > 0) {
+            return { content: `Candidate ran, but violates the result contract:\n${violations.map(v => `- ${v}`).join('\n')}\nResult: ${this.serializer.serialize(result)}` };
+          }
+          const regressions = await this._checkRegressions(context, 'replacement', candidate_code);
+          if (regressions.length > 0) {
+            return { content: `Candidate ran, but changes the results of earlier successful calls:\n${regressions.map(r => `- ${r}`).join('\n')}\nResult: ${this.serializer.serialize(result)}` };
+          }
+          return { content: `Candidate ran successfully. Result: ${this.serializer.serialize(result)}` };
+        } catch (candidateError) {
+          if (this._isAborted(frame)) throw candidateError;
+          return { content: `Candidate threw an error: ${candidateError.message}` };
+        }
+      },
+
+      propose_corrected_block: async ({ corrected_code }) => {
+        this._validateProposedCode(corrected_code, 'corrected_code');
+        this._checkPolicy(context, 'replacement', corrected_code);
+        return this._submitProposal(context, 'replacement', corrected_code);
+      },
 
-    const correctedCode = parsedArgs.corrected_code;
-    const receivedBlockId = parsedArgs.block_id;
+      run_patch_function: async ({ patch_code }) => {
+        this._validateProposedCode(patch_code, 'patch_code');
+        this._checkPolicy(context, 'patch', patch_code);
+        return this._submitProposal(context, 'patch', patch_code);
+      }
+    };
+  }
+
+  /**
+   * Runs a proposed correction against the failing inputs and stores it.
+   * Without an approval workflow the proposal is saved as the active version (or patch).
+   * With one, it is stored as a pending proposal and `onProposal` may decide on it right away;
+   * a rejection is reported back to the LLM so it can try again.
+   * @private
+   * @param {Object} context - The failure context (see `_runCorrectionLoop`).
+   * @param {string} kind - 'replacement' for corrected code, 'patch' for an input patch.
+   * @param {string} code - The proposed function string.
+   * @returns {Promise<{content: string, accepted: boolean, result?: any, error?: Error}>} - The tool outcome.
+   * @throws {Error} If the proposal fails when run or is rejected by `onProposal`.
+   */
+  async _submitProposal(context, kind, code) {
+    const { frame, description, error, scope, args, fnOrCode, activeVersion, executionSource, originalCodeString } = context;
+    const id = frame.id;
+    const metadata = {
+      code,
+      sourceHash: hashSource(originalCodeString),
+      source: executionSource,
+      error: error.message,
+      errorClass: context.classification ? context.classification.errorClass : null,
+      model: context.provider.model,
+      attempt: context.turn
+    };
+    const execute = async () => {
+      try {
+        if (kind === 'patch') {
+          this.logger.debug('Re-running block with patched scope and arguments', { id });
+          const patched = await this._applyPatch(code, id, scope, args);
+          return await this._executeChecked(frame, activeVersion, fnOrCode, patched.scope, patched.args);
+        }
+        this.logger.debug('Executing corrected code', { id });
+        return await this._executeChecked(frame, { code }, fnOrCode, scope, args);
+      } catch (runError) {
+        if (this._isAborted(frame)) throw runError;
+        throw new Error(kind === 'patch'
+          ? `Patched block failed when re-run: ${runError.message}`
+          : `Proposed code failed when run against the failing arguments: ${runError.message}`);
+      }
+    };
 
-    if (receivedBlockId !== id) {
-      throw new Error(`AI tool call had mismatched block_id. Expected ${id}, got ${receivedBlockId}`);
+    this._emit('correction:proposed', { id, turn: context.turn, kind, code });
+
+    if (kind === 'replacement') {
+      const violations = await this._checkExamples(frame, code, scope);
+      if (violations.length > 0) {
+        throw new Error(`Proposed code does not satisfy the examples of the result contract:\n${violations.map(v => `- ${v}`).join('\n')}`);
+      }
     }
-    if (!correctedCode || typeof correctedCode !== 'string') {
-      throw new Error(`AI tool call did not return a valid corrected_code string.`);
+    const regressions = await this._checkRegressions(context, kind, code);
+    if (regressions.length > 0) {
+      this.logger.warn('Proposal changes known-good results', { id, turn: context.turn, kind, regressions });
+      this._emit('correction:regression', { id, turn: context.turn, kind, code, regressions });
+      throw new Error(`Proposed ${kind === 'patch' ? 'patch' : 'code'} changes the results of earlier successful calls:\n${regressions.map(r => `- ${r}`).join('\n')}\nKeep these results unchanged.`);
     }
 
-    try {
-      new Function(`return ${correctedCode}`)();
-    } catch (e) {
-      throw new Error(`AI proposed invalid JavaScript syntax: ${e.message}\nCode: ${correctedCode}`);
+    let result;
+    let executed = false;
+    if (!this.approval || this.approval.executePending) {
+      result = await execute();
+      executed = true;
     }
-    return correctedCode;
+
+    if (!this.approval) {
+      if (kind === 'patch') {
+        const savedPatch = await this._savePatch(id, metadata);
+        this.logger.info('Saved patch', { id, version: savedPatch.version, turn: context.turn });
+        this._emit('correction:saved', { id, turn: context.turn, kind, version: savedPatch.version });
+        return { content: `Accepted as patch version ${savedPatch.version}.`, accepted: true, result };
+      }
+      const saved = await this._saveVersion(id, { ...metadata, originalCode: originalCodeString });
+      this.logger.info('Saved corrected code', { id, version: saved.version, turn: context.turn });
+      this._emit('correction:saved', { id, turn: context.turn, kind, version: saved.version });
+      return { content: `Accepted as version ${saved.version}.`, accepted: true, result };
+    }
+
+    const proposal = await this._saveProposal(id, { ...metadata, kind, originalCode: originalCodeString });
+    this.logger.info('Stored pending proposal', { id, proposalId: proposal.proposalId, kind, turn: context.turn });
+    this._emit('correction:pending', { id, turn: context.turn, kind, proposalId: proposal.proposalId });
+
+    const decision = this.approval.onProposal ? await this.approval.onProposal(proposal, { id, description }) : undefined;
+    const approved = decision === true || (decision && decision.approved === true);
+    const rejected = decision === false || (decision && decision.approved === false);
+    if (approved) {
+      await this.approve(id, proposal.proposalId);
+      if (!executed) result = await execute();
+      return { content: `Approved as proposal ${proposal.proposalId}.`, accepted: true, result };
+    }
+    if (rejected) {
+      const reason = decision && decision.reason ? decision.reason : null;
+      await this.reject(id, proposal.proposalId, reason);
+      throw new Error(`Proposal ${proposal.proposalId} was rejected by the reviewer${reason ? `: ${reason}` : '.'}`);
+    }
+    if (executed) {
+      return { content: `Stored as pending proposal ${proposal.proposalId}.`, accepted: true, result };
+    }
+    return { content: `Stored as pending proposal ${proposal.proposalId}.`, accepted: true, error };
   }
 
   /**
@@ -187,21 +2050,35 @@ class Pause {
    * @param {string} description - A natural language description of what the code should do.
    * @param {string} originalCode - The original code string that caused the error.
    * @param {Error} error - The error object caught during execution.
+   * @param {Object} scope - The scope object passed to the block when the error occurred.
    * @param {any[]} args - The arguments passed to the function when the error occurred.
+   * @param {Object[]} [rejectedProposals=[]] - Earlier proposals for this block that a reviewer rejected.
+   * @param {Object} [call={}] - The failing call: `thisArg` when the block is a wrapped method, its `timeoutMs`, its result `contract`,
+   *   the `classification` of the error and the number of regression `samples` proposals are replayed against.
    * @returns {string} - The prompt string for the LLM.
    */
-  _buildCorrectionPrompt(id, description, originalCode, error, args) {
+  _buildCorrectionPrompt(id, description, originalCode, error, scope, args, rejectedProposals = [], call = {}) {
+    const { thisArg, timeoutMs, contract, classification, samples } = call;
     const contextInfo = {
       id, 
       description, 
       error: error.toString(), 
       stack: error.stack, 
       originalCode,
-      args: JSON.stringify(args)
+      scopeNames: Object.keys(scope).filter(isBindableName),
+      scope: this.serializer.serialize(scope),
+      args: this.serializer.serialize(args),
+      receiver: thisArg === undefined || thisArg === null ? null : this.serializer.serialize(thisArg),
+      offendingResult: error.code === 'ERR_PAUSE_CONTRACT' ? this.serializer.serialize(error.result) : null,
+      rejections: rejectedProposals.slice(-5).map((p, i) => `${i + 1}. ${p.kind === 'patch' ? 'Patch' : 'Code'}:
+\`\`\`javascript
+${p.code}
+\`\`\`
+   Reason: ${p.reason || '(no reason given)'}`).join('\n')
     };
     
     return `
-You are an expert JavaScript debugging assistant. You are tasked with correcting a JavaScript function block identified by a specific ID. Review the provided information and use the 'propose_corrected_block' tool to submit your correction.
+You are an expert JavaScript debugging assistant. You are tasked with correcting a JavaScript function block identified by a specific ID. Review the provided information, inspect and test as needed, and then use either the 'propose_corrected_block' tool to submit corrected code, or the 'run_patch_function' tool to fix bad input values.
 
 BLOCK ID: ${id}
 DESCRIPTION OF WHAT THE BLOCK SHOULD DO:
@@ -214,96 +2091,159 @@ ${contextInfo.originalCode}
 
 ERROR THAT OCCURRED (when running the original code):
 ${contextInfo.error}
-
+${classification ? `
+ERROR CLASS: ${classification.errorClass} (${classification.reason}).${classification.action === 'patch' ? ` The code is considered correct and the inputs bad: fix them with 'run_patch_function'. Corrected code is not accepted for this error.` : ''}
+` : ''}
 STACK TRACE:
 ${contextInfo.stack}
 
 FUNCTION ARGUMENTS (passed when the error occurred):
 ${contextInfo.args}
 
-Your task is to provide a corrected version of the function code.
+SCOPE VARIABLES (available to the block as variables${contextInfo.scopeNames.length ? `: ${contextInfo.scopeNames.join(', ')}` : ''}):
+${contextInfo.scope}
+
+${contract ? `RESULT CONTRACT (checked after every run; proposals are only accepted if their results satisfy it):
+${contract.describe()}
+
+` : ''}${contextInfo.offendingResult ? `OFFENDING RESULT (returned by the original code, violating the contract):
+${contextInfo.offendingResult}
+
+` : ''}${timeoutMs ? `TIME LIMIT: Every run of the block must finish within ${timeoutMs}ms${error.code === 'ERR_PAUSE_TIMEOUT' ? ', and the original code did not' : ''}. Proposals that take longer are rejected, so avoid unbounded loops and waits.
+
+` : ''}${samples ? `EARLIER CALLS: ${samples} earlier successful call(s) of the block are replayed against every proposal, which is rejected if it changes their results. Fix the failing case without changing the behavior for other inputs.
+
+` : ''}${contextInfo.receiver ? `RECEIVER (\`this\` of the call; to use it, the corrected code must be a regular function expression, not an arrow function):
+${contextInfo.receiver}
+
+` : ''}${contextInfo.rejections ? `PREVIOUSLY REJECTED PROPOSALS (a reviewer rejected these; do not repeat them and address the reasons):
+${contextInfo.rejections}
+
+` : ''}Your task is to provide a corrected version of the function code, or, if the code is right and only the input values are bad, a patch function that fixes the inputs.
 
 CORRECTION REQUIREMENTS:
 1. The corrected code must fix the specific error reported.
 2. It must fulfill the original description of what the block should do.
 3. It must be a complete, syntactically valid JavaScript function string (e.g., '() => new Date()', or 'async (x) => { return x * x; }').
-4. The function string should be self-contained or correctly use variables from its closure if applicable (be mindful of the scope when new Function() is used for execution).
+4. The scope variables are available to the corrected code by name, as they were to the original code; reference them instead of hard-coding their values. Any other variable must be declared inside the function string.
 5. If the original function took arguments, the corrected function string must also accept them.
 
-TOOL USAGE:
-- You MUST use the 'propose_corrected_block' tool.
-- The arguments for the tool MUST be a JSON object with two keys:
-  1. 'block_id': This MUST be the string "${id}".
-  2. 'corrected_code': This MUST be the corrected JavaScript function string.
+PATCH REQUIREMENTS (only when using 'run_patch_function'):
+1. The patch must be a JavaScript function string taking '(scope, args)', where 'scope' is the scope object and 'args' is the array of arguments.
+2. It may modify 'scope' and 'args' in place or return '{ scope, args }'. The original block is then re-run with the patched values.
+3. The patch is stored and applied to the inputs of every future run of this block, so it must leave already valid values unchanged.
+
+AVAILABLE TOOLS (every tool takes 'block_id', which MUST be the string "${id}"):
+- 'retrieve_stack': Returns the error and its full stack trace.
+- 'retrieve_scope': Returns the scope variables and arguments of the failing call.
+- 'retrieve_parent_block': Returns the ID, description and code of the pause.run block this block is nested in, if any.
+- 'test_candidate': Runs a candidate function string ('candidate_code') against the failing arguments and reports its result or error. Nothing is saved.
+- 'propose_corrected_block': Submits the corrected function string ('corrected_code'). It is run against the failing arguments and only accepted if it succeeds.
+- 'run_patch_function': Submits a patch function string ('patch_code'). The block is re-run with the patched inputs and the patch is only accepted if that succeeds.
+
+If a proposal is rejected, the tool result tells you why. Use that to improve your next attempt.
 
 Example of how to call the tool (this is what you should output if you decide to use the tool):
 If the block ID is "test-123" and the corrected code is "() => { return 42; }", you would call the tool 'propose_corrected_block' with arguments: { "block_id": "test-123", "corrected_code": "() => { return 42; }" }
 
-Do not add any other text or explanation outside of the tool call. Only call the tool.`;
+Do not add any other text or explanation outside of the tool calls. Only call the tools.`;
   }
 
   /**
-   * Creates a tool for the LLM to propose a correction for a specific code block.
+   * Creates the tools offered to the correction provider for the correction loop of a block.
    * @private
    * @param {string} id - The unique identifier for the code block, used to ensure the LLM targets the correct block.
-   * @returns {import('langchain/tools').DynamicStructuredTool} - The LangChain tool for proposing corrections.
+   * @param {Object} handlers - Tool handlers keyed by tool name (see `_createToolHandlers`). Only tools with a handler are offered.
+   * @returns {import('./providers/index.js').CorrectionTool[]} - The tools.
    */
-  _createCorrectionTool(id) {
-    return new DynamicStructuredTool({
-      name: 'propose_corrected_block',
-      description: `Propose a corrected, syntactically valid JavaScript function string to fix an error in block ID ${id}.`,
-      schema: {
-        type: 'object',
+  _createTools(id, handlers) {
+    const blockIdProperty = { type: 'string', description: `The unique ID of the code block (must be ${id}).` };
+    const definitions = [
+      {
+        name: 'retrieve_stack',
+        description: `Retrieve the error and full stack trace of the failure in block ID ${id}.`,
+        properties: {}
+      },
+      {
+        name: 'retrieve_scope',
+        description: `Retrieve the scope variables and arguments passed to block ID ${id} when it failed.`,
+        properties: {}
+      },
+      {
+        name: 'retrieve_parent_block',
+        description: `Retrieve the ID, description and code of the pause.run block that block ID ${id} is nested in.`,
+        properties: {}
+      },
+      {
+        name: 'test_candidate',
+        description: `Run a candidate JavaScript function string against the failing arguments of block ID ${id} and report the result or error, without saving it.`,
         properties: {
-          block_id: { type: 'string', description: `The unique ID of the code block (must be ${id}).` },
-          corrected_code: { 
-            type: 'string', 
-            description: 'The corrected, complete, and syntactically valid JavaScript function string (e.g., "() => new Date()").' 
+          candidate_code: { type: 'string', description: 'The candidate JavaScript function string to test.' }
+        }
+      },
+      {
+        name: 'propose_corrected_block',
+        description: `Propose a corrected, syntactically valid JavaScript function string to fix an error in block ID ${id}.`,
+        properties: {
+          corrected_code: {
+            type: 'string',
+            description: 'The corrected, complete, and syntactically valid JavaScript function string (e.g., "() => new Date()").'
           }
-        },
-        required: ['block_id', 'corrected_code']
+        }
       },
-      // Tool function simply validates the input structure and basic syntax
-      func: async ({ block_id, corrected_code }) => {
-        if (block_id !== id) {
-          return `Tool Error: Incorrect block_id. Expected ${id}, got ${block_id}`;
+      {
+        name: 'run_patch_function',
+        description: `Propose a patch function that fixes the scope variables and arguments of block ID ${id}, after which the original block is re-run with the patched values.`,
+        properties: {
+          patch_code: {
+            type: 'string',
+            description: 'A JavaScript function string taking (scope, args) that fixes the inputs in place or returns { scope, args } (e.g., "(scope, args) => { args[0] = Number(args[0]); }").'
+          }
         }
+      }
+    ];
+
+    return definitions.filter(({ name }) => handlers[name]).map(({ name, description, properties }) => ({
+      name,
+      description,
+      parameters: {
+        type: 'object',
+        properties: { block_id: blockIdProperty, ...properties },
+        required: ['block_id', ...Object.keys(properties)]
+      },
+      // The correction loop dispatches tool calls itself; this keeps the tool usable on its own
+      run: async (input) => {
         try {
-          new Function(`return ${corrected_code}`)();
-          return `Successfully validated proposed corrected code for block ${block_id}.`;
+          return (await handlers[name](input)).content;
         } catch (e) {
-          return `Tool Error: Proposed code is not valid JavaScript syntax: ${e.message}`;
+          return `Tool Error: ${e.message}`;
         }
       }
-    });
+    }));
   }
   
   /**
-   * Creates and executes a function from a string using new Function(), handling async.
+   * Creates and executes a function from a string using new Function().
+   * The scope variables are declared around the function, so it can reference them by name like a closure.
+   * When a sandbox is configured, the string is run in the sandbox instead.
    * @private
-   * @param {string} codeString - The string representation of the function.
+   * @param {string} codeString - The string representation of the function (any form `parseCode` supports).
    * @param {string} id - The unique identifier for the code block (for logging).
-   * @param {...any} args - Arguments to pass to the function.
+   * @param {any[]} [args=[]] - Arguments to pass to the function.
+   * @param {Object} [scope={}] - Variables to make available to the function by name. Keys that are not valid identifiers are skipped.
+   * @param {any} [thisArg] - `this` for the function. Not passed into the sandbox.
    * @returns {Promise<any>} - The result of the function execution.
-   * @throws {Error} If function creation or execution fails.
+   * @throws {Error} If parsing, function creation or execution fails.
    */
-  async _executeFunctionString(codeString, id, ...args) {
+  async _executeFunctionString(codeString, id, args = [], scope = {}, thisArg) {
     try {
-      let fn;
-      // Construct the body to directly execute the code string and return its result
-      // Pass original arguments directly, not wrapped in an array
-      const funcBody = `return (${codeString})(...arguments);`; 
-      if (isLikelyAsyncString(codeString)) {
-        // Create an async function that accepts the original arguments directly
-        fn = new AsyncFunction(...Array(args.length).fill(0).map((_, i) => `arg${i}`), funcBody.replace('...arguments', args.map((_, i) => `arg${i}`).join(', ')));
-      } else {
-        // Create a sync function that accepts the original arguments directly
-        fn = new Function(...Array(args.length).fill(0).map((_, i) => `arg${i}`), funcBody.replace('...arguments', args.map((_, i) => `arg${i}`).join(', ')));
+      if (this.sandbox) {
+        const names = Object.keys(scope).filter(isBindableName);
+        return await this.sandbox.run(parseCode(codeString).source, args, Object.fromEntries(names.map(name => [name, scope[name]])));
       }
-      // Call the dynamic function with the spread original arguments
-      return await fn(...args);
+      return await this._compileCode(codeString, scope).apply(thisArg, args);
     } catch (error) {
-      console.error(`[Pause] Error executing function string for ID ${id}:`, error);
+      this.logger.debug('Error executing function string', { id, error });
       // Add context to the error message
       error.message = `Error executing function string for ID ${id}: ${error.message}`;
       throw error; 
@@ -311,59 +2251,40 @@ Do not add any other text or explanation outside of the tool call. Only call the
   }
 
   /**
-   * Executes a code string using eval(), attempting to provide scope.
-   * CAUTION: Uses eval. Ensure code strings are trusted or sandboxed if necessary.
+   * Executes a local code string block. Never sandboxed, like a local function.
    * @private
-   * @param {string} codeString - The string representation of the code to execute.
+   * @param {string} codeString - The code string (any form `parseCode` supports).
    * @param {string} id - The unique identifier for the code block (for logging).
-   * @param {Object} [scope={}] - An object representing the scope to be available during eval.
-   * @param {...any} args - Arguments intended to be used by the code string, typically mapped to variables within the `scope`.
-   * @returns {Promise<any>} - The result of the evaluated code.
-   * @throws {Error} If eval fails.
-   */
-  async _executeCodeStringViaEval(codeString, id, scope = {}, ...args) {
-    const evalWrapper = async () => {
-      // Corrected regex for parameter matching
-      const paramMatch = codeString.match(/\((.*?)\)/);
-      const params = paramMatch ? paramMatch[1].split(',').map(p => p.trim()).filter(Boolean) : [];
-      
-      const executionScope = { ...scope };
-      params.forEach((param, index) => {
-        executionScope[param] = args[index];
-      });
-
-      let body = codeString;
-      // Corrected regex for body matching (simplified)
-      const bodyMatch = codeString.match(/=>\s*{(.*)}\s*$|function.*?{(.*)}\s*$/s);
-      if (bodyMatch) {
-         body = bodyMatch[1] || bodyMatch[2] || body; 
-      }
-      // Corrected regex for arrow body matching
-      const arrowBodyMatch = codeString.match(/=>\s*(.*)/s);
-      if (!bodyMatch && arrowBodyMatch) {
-          body = `return ${arrowBodyMatch[1]}`;
-      }
-
-      const keys = Object.keys(executionScope);
-      const values = Object.values(executionScope);
-      
-      // Construct an async function dynamically to handle await within the eval'd code
-      const evalFn = new AsyncFunction(...keys, ` ${body} `);
-      
-      return await evalFn(...values);
-    };
-
+   * @param {any[]} [args=[]] - Arguments to pass to the code.
+   * @param {Object} [scope={}] - Variables to make available to the code by name. Keys that are not valid identifiers are skipped.
+   * @param {any} [thisArg] - `this` for the code.
+   * @returns {Promise<any>} - The result of the code.
+   * @throws {Error} If parsing or execution fails.
+   */
+  async _executeCodeString(codeString, id, args = [], scope = {}, thisArg) {
     try {
-      return await evalWrapper();
+      return await this._compileCode(codeString, scope).apply(thisArg, args);
     } catch (error) {
-      console.error(`[Pause] Error executing code string via eval for ID ${id}:`, error);
-      error.message = `Error executing code string via eval for ID ${id}: ${error.message}`;
+      this.logger.debug('Error executing code string', { id, error });
+      error.message = `Error executing code string for ID ${id}: ${error.message}`;
       throw error;
     }
   }
-}
 
-// Helper to get AsyncFunction constructor - MOVED TO TOP OF FILE AND CONSOLIDATED
-// const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
+  /**
+   * Parses a code string and compiles its normalized function with the scope variables declared around it.
+   * @private
+   * @param {string} codeString - The code string.
+   * @param {Object} scope - Variables to make available to the code by name. Keys that are not valid identifiers are skipped.
+   * @returns {Function} - The compiled function.
+   * @throws {Error} If the code does not parse or has an unsupported form (see `parseCode`).
+   */
+  _compileCode(codeString, scope) {
+    const { source } = parseCode(codeString);
+    const names = Object.keys(scope).filter(isBindableName);
+    // The outer function declares the scope variables; the inner one is the block itself
+    return new Function(...names, `return (${source}\n);`)(...names.map(name => scope[name]));
+  }
+}
 
 export default Pause;
\ No newline at end of file
@@ -0,0 +1,184 @@
+import * as walk from 'acorn-walk';
+import { parseFunction, findFreeVariables } from './closure.js';
+
+const LEVELS = ['error', 'warn', 'off'];
+
+const DEFAULT_RULES = {
+  'forbidden-identifier': 'error',
+  'forbidden-module': 'error',
+  'dynamic-import': 'error',
+  'constructor-access': 'error',
+  'arity-change': 'warn',
+  'async-dropped': 'error'
+};
+
+// Globals that reach outside the block: the process, code evaluation, module loading and the network.
+// Only names are checked; the same objects can be reached without naming them, so this is not a security boundary.
+const DEFAULT_FORBIDDEN_IDENTIFIERS = [
+  'process', 'eval', 'Function', 'require', 'module', 'globalThis', 'global',
+  'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource'
+];
+
+const DEFAULT_FORBIDDEN_MODULES = [
+  'fs', 'fs/promises', 'child_process', 'cluster', 'worker_threads', 'vm', 'module',
+  'net', 'tls', 'dgram', 'dns', 'http', 'https', 'http2'
+];
+
+/**
+ * Returns the function node of a parsed function string.
+ * Methods are normalized to a member access on an object literal or class (`({ name() {} })["name"]`).
+ * @param {Object|null} ast - The AST from `parseFunction`.
+ * @returns {Object|null} - The function node, or null if the code is not a function.
+ */
+function functionNode(ast) {
+  if (!ast) return null;
+  let node = ast.body[0] && ast.body[0].expression;
+  while (node && node.type === 'MemberExpression') node = node.object;
+  if (node && node.type === 'ObjectExpression' && node.properties.length === 1) node = node.properties[0].value;
+  if (node && node.type === 'ClassExpression' && node.body.body.length === 1) node = node.body.body[0].value;
+  return node && (node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression') ? node : null;
+}
+
+/**
+ * Returns the static string value of a literal or expression-free template literal.
+ * @param {Object} node - The AST node.
+ * @returns {string|null} - The string value, or null if it is not static.
+ */
+function staticString(node) {
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+/**
+ * Describes the parameter count of a function node, e.g. `2 parameters`.
+ * @param {Object} node - The function node.
+ * @returns {string} - The description.
+ */
+function describeParams(node) {
+  return `${node.params.length} parameter${node.params.length === 1 ? '' : 's'}`;
+}
+
+/**
+ * Static checks on code proposed by the LLM, run before a proposal is tested or saved.
+ *
+ * Rules (each 'error' to reject the proposal, 'warn' to accept it with a warning, or 'off'):
+ * - `forbidden-identifier`: references a forbidden global such as `process`, `eval` or `fetch`.
+ * - `forbidden-module`: loads a forbidden module such as `fs` or `http` with `require()` or `import()`.
+ * - `dynamic-import`: uses `import()`.
+ * - `constructor-access`: reads a `constructor` property (`fn.constructor`, `x["constructor"]`, `{ constructor } = x`),
+ *   the usual way to reach the `Function` constructor without naming it.
+ * - `arity-change`: a corrected block takes a different number of parameters than the original function.
+ * - `async-dropped`: a corrected block is not async although the original function was.
+ *
+ * The rules are static checks of the code as written and catch the common ways to leave the block,
+ * not every way. They are not a security boundary; use the sandbox for code you do not trust.
+ */
+class PolicyEngine {
+  /**
+   * @param {Object} [options={}] - The policy. Every option can be overridden per block under `blocks`.
+   * @param {Object} [options.rules] - Levels by rule name, merged over the defaults ('warn' for `arity-change`, 'error' for the others).
+   * @param {string[]} [options.forbiddenIdentifiers] - Globals the code may not reference. Replaces the default list.
+   * @param {string[]} [options.allowIdentifiers] - Globals removed from the forbidden list.
+   * @param {string[]} [options.forbiddenModules] - Modules the code may not load (with or without the `node:` prefix). Replaces the default list.
+   * @param {string[]} [options.allowModules] - Modules removed from the forbidden list.
+   * @param {Object} [options.blocks] - Policy overrides by block ID, with the same options as above.
+   */
+  constructor(options = {}) {
+    const { blocks = {}, ...defaults } = options;
+    for (const config of [defaults, ...Object.values(blocks)]) {
+      for (const [rule, level] of Object.entries(config.rules || {})) {
+        if (!DEFAULT_RULES[rule]) {
+          throw new Error(`[Pause] Unknown policy rule: ${rule}. Expected one of: ${Object.keys(DEFAULT_RULES).join(', ')}.`);
+        }
+        if (!LEVELS.includes(level)) {
+          throw new Error(`[Pause] Invalid level for policy rule ${rule}: ${level}. Expected one of: ${LEVELS.join(', ')}.`);
+        }
+      }
+    }
+    this.defaults = defaults;
+    this.blocks = blocks;
+  }
+
+  /**
+   * Returns the effective policy of a block.
+   * @param {string} id - The block ID.
+   * @returns {{rules: Object, forbiddenIdentifiers: Set<string>, forbiddenModules: Set<string>}} - The policy.
+   */
+  policyFor(id) {
+    const block = this.blocks[id] || {};
+    const pick = (key, fallback) => block[key] || this.defaults[key] || fallback;
+    const allowed = (key) => new Set([...(this.defaults[key] || []), ...(block[key] || [])]);
+    const allowIdentifiers = allowed('allowIdentifiers');
+    const allowModules = allowed('allowModules');
+    return {
+      rules: { ...DEFAULT_RULES, ...this.defaults.rules, ...block.rules },
+      forbiddenIdentifiers: new Set(pick('forbiddenIdentifiers', DEFAULT_FORBIDDEN_IDENTIFIERS).filter(name => !allowIdentifiers.has(name))),
+      forbiddenModules: new Set(pick('forbiddenModules', DEFAULT_FORBIDDEN_MODULES).filter(name => !allowModules.has(name)))
+    };
+  }
+
+  /**
+   * Checks proposed code against the policy of its block.
+   * @param {string} code - The proposed function string.
+   * @param {Object} context - What the code is proposed for.
+   * @param {string} context.id - The block ID.
+   * @param {string} [context.kind='replacement'] - 'replacement' for corrected code, 'patch' for an input patch. Arity and async rules only apply to replacements.
+   * @param {string} [context.originalCode] - The original function string of the block.
+   * @returns {{errors: Object[], warnings: Object[]}} - Violations (`{ rule, message }`) that reject the proposal, and those that only flag it.
+   */
+  check(code, { id, kind = 'replacement', originalCode } = {}) {
+    const policy = this.policyFor(id);
+    const violations = [];
+    const report = (rule, message) => {
+      if (policy.rules[rule] !== 'off') violations.push({ rule, message, level: policy.rules[rule] });
+    };
+
+    for (const name of findFreeVariables(code, { includeGlobals: true })) {
+      if (policy.forbiddenIdentifiers.has(name)) report('forbidden-identifier', `References the forbidden identifier \`${name}\`.`);
+    }
+
+    const ast = parseFunction(code);
+    if (ast) {
+      const checkModule = (source) => {
+        const name = source && staticString(source);
+        if (name !== null && name !== undefined && policy.forbiddenModules.has(name.replace(/^node:/, ''))) {
+          report('forbidden-module', `Loads the forbidden module '${name}'.`);
+        }
+      };
+      let constructorAccess = false;
+      const isConstructorKey = (key, computed) => (computed ? staticString(key) : key.name || key.value) === 'constructor';
+      walk.full(ast, (node) => {
+        if (node.type === 'MemberExpression' && isConstructorKey(node.property, node.computed)) {
+          constructorAccess = true;
+        } else if (node.type === 'ObjectPattern' && node.properties.some(p => p.type === 'Property' && isConstructorKey(p.key, p.computed))) {
+          constructorAccess = true;
+        } else if (node.type === 'ImportExpression') {
+          report('dynamic-import', 'Uses dynamic import().');
+          checkModule(node.source);
+        } else if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require' && node.arguments.length > 0) {
+          checkModule(node.arguments[0]);
+        }
+      });
+      if (constructorAccess) report('constructor-access', 'Reads a `constructor` property, which leads to the `Function` constructor.');
+    }
+
+    const proposed = functionNode(ast);
+    const original = kind === 'replacement' && originalCode ? functionNode(parseFunction(originalCode)) : null;
+    if (proposed && original) {
+      if (proposed.params.length !== original.params.length) {
+        report('arity-change', `Takes ${describeParams(proposed)}, but the original function takes ${describeParams(original)}.`);
+      }
+      if (original.async && !proposed.async) {
+        report('async-dropped', 'Is not async, but the original function is async.');
+      }
+    }
+
+    return {
+      errors: violations.filter(v => v.level === 'error').map(({ rule, message }) => ({ rule, message })),
+      warnings: violations.filter(v => v.level === 'warn').map(({ rule, message }) => ({ rule, message }))
+    };
+  }
+}
+
+export default PolicyEngine;
@@ -0,0 +1,189 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const MODES = ['record', 'replay'];
+
+/**
+ * Default key normalization: collapses stack frames, which differ between machines and runs,
+ * into a single placeholder line.
+ * @param {string} text - The message text.
+ * @returns {string} - The normalized text.
+ */
+function collapseStackFrames(text) {
+  return text.replace(/(?:^[ \t]+at .*(?:\r?\n|$))+/gm, '    at <stack frames>\n');
+}
+
+/**
+ * Provider wrapper that records correction requests and responses to a cassette file, or replays
+ * them without calling a model.
+ *
+ * Each interaction is keyed by a SHA-256 hash of the conversation and the tool schemas (not the
+ * model name, so a cassette can be replayed without any model configured). Tool call IDs are
+ * left out and stack frames are collapsed so the key is stable across machines.
+ * In replay mode a request that is not on the cassette fails with `ERR_PAUSE_CASSETTE_MISS`.
+ */
+class CassetteProvider {
+  /**
+   * @param {Object} options - Configuration options for the cassette.
+   * @param {string} options.file - Path of the cassette JSON file. Created on the first recorded interaction.
+   * @param {string} [options.mode='replay'] - 'record' to call the wrapped provider and store every interaction, 'replay' to serve interactions from the file.
+   * @param {Object} [options.provider] - The provider to record. Not needed for replaying.
+   * @param {Function} [options.normalize] - Maps each message text before hashing. Defaults to collapsing stack frames.
+   */
+  constructor(options = {}) {
+    if (!options.file) {
+      throw new Error('[Pause] CassetteProvider requires a file option.');
+    }
+    const mode = options.mode || 'replay';
+    if (!MODES.includes(mode)) {
+      throw new Error(`[Pause] Unknown cassette mode: ${mode}. Expected one of: ${MODES.join(', ')}.`);
+    }
+    this.file = path.resolve(options.file);
+    this.mode = mode;
+    this.provider = options.provider || null;
+    this.normalize = options.normalize || collapseStackFrames;
+    this._interactions = null;
+    this._writeQueue = Promise.resolve();
+  }
+
+  get name() {
+    return `cassette(${this.provider ? this.provider.name : this.mode})`;
+  }
+
+  get model() {
+    return this.provider ? this.provider.model : null;
+  }
+
+  /**
+   * Serves the request from the cassette (replay) or forwards it and stores the interaction (record).
+   * @param {import('./index.js').CorrectionRequest} request - The conversation and the tools the model may call.
+   * @returns {Promise<import('./index.js').CorrectionResponse>} - The reply.
+   * @throws {Error} On a cassette miss in replay mode (`error.code` is 'ERR_PAUSE_CASSETTE_MISS'), or if recording without a provider.
+   */
+  async complete(request) {
+    const interactions = await this._load();
+    const key = this.keyFor(request);
+
+    if (this.mode === 'replay') {
+      const interaction = interactions.get(key);
+      if (!interaction) {
+        const prompt = request.messages.length > 0 ? request.messages[request.messages.length - 1].content : '';
+        const error = new Error(`[Pause] No recorded interaction for request ${key} in cassette ${this.file}. Re-record the cassette with mode 'record'. Last message: ${String(prompt).slice(0, 200)}`);
+        error.code = 'ERR_PAUSE_CASSETTE_MISS';
+        throw error;
+      }
+      return { ...interaction.response, toolCalls: interaction.response.toolCalls.map(call => ({ ...call })) };
+    }
+
+    if (!this.provider) {
+      throw new Error('[Pause] A cassette in record mode needs a provider (or llm) to record from.');
+    }
+    const response = await this.provider.complete(request);
+    const recorded = {
+      content: response.content || '',
+      toolCalls: (response.toolCalls || []).map(({ id, name, args }) => ({ id, name, args })),
+      usage: response.usage || { input: 0, output: 0, total: 0 }
+    };
+    interactions.set(key, {
+      key,
+      model: this.provider.model,
+      request: { messages: this._requestMessages(request), tools: this._requestTools(request) },
+      response: recorded
+    });
+    await this._save();
+    return { ...response, toolCalls: recorded.toolCalls };
+  }
+
+  /**
+   * Computes the cassette key of a request.
+   * @param {import('./index.js').CorrectionRequest} request - The request.
+   * @returns {string} - The hex SHA-256 key.
+   */
+  keyFor(request) {
+    const material = JSON.stringify({ messages: this._requestMessages(request), tools: this._requestTools(request) });
+    return crypto.createHash('sha256').update(material).digest('hex');
+  }
+
+  // --- Private Helper Methods ---
+
+  /**
+   * Returns the messages of a request without provider-specific fields and tool call IDs.
+   * @private
+   * @param {import('./index.js').CorrectionRequest} request - The request.
+   * @returns {Object[]} - The normalized messages.
+   */
+  _requestMessages(request) {
+    return request.messages.map((message) => {
+      const normalized = { role: message.role, content: this.normalize(String(message.content || '')) };
+      if (message.toolCalls && message.toolCalls.length > 0) {
+        normalized.toolCalls = message.toolCalls.map(({ name, args }) => ({ name, args }));
+      }
+      if (message.name) normalized.name = message.name;
+      return normalized;
+    });
+  }
+
+  /**
+   * Returns the tool schemas of a request.
+   * @private
+   * @param {import('./index.js').CorrectionRequest} request - The request.
+   * @returns {Object[]} - The tool names, descriptions and parameters.
+   */
+  _requestTools(request) {
+    return (request.tools || []).map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  /**
+   * Loads the cassette file once. A failed load is not cached, so the next call reads the file again.
+   * @private
+   * @returns {Promise<Map<string, Object>>} - The interactions by key.
+   * @throws {Error} If the file is missing in replay mode or has an unknown format.
+   */
+  async _load() {
+    if (!this._interactions) {
+      this._interactions = (async () => {
+        let content;
+        try {
+          content = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+          if (error.code === 'ENOENT' && this.mode === 'record') return new Map();
+          if (error.code === 'ENOENT') {
+            throw new Error(`[Pause] Cassette ${this.file} does not exist. Record it first with mode 'record'.`);
+          }
+          throw error;
+        }
+        const cassette = JSON.parse(content);
+        if (cassette.format !== 'pause-cassette@1' || !Array.isArray(cassette.interactions)) {
+          throw new Error(`[Pause] Invalid cassette ${this.file}: expected format "pause-cassette@1".`);
+        }
+        return new Map(cassette.interactions.map(interaction => [interaction.key, interaction]));
+      })();
+      const loading = this._interactions;
+      loading.catch(() => {
+        if (this._interactions === loading) this._interactions = null;
+      });
+    }
+    return this._interactions;
+  }
+
+  /**
+   * Writes all interactions to the cassette file through a temporary file. Writes are queued.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _save() {
+    const interactions = await this._load();
+    // A failed write must not block later ones
+    this._writeQueue = this._writeQueue.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      const tempPath = `${this.file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      const cassette = { format: 'pause-cassette@1', interactions: Array.from(interactions.values()) };
+      await fs.writeFile(tempPath, `${JSON.stringify(cassette, null, 2)}\n`, 'utf8');
+      await fs.rename(tempPath, this.file);
+    });
+    return this._writeQueue;
+  }
+}
+
+export default CassetteProvider;
@@ -0,0 +1,117 @@
+import LangChainProvider from './langchain.js';
+import JsonTextProvider from './jsonText.js';
+import OpenAICompatibleProvider from './openaiCompatible.js';
+import CassetteProvider from './cassette.js';
+
+/**
+ * A message of the correction conversation.
+ * @typedef {Object} CorrectionMessage
+ * @property {string} role - 'user', 'assistant' or 'tool'.
+ * @property {string} content - The message text.
+ * @property {Array<{id: string, name: string, args: Object}>} [toolCalls] - Tool calls of an assistant message.
+ * @property {any} [raw] - The provider's own representation of an assistant message, passed back to it unchanged.
+ * @property {string} [toolCallId] - The tool call a tool message answers.
+ * @property {string} [name] - The tool name of a tool message.
+ */
+
+/**
+ * A tool the model may call during a correction.
+ * @typedef {Object} CorrectionTool
+ * @property {string} name - The tool name.
+ * @property {string} description - What the tool does.
+ * @property {Object} parameters - JSON schema of the tool arguments.
+ * @property {Function} run - Runs the tool on its own and resolves to the result text (for providers that execute tools themselves).
+ */
+
+/**
+ * @typedef {Object} CorrectionRequest
+ * @property {CorrectionMessage[]} messages - The conversation so far.
+ * @property {CorrectionTool[]} tools - The tools the model may call. The same array is passed on every turn of a correction.
+ * @property {string} blockId - The ID of the block being corrected.
+ * @property {AbortSignal} [signal] - Aborted when the caller cancels the correction; providers should stop the request.
+ */
+
+/**
+ * @typedef {Object} CorrectionResponse
+ * @property {string} content - The reply text.
+ * @property {Array<{id: string, name: string, args: Object|string}>} toolCalls - The tool calls of the reply.
+ * @property {{input: number, output: number, total: number}} usage - The tokens used by the request.
+ * @property {any} [raw] - The provider's own reply, stored as `raw` on the assistant message.
+ */
+
+/**
+ * A correction provider is any object with a `complete(request)` method resolving to a
+ * `CorrectionResponse`, plus `name` and `model` strings used for logging, pricing and version metadata.
+ * @typedef {Object} CorrectionProvider
+ * @property {string} name - The provider name.
+ * @property {string|null} model - The model name.
+ * @property {function(CorrectionRequest): Promise<CorrectionResponse>} complete - Sends the conversation to the model.
+ */
+
+const TOOL_MODES = ['native', 'json'];
+
+/**
+ * Applies the tool mode to a provider: 'json' wraps it in a `JsonTextProvider`.
+ * @param {CorrectionProvider} provider - The provider.
+ * @param {string} toolMode - 'native' or 'json'.
+ * @returns {CorrectionProvider} - The provider to use.
+ */
+function applyToolMode(provider, toolMode) {
+  if (!TOOL_MODES.includes(toolMode)) {
+    throw new Error(`[Pause] Unknown tool mode: ${toolMode}. Expected one of: ${TOOL_MODES.join(', ')}.`);
+  }
+  return toolMode === 'json' ? new JsonTextProvider(provider) : provider;
+}
+
+/**
+ * Creates the correction provider described by the `provider` option or the environment.
+ *
+ * Environment variables (used when the option is not given):
+ * `PAUSE_PROVIDER` ('openai-compatible'), `PAUSE_BASE_URL`, `PAUSE_MODEL`, `PAUSE_API_KEY` and `PAUSE_TOOL_MODE` ('native' or 'json').
+ * @param {CorrectionProvider|string|Object} [option] - A provider instance, a provider type, or
+ *   `{ type, toolMode, ...options }` where `type` is 'openai-compatible' (options of `OpenAICompatibleProvider`)
+ *   or 'langchain' (with `chatModel`).
+ * @param {Object} [env=process.env] - The environment to read defaults from.
+ * @returns {CorrectionProvider|null} - The provider, or null if none is configured.
+ * @throws {Error} If the provider type or tool mode is unknown.
+ */
+function createProvider(option, env = process.env) {
+  let config = option || env.PAUSE_PROVIDER;
+  if (!config) return null;
+  if (typeof config.complete === 'function') return config;
+  if (typeof config === 'string') config = { type: config };
+
+  const { type, toolMode = env.PAUSE_TOOL_MODE || 'native', ...options } = config;
+  switch (type) {
+    case 'openai-compatible':
+      return applyToolMode(new OpenAICompatibleProvider({
+        baseUrl: env.PAUSE_BASE_URL,
+        model: env.PAUSE_MODEL,
+        apiKey: env.PAUSE_API_KEY,
+        ...options
+      }), toolMode);
+    case 'langchain':
+      if (!options.chatModel) {
+        throw new Error('[Pause] The langchain provider requires a chatModel.');
+      }
+      return applyToolMode(new LangChainProvider(options.chatModel), toolMode);
+    default:
+      throw new Error(`[Pause] Unknown correction provider: ${type}. Expected 'openai-compatible' or 'langchain', or pass a provider instance.`);
+  }
+}
+
+/**
+ * Creates the record/replay cassette described by the `cassette` option or the environment
+ * (`PAUSE_CASSETTE` for the file, `PAUSE_CASSETTE_MODE` for the mode).
+ * @param {CassetteProvider|string|Object} [option] - A cassette, a cassette file path, or `CassetteProvider` options.
+ * @param {Object} [env=process.env] - The environment to read defaults from.
+ * @returns {CassetteProvider|null} - The cassette, or null if none is configured.
+ */
+function createCassette(option, env = process.env) {
+  if (option instanceof CassetteProvider) return option;
+  const config = typeof option === 'string' ? { file: option } : option || (env.PAUSE_CASSETTE ? { file: env.PAUSE_CASSETTE } : null);
+  if (!config) return null;
+  return new CassetteProvider({ mode: env.PAUSE_CASSETTE_MODE, ...config });
+}
+
+export { createProvider, createCassette, applyToolMode, LangChainProvider, JsonTextProvider, OpenAICompatibleProvider, CassetteProvider };
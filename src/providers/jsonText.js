@@ -0,0 +1,142 @@
+// Matches fenced code blocks; group 1 is the language tag, group 2 the code
+const FENCE_PATTERN = /```([\w-]*)[^\n]*\n([\s\S]*?)```/g;
+
+/**
+ * Describes the tools and the expected reply format to a model without native tool calling.
+ * @param {import('./index.js').CorrectionTool[]} tools - The tools the model may call.
+ * @returns {string} - The instructions.
+ */
+function buildInstructions(tools) {
+  const toolList = tools.map(({ name, description, parameters }) => (
+    `- ${name}: ${description}\n  Arguments (JSON schema): ${JSON.stringify(parameters)}`
+  )).join('\n');
+  return `TOOLS:
+You cannot call tools directly. To call a tool, reply with a single JSON object and nothing else:
+{"tool": "<tool name>", "args": { ... }}
+
+Available tools:
+${toolList}`;
+}
+
+/**
+ * Finds the first balanced `{...}` object in a text.
+ * @param {string} text - The text to search.
+ * @returns {string|null} - The object source, or null if there is none.
+ */
+function findJsonObject(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads a tool call written as JSON in the reply text.
+ * @param {string} content - The reply text.
+ * @param {Set<string>} toolNames - Names of the available tools.
+ * @returns {{name: string, args: Object}|null} - The tool call, or null if the text holds none.
+ */
+function parseJsonToolCall(content, toolNames) {
+  const fenced = [...content.matchAll(FENCE_PATTERN)].filter(([, language]) => language === '' || language === 'json');
+  const candidates = [...fenced.map(match => match[2]), content];
+  for (const candidate of candidates) {
+    const source = findJsonObject(candidate);
+    if (!source) continue;
+    let parsed;
+    try {
+      parsed = JSON.parse(source);
+    } catch {
+      continue;
+    }
+    const name = parsed.tool || parsed.name;
+    if (toolNames.has(name)) {
+      return { name, args: parsed.args || parsed.arguments || {} };
+    }
+  }
+  return null;
+}
+
+/**
+ * Correction provider for models without native tool calling. It wraps another provider,
+ * describes the tools in the prompt and reads the tool call from a JSON object in the reply.
+ * If the reply has no tool call but holds a fenced JavaScript code block, the code is taken
+ * as a corrected block (`fallbackTool`).
+ */
+class JsonTextProvider {
+  /**
+   * @param {Object} provider - The provider that sends the text conversation to the model.
+   * @param {Object} [options={}] - Parsing options.
+   * @param {string|null} [options.fallbackTool='propose_corrected_block'] - Tool called with a fenced code block when the reply has no JSON tool call; null to disable.
+   * @param {string} [options.fallbackArgument='corrected_code'] - Argument of `fallbackTool` that receives the code.
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.name = `json-text(${provider.name})`;
+    this.model = provider.model;
+    this.fallbackTool = options.fallbackTool === undefined ? 'propose_corrected_block' : options.fallbackTool;
+    this.fallbackArgument = options.fallbackArgument || 'corrected_code';
+    this._nextCallId = 1;
+  }
+
+  /**
+   * Sends the conversation as plain text and parses the tool call from the reply.
+   * @param {import('./index.js').CorrectionRequest} request - The conversation and the tools the model may call.
+   * @returns {Promise<import('./index.js').CorrectionResponse>} - The reply.
+   */
+  async complete({ messages, tools, blockId, signal }) {
+    const textMessages = messages.map((message) => {
+      if (message.role === 'assistant') return { role: 'assistant', content: message.content || '' };
+      if (message.role === 'tool') return { role: 'user', content: `Result of ${message.name}:\n${message.content}` };
+      return { role: 'user', content: message.content };
+    });
+    if (tools && tools.length > 0 && textMessages.length > 0) {
+      textMessages[0] = { role: 'user', content: `${textMessages[0].content}\n\n${buildInstructions(tools)}` };
+    }
+
+    const response = await this.provider.complete({ messages: textMessages, tools: [], blockId, signal });
+    const toolCall = this._parseToolCall(response.content || '', tools || [], blockId);
+    return { ...response, toolCalls: toolCall ? [toolCall] : [] };
+  }
+
+  // --- Private Helper Methods ---
+
+  /**
+   * Reads the tool call from the reply text, falling back to a fenced code block.
+   * @private
+   * @param {string} content - The reply text.
+   * @param {import('./index.js').CorrectionTool[]} tools - The available tools.
+   * @param {string} [blockId] - The block being corrected, passed to the fallback tool.
+   * @returns {{id: string, name: string, args: Object}|null} - The tool call, or null.
+   */
+  _parseToolCall(content, tools, blockId) {
+    const toolNames = new Set(tools.map(tool => tool.name));
+    const id = `call_text_${this._nextCallId++}`;
+    const parsed = parseJsonToolCall(content, toolNames);
+    if (parsed) {
+      return { id, ...parsed };
+    }
+    if (!this.fallbackTool || !toolNames.has(this.fallbackTool)) return null;
+    const code = [...content.matchAll(FENCE_PATTERN)]
+      .filter(([, language]) => ['', 'js', 'javascript', 'jsx', 'ts', 'typescript'].includes(language.toLowerCase()))
+      .map(match => match[2].trim())
+      .find(Boolean);
+    if (!code) return null;
+    return { id, name: this.fallbackTool, args: { block_id: blockId, [this.fallbackArgument]: code } };
+  }
+}
+
+export default JsonTextProvider;
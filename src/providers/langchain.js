@@ -0,0 +1,97 @@
+import { DynamicStructuredTool } from 'langchain/tools';
+import { HumanMessage, AIMessage, ToolMessage, isBaseMessage } from '@langchain/core/messages';
+
+/**
+ * Reads token usage from a LangChain chat model response.
+ * Supports `usage_metadata` as well as the older `response_metadata.tokenUsage`.
+ * @param {Object} response - The LLM response.
+ * @returns {{input: number, output: number, total: number}} - The token usage (zeros if unreported).
+ */
+function readUsage(response) {
+  const metadata = response && response.usage_metadata;
+  if (metadata) {
+    const input = metadata.input_tokens || 0;
+    const output = metadata.output_tokens || 0;
+    return { input, output, total: metadata.total_tokens || input + output };
+  }
+  const legacy = response && response.response_metadata && response.response_metadata.tokenUsage;
+  if (legacy) {
+    const input = legacy.promptTokens || 0;
+    const output = legacy.completionTokens || 0;
+    return { input, output, total: legacy.totalTokens || input + output };
+  }
+  return { input: 0, output: 0, total: 0 };
+}
+
+/**
+ * Converts a provider-neutral message to a LangChain message.
+ * @param {import('./index.js').CorrectionMessage} message - The message.
+ * @returns {import('@langchain/core/messages').BaseMessage} - The LangChain message.
+ */
+function toLangChainMessage(message) {
+  if (message.role === 'assistant') {
+    if (isBaseMessage(message.raw)) return message.raw;
+    return new AIMessage({
+      content: message.content || '',
+      tool_calls: (message.toolCalls || []).map(({ id, name, args }) => ({ id, name, args }))
+    });
+  }
+  if (message.role === 'tool') {
+    return new ToolMessage({ content: message.content, tool_call_id: message.toolCallId, name: message.name });
+  }
+  return new HumanMessage({ content: message.content });
+}
+
+/**
+ * Correction provider for any LangChain chat model that supports `bindTools` (e.g. `ChatOpenAI`).
+ * Use `JsonTextProvider` on top of it for chat models without native tool calling.
+ */
+class LangChainProvider {
+  /**
+   * @param {Object} chatModel - The LangChain chat model.
+   */
+  constructor(chatModel) {
+    this.chatModel = chatModel;
+    this.name = 'langchain';
+    this.model = chatModel.modelName || chatModel.model || null;
+    this._boundModels = new WeakMap();
+  }
+
+  /**
+   * Sends the conversation to the chat model.
+   * @param {import('./index.js').CorrectionRequest} request - The conversation and the tools the model may call.
+   * @returns {Promise<import('./index.js').CorrectionResponse>} - The reply.
+   */
+  async complete({ messages, tools, signal }) {
+    const response = await this._bind(tools).invoke(messages.map(toLangChainMessage), signal ? { signal } : undefined);
+    return {
+      content: typeof response.content === 'string' ? response.content : '',
+      toolCalls: (response.tool_calls || []).map(({ id, name, args }) => ({ id, name, args })),
+      usage: readUsage(response),
+      raw: response
+    };
+  }
+
+  // --- Private Helper Methods ---
+
+  /**
+   * Binds the tools to the chat model once per tool list.
+   * @private
+   * @param {import('./index.js').CorrectionTool[]} tools - The tools.
+   * @returns {Object} - The chat model to invoke.
+   */
+  _bind(tools) {
+    if (!tools || tools.length === 0) return this.chatModel;
+    if (!this._boundModels.has(tools)) {
+      this._boundModels.set(tools, this.chatModel.bindTools(tools.map(({ name, description, parameters, run }) => new DynamicStructuredTool({
+        name,
+        description,
+        schema: parameters,
+        func: run
+      }))));
+    }
+    return this._boundModels.get(tools);
+  }
+}
+
+export default LangChainProvider;
@@ -0,0 +1,121 @@
+/**
+ * Converts a provider-neutral message to the OpenAI chat completions format.
+ * @param {import('./index.js').CorrectionMessage} message - The message.
+ * @returns {Object} - The OpenAI message.
+ */
+function toOpenAIMessage(message) {
+  if (message.role === 'assistant') {
+    const converted = { role: 'assistant', content: message.content || null };
+    if (message.toolCalls && message.toolCalls.length > 0) {
+      converted.tool_calls = message.toolCalls.map(({ id, name, args }) => ({
+        id,
+        type: 'function',
+        function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args) }
+      }));
+    }
+    return converted;
+  }
+  if (message.role === 'tool') {
+    return { role: 'tool', content: message.content, tool_call_id: message.toolCallId };
+  }
+  return { role: 'user', content: message.content };
+}
+
+/**
+ * Parses the JSON arguments of a tool call, leaving malformed ones as the raw string.
+ * @param {string|Object} args - The arguments.
+ * @returns {Object|string} - The parsed arguments.
+ */
+function parseArguments(args) {
+  if (typeof args !== 'string') return args || {};
+  try {
+    return JSON.parse(args);
+  } catch {
+    return args;
+  }
+}
+
+/**
+ * Correction provider for any server implementing the OpenAI chat completions API,
+ * such as OpenAI itself or a self-hosted server (vLLM, llama.cpp, Ollama, LM Studio).
+ * It talks to the endpoint with `fetch` and needs no LangChain packages.
+ * Use `JsonTextProvider` on top of it for models served without tool calling.
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} [options={}] - Configuration options for the endpoint.
+   * @param {string} [options.baseUrl='http://localhost:11434/v1'] - Base URL of the API; `/chat/completions` is appended.
+   * @param {string} options.model - The model name sent with each request.
+   * @param {string} [options.apiKey] - Sent as a bearer token when set.
+   * @param {number} [options.temperature=0] - Sampling temperature.
+   * @param {number} [options.maxTokens=1024] - Maximum tokens of each reply.
+   * @param {Object<string, string>} [options.headers={}] - Extra request headers.
+   * @param {number} [options.timeoutMs=60000] - Time limit of each request.
+   * @param {Function} [options.fetch=globalThis.fetch] - The fetch implementation.
+   */
+  constructor(options = {}) {
+    if (!options.model) {
+      throw new Error('[Pause] OpenAICompatibleProvider requires a model name.');
+    }
+    this.name = 'openai-compatible';
+    this.model = options.model;
+    this.baseUrl = (options.baseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+    this.temperature = typeof options.temperature === 'number' ? options.temperature : 0;
+    this.maxTokens = typeof options.maxTokens === 'number' ? options.maxTokens : 1024;
+    this.headers = options.headers || {};
+    this.timeoutMs = typeof options.timeoutMs === 'number' ? options.timeoutMs : 60000;
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  /**
+   * Sends the conversation to the endpoint.
+   * @param {import('./index.js').CorrectionRequest} request - The conversation and the tools the model may call.
+   * @returns {Promise<import('./index.js').CorrectionResponse>} - The reply.
+   * @throws {Error} If the request fails or the endpoint answers with an error status.
+   */
+  async complete({ messages, tools, signal }) {
+    const body = {
+      model: this.model,
+      messages: messages.map(toOpenAIMessage),
+      temperature: this.temperature,
+      max_tokens: this.maxTokens
+    };
+    if (tools && tools.length > 0) {
+      body.tools = tools.map(({ name, description, parameters }) => ({ type: 'function', function: { name, description, parameters } }));
+    }
+
+    const response = await this.fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+        ...this.headers
+      },
+      body: JSON.stringify(body),
+      signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(this.timeoutMs)]) : AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`[Pause] ${this.baseUrl}/chat/completions responded with ${response.status}: ${text.slice(0, 500)}`);
+    }
+
+    const data = await response.json();
+    const message = (data.choices && data.choices[0] && data.choices[0].message) || {};
+    const usage = data.usage || {};
+    const input = usage.prompt_tokens || 0;
+    const output = usage.completion_tokens || 0;
+    return {
+      content: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function && call.function.name,
+        args: parseArguments(call.function && call.function.arguments)
+      })),
+      usage: { input, output, total: usage.total_tokens || input + output },
+      raw: data
+    };
+  }
+}
+
+export default OpenAICompatibleProvider;
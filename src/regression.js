@@ -0,0 +1,125 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { getActiveVersion, getSamples } from './storage/blocks.js';
+import { parseCode } from './codeParser.js';
+
+/**
+ * Converts the arguments and result of a call to a sample that can be stored and compared later.
+ * Only calls whose arguments and result survive a JSON round trip unchanged are sampled, so that
+ * replaying a sample passes the same values and a deep comparison of the results is meaningful.
+ * @param {any[]} args - The arguments of the call.
+ * @param {any} result - What the call returned.
+ * @param {number} maxLength - The longest JSON text a sample may have.
+ * @returns {{args: any[], result: any}|null} - The sample, or null if the call cannot be sampled.
+ */
+function toSample(args, result, maxLength) {
+  let json;
+  try {
+    json = JSON.stringify({ args, result });
+  } catch {
+    return null;
+  }
+  if (json === undefined || json.length > maxLength) return null;
+  const sample = JSON.parse(json);
+  return isDeepStrictEqual(sample, { args, result }) ? sample : null;
+}
+
+/**
+ * Compares the result of a replayed sample with the result it had when it was recorded.
+ * @param {Object} sample - The sample.
+ * @param {any} result - The result of the replay.
+ * @returns {boolean} - Whether the result is unchanged.
+ */
+function matchesSample(sample, result) {
+  let json;
+  try {
+    json = JSON.stringify(result);
+  } catch {
+    return false;
+  }
+  return json !== undefined && isDeepStrictEqual(JSON.parse(json), sample.result);
+}
+
+/**
+ * Renders the samples of a block as a Jest test file with one test per sample.
+ * @param {string} id - The unique identifier for the code block.
+ * @param {Object[]} samples - The samples to turn into tests.
+ * @param {Object} target - What the tests call: `{ importPath, exportName }` for a module export,
+ *   or `{ code, version }` to embed a stored version of the block.
+ * @returns {string} - The source of the test file.
+ */
+function renderRegressionTests(id, samples, target) {
+  const header = [
+    `// Regression tests for the Pause block "${id}", exported from ${samples.length} recorded call(s).`,
+    '// Each test calls the block with the arguments of a call that succeeded and expects the result that call returned.'
+  ];
+  let subject;
+  if (target.importPath) {
+    const exportName = target.exportName || 'default';
+    subject = exportName === 'default'
+      ? `import block from ${JSON.stringify(target.importPath)};`
+      : `import { ${exportName} as block } from ${JSON.stringify(target.importPath)};`;
+  } else {
+    subject = `// Version ${target.version} of the block, as stored. Define the scope variables it uses above it.\nconst block = ${target.code};`;
+  }
+  const tests = samples.map((sample, index) => {
+    const preview = JSON.stringify(sample.args);
+    const title = `call ${index + 1}: ${preview.length > 60 ? `${preview.slice(0, 57)}...` : preview}`;
+    return `  test(${JSON.stringify(title)}, async () => {
+    expect(await block(...${preview})).toEqual(${JSON.stringify(sample.result)});
+  });`;
+  });
+  return `${header.join('\n')}
+${subject}
+
+describe(${JSON.stringify(`${id} regressions`)}, () => {
+${tests.join('\n\n')}
+});
+`;
+}
+
+/**
+ * Turns the samples of a block into a Jest test file.
+ * The samples recorded for the local source that ran last are used; unstable samples are left out.
+ * @param {Object|null} block - The block record.
+ * @param {string} id - The unique identifier for the code block.
+ * @param {Object} [options={}] - Export options.
+ * @param {string} [options.importPath] - Module that exports the function under test, as imported from the test file.
+ *   Without it, the active stored version of the block is embedded in the file.
+ * @param {string} [options.exportName='default'] - The export of `importPath` to test.
+ * @param {string} [options.dir='.'] - Directory of the test file.
+ * @param {boolean} [options.write=false] - Write the file to disk instead of only returning it.
+ * @returns {Promise<{file: string, output: string, tests: number}>} - The path and source of the test file, and its number of tests.
+ * @throws {Error} If the block has no samples, or no active version when `importPath` is not given.
+ */
+async function exportRegressionTests(block, id, options = {}) {
+  const latest = block && block.samples && block.samples.length > 0 ? block.samples[block.samples.length - 1] : null;
+  const samples = latest ? getSamples(block, latest.sourceHash).filter(sample => !sample.unstable) : [];
+  if (samples.length === 0) {
+    throw new Error(`[Pause] No regression samples recorded for block ID: ${id}`);
+  }
+  let target = { importPath: options.importPath, exportName: options.exportName };
+  if (!options.importPath) {
+    const activeVersion = getActiveVersion(block);
+    if (!activeVersion) {
+      throw new Error(`[Pause] Block ID ${id} has no active version to embed; pass importPath to test your own function.`);
+    }
+    target = { code: parseCode(activeVersion.code).source, version: activeVersion.version };
+  }
+
+  const file = path.join(options.dir || '.', `${id.replace(/[^\w.-]+/g, '_')}.regression.test.js`);
+  const output = renderRegressionTests(id, samples, target);
+  if (options.write) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, output, 'utf8');
+  }
+  return { file, output, tests: samples.length };
+}
+
+export {
+  toSample,
+  matchesSample,
+  renderRegressionTests,
+  exportRegressionTests
+};
@@ -0,0 +1,110 @@
+const STAGES = ['shadow', 'canary'];
+
+/**
+ * Gradual rollout of corrected versions.
+ *
+ * A new version does not become active when it is saved. It first runs in shadow mode: every call runs
+ * the current version (or the local code) and the new version side by side, compares their results and
+ * returns the current result. After `shadowCalls` calls it becomes a canary and answers `canaryPercent`
+ * of the calls instead of the current version. After `canaryCalls` canary calls it is promoted to the
+ * active version. The rollout is rolled back as soon as the new version mismatched more than `maxMismatches`
+ * results, or failed in more than `maxErrorRate` of the calls a stage needs.
+ *
+ * The state of a rollout is kept in the block record (see `src/storage/blocks.js`), so it is shared by
+ * every process that uses the store. This class only holds the thresholds.
+ */
+class RolloutPolicy {
+  /**
+   * @param {Object} [options={}] - Rollout thresholds.
+   * @param {number} [options.shadowCalls=20] - Calls compared in shadow mode before the canary stage; 0 skips shadow mode.
+   * @param {number} [options.canaryPercent=10] - Percentage of calls the canary answers.
+   * @param {number} [options.canaryCalls=20] - Calls the canary answers before it is promoted; 0 skips the canary stage.
+   * @param {number} [options.maxErrorRate=0.05] - Highest share of failed calls of the new version per stage.
+   * @param {number} [options.maxMismatches=0] - Most results that may differ from the current version in shadow mode.
+   * @throws {Error} If `canaryPercent` is not between 0 and 100.
+   */
+  constructor(options = {}) {
+    this.shadowCalls = typeof options.shadowCalls === 'number' ? options.shadowCalls : 20;
+    this.canaryPercent = typeof options.canaryPercent === 'number' ? options.canaryPercent : 10;
+    this.canaryCalls = typeof options.canaryCalls === 'number' ? options.canaryCalls : 20;
+    this.maxErrorRate = typeof options.maxErrorRate === 'number' ? options.maxErrorRate : 0.05;
+    this.maxMismatches = typeof options.maxMismatches === 'number' ? options.maxMismatches : 0;
+    if (this.canaryPercent < 0 || this.canaryPercent > 100) {
+      throw new Error(`[Pause] canaryPercent must be between 0 and 100, got ${this.canaryPercent}.`);
+    }
+  }
+
+  /**
+   * Creates the rollout state of a new version.
+   * @param {number} version - The new version.
+   * @param {number|null} previousVersion - The version that stays active during the rollout, or null for the local code.
+   * @returns {Object|null} - The rollout state, or null if the version can be promoted right away.
+   */
+  start(version, previousVersion) {
+    const stage = this._firstStage();
+    if (!stage) return null;
+    return { version, previousVersion, stage, startedAt: new Date().toISOString(), calls: 0, errors: 0, mismatches: 0 };
+  }
+
+  /**
+   * Checks whether a rollout still runs its new version.
+   * @param {Object|null} rollout - The rollout state of a block.
+   * @returns {boolean} - Whether the rollout is in shadow mode or a canary.
+   */
+  isActive(rollout) {
+    return Boolean(rollout && STAGES.includes(rollout.stage));
+  }
+
+  /**
+   * Decides whether a call of a rollout in the canary stage runs the new version.
+   * @returns {boolean} - Whether the call is a canary call.
+   */
+  pickCanary() {
+    return Math.random() * 100 < this.canaryPercent;
+  }
+
+  /**
+   * Records one call of the new version and decides how the rollout continues.
+   * @param {Object} rollout - The rollout state.
+   * @param {Object} outcome - The call.
+   * @param {boolean} outcome.error - Whether the new version failed.
+   * @param {boolean} [outcome.mismatch=false] - Whether its result differed from the current version's.
+   * @returns {{rollout: Object, decision: string|null, reason?: string}} - The new state, and 'canary', 'promote',
+   *   'rollback' or null to continue the stage.
+   */
+  record(rollout, outcome) {
+    const next = {
+      ...rollout,
+      calls: rollout.calls + 1,
+      errors: rollout.errors + (outcome.error ? 1 : 0),
+      mismatches: rollout.mismatches + (outcome.mismatch ? 1 : 0)
+    };
+    const required = next.stage === 'shadow' ? this.shadowCalls : this.canaryCalls;
+    if (next.mismatches > this.maxMismatches) {
+      return { rollout: next, decision: 'rollback', reason: `${next.mismatches} result(s) differed from the current version in shadow mode` };
+    }
+    if (next.errors > this.maxErrorRate * required) {
+      return { rollout: next, decision: 'rollback', reason: `failed ${next.errors} of ${next.calls} ${next.stage} call(s)` };
+    }
+    if (next.calls < required) return { rollout: next, decision: null };
+    if (next.stage === 'shadow' && this.canaryPercent > 0 && this.canaryCalls > 0) {
+      return { rollout: { ...next, stage: 'canary', calls: 0, errors: 0, mismatches: 0 }, decision: 'canary' };
+    }
+    return { rollout: next, decision: 'promote' };
+  }
+
+  // --- Private Helper Methods ---
+
+  /**
+   * Returns the stage a rollout starts in.
+   * @private
+   * @returns {string|null} - 'shadow', 'canary', or null if both stages are skipped.
+   */
+  _firstStage() {
+    if (this.shadowCalls > 0) return 'shadow';
+    if (this.canaryPercent > 0 && this.canaryCalls > 0) return 'canary';
+    return null;
+  }
+}
+
+export default RolloutPolicy;
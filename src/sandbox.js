@@ -0,0 +1,284 @@
+import { Worker } from 'worker_threads';
+
+// Source of the helpers evaluated inside the vm context. Whatever the code can reach must belong to the
+// context's realm: any host object leads back to the host's Function constructor through
+// `value.constructor.constructor`, and from there to `process`.
+const CONTEXT_SOURCE = `(() => {
+  'use strict';
+  const errorTypes = { Error, TypeError, RangeError, SyntaxError, ReferenceError, EvalError, URIError };
+  const createError = (name, message) => {
+    const error = new (errorTypes[name] || Error)(message);
+    if (!errorTypes[name]) error.name = name;
+    return error;
+  };
+  // Rebuilds structured-cloned data with the context's own constructors
+  const copy = (value, seen) => {
+    if (value === null || typeof value !== 'object') return typeof value === 'function' ? undefined : value;
+    if (seen.has(value)) return seen.get(value);
+    const tag = Object.prototype.toString.call(value);
+    let result;
+    if (Array.isArray(value)) {
+      result = [];
+      seen.set(value, result);
+      value.forEach((item, index) => { result[index] = copy(item, seen); });
+      return result;
+    }
+    if (tag === '[object Map]') {
+      result = new Map();
+      seen.set(value, result);
+      value.forEach((item, key) => result.set(copy(key, seen), copy(item, seen)));
+      return result;
+    }
+    if (tag === '[object Set]') {
+      result = new Set();
+      seen.set(value, result);
+      value.forEach(item => result.add(copy(item, seen)));
+      return result;
+    }
+    if (tag === '[object Date]') {
+      result = new Date(value.getTime());
+    } else if (tag === '[object RegExp]') {
+      result = new RegExp(value.source, value.flags);
+    } else if (tag === '[object Error]') {
+      result = createError(String(value.name), String(value.message));
+    } else if (tag === '[object ArrayBuffer]') {
+      result = new Uint8Array(new Uint8Array(value)).buffer;
+    } else if (ArrayBuffer.isView(value)) {
+      const buffer = copy(value.buffer, seen);
+      result = tag === '[object DataView]'
+        ? new DataView(buffer, value.byteOffset, value.byteLength)
+        : new globalThis[tag.slice(8, -1)](buffer, value.byteOffset, value.length);
+    } else if (['[object Boolean]', '[object Number]', '[object String]', '[object BigInt]'].includes(tag)) {
+      result = Object(value.valueOf());
+    } else {
+      result = {};
+      seen.set(value, result);
+      Object.keys(value).forEach(key => { result[key] = copy(value[key], seen); });
+      return result;
+    }
+    seen.set(value, result);
+    return result;
+  };
+  const createCapability = (request) => (...callArgs) => new Promise((resolve, reject) => request(callArgs, resolve, reject));
+  return { copy: (value) => copy(value, new Map()), createError, createCapability };
+})()`;
+
+// Source of the worker thread that runs a single function string inside a fresh vm context.
+// It is evaluated as CommonJS by the Worker constructor (`eval: true`).
+const WORKER_SOURCE = `
+'use strict';
+const { parentPort, workerData } = require('worker_threads');
+const { randomUUID } = require('crypto');
+const vm = require('vm');
+
+const { code, args, bindings, globals, capabilityNames, timeoutMs, contextSource } = workerData;
+const context = vm.createContext({}, { codeGeneration: { strings: false, wasm: false } });
+const { copy, createError, createCapability } = vm.runInContext(contextSource, context);
+const pendingCalls = new Map();
+let nextCallId = 0;
+
+parentPort.on('message', (message) => {
+  if (message.type !== 'capability-result') return;
+  const pending = pendingCalls.get(message.callId);
+  pendingCalls.delete(message.callId);
+  if (message.error) {
+    pending.reject(createError(String(message.error.name), String(message.error.message)));
+  } else {
+    pending.resolve(copy(message.value));
+  }
+});
+
+for (const name of globals) {
+  if (name in globalThis) context[name] = globalThis[name];
+}
+for (const name of capabilityNames) {
+  context[name] = createCapability((callArgs, resolve, reject) => {
+    const callId = nextCallId++;
+    pendingCalls.set(callId, { resolve, reject });
+    try {
+      parentPort.postMessage({ type: 'capability', callId, name, args: callArgs });
+    } catch (cloneError) {
+      pendingCalls.delete(callId);
+      reject(createError(cloneError.name, cloneError.message));
+    }
+  });
+}
+for (const name of Object.keys(bindings)) {
+  context[name] = copy(bindings[name]);
+}
+// The arguments are taken off the global before the function runs
+const argsKey = '__pauseArgs_' + randomUUID().replace(/-/g, '');
+context[argsKey] = copy(args);
+
+const serializeError = (error) => ({
+  name: error && error.name ? error.name : 'Error',
+  message: error && error.message !== undefined ? error.message : String(error),
+  stack: error && error.stack
+});
+
+(async () => {
+  try {
+    const takeArgs = '(() => { const args = globalThis.' + argsKey + '; delete globalThis.' + argsKey + '; return args; })()';
+    const script = new vm.Script('(' + code + '\\n)(...' + takeArgs + ')', { filename: 'pause-sandbox.js' });
+    const value = await script.runInContext(context, { timeout: timeoutMs });
+    try {
+      parentPort.postMessage({ type: 'result', value });
+    } catch (cloneError) {
+      parentPort.postMessage({ type: 'error', clone: true, error: serializeError(cloneError) });
+    }
+  } catch (error) {
+    parentPort.postMessage({ type: 'error', error: serializeError(error) });
+  }
+})();
+`;
+
+/**
+ * Creates an error with a machine-readable code.
+ * @param {string} message - The error message.
+ * @param {string} code - The error code.
+ * @returns {Error} - The error.
+ */
+function sandboxError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Runs function strings in a worker thread, inside a `node:vm` context that only exposes
+ * allow-listed globals and injected capabilities. Arguments and results are passed by
+ * structured clone, the worker's heap is capped and it is terminated when the time limit is hit.
+ *
+ * This keeps DB and AI-generated code away from the host process state (`process`, module
+ * loading, globals, memory). Arguments, scope bindings, capability results and errors are rebuilt
+ * inside the context, so the code never holds an object of the host realm. Allow-listed `globals`
+ * are the exception: they are the worker's own objects, and their constructors reach the worker's
+ * `process`. A vm context is not a hardened security boundary, so code from untrusted sources still
+ * needs review.
+ */
+class Sandbox {
+  /**
+   * @param {Object} [options={}] - Configuration options for the sandbox.
+   * @param {string[]} [options.globals=[]] - Names of host globals to expose (e.g. 'console', 'setTimeout', 'URL'). They are passed as they are, so only expose them to trusted code. JavaScript built-ins such as `Math`, `JSON` or `Promise` are always available.
+   * @param {Object<string, Function>} [options.capabilities={}] - Functions exposed to the code as async globals. They run in the host process; their arguments and results are structured-cloned.
+   * @param {number} [options.timeoutMs=1000] - Time limit for one execution, covering both synchronous CPU time and awaited work.
+   * @param {number} [options.memoryLimitMb=64] - Heap limit of the worker running the code.
+   */
+  constructor(options = {}) {
+    this.globals = options.globals || [];
+    this.capabilities = options.capabilities || {};
+    this.timeoutMs = typeof options.timeoutMs === 'number' ? options.timeoutMs : 1000;
+    this.memoryLimitMb = typeof options.memoryLimitMb === 'number' ? options.memoryLimitMb : 64;
+  }
+
+  /**
+   * Runs a function string with the given arguments.
+   * @param {string} codeString - The string representation of the function.
+   * @param {any[]} [args=[]] - Structured-cloneable arguments to pass to the function.
+   * @param {Object} [bindings={}] - Structured-cloneable variables the function can reference by name (the block's scope).
+   * @returns {Promise<any>} - A structured clone of the function's result.
+   * @throws {Error} If the code throws, or the sandbox limits are exceeded (`error.code` is then
+   *   'ERR_PAUSE_SANDBOX_TIMEOUT', 'ERR_PAUSE_SANDBOX_MEMORY' or 'ERR_PAUSE_SANDBOX_CLONE').
+   */
+  run(codeString, args = [], bindings = {}) {
+    return new Promise((resolve, reject) => {
+      let worker;
+      try {
+        worker = new Worker(WORKER_SOURCE, {
+          eval: true,
+          workerData: {
+            code: codeString,
+            args,
+            bindings,
+            globals: this.globals,
+            capabilityNames: Object.keys(this.capabilities),
+            timeoutMs: this.timeoutMs,
+            contextSource: CONTEXT_SOURCE
+          },
+          resourceLimits: { maxOldGenerationSizeMb: this.memoryLimitMb, maxYoungGenerationSizeMb: Math.max(1, Math.ceil(this.memoryLimitMb / 8)) },
+          stdout: false,
+          stderr: false
+        });
+      } catch (error) {
+        reject(sandboxError(`[Pause] Sandbox arguments must be structured-cloneable: ${error.message}`, 'ERR_PAUSE_SANDBOX_CLONE'));
+        return;
+      }
+
+      let settled = false;
+      const settle = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        worker.terminate();
+        fn(value);
+      };
+      const timer = setTimeout(() => {
+        settle(reject, sandboxError(`[Pause] Sandbox execution timed out after ${this.timeoutMs}ms`, 'ERR_PAUSE_SANDBOX_TIMEOUT'));
+      }, this.timeoutMs);
+
+      worker.on('message', (message) => {
+        if (message.type === 'result') {
+          settle(resolve, message.value);
+        } else if (message.type === 'error') {
+          settle(reject, this._toError(message));
+        } else if (message.type === 'capability') {
+          this._callCapability(worker, message);
+        }
+      });
+      worker.on('error', (error) => {
+        if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+          settle(reject, sandboxError(`[Pause] Sandbox execution exceeded the memory limit of ${this.memoryLimitMb}MB`, 'ERR_PAUSE_SANDBOX_MEMORY'));
+        } else {
+          settle(reject, error);
+        }
+      });
+      worker.on('exit', (exitCode) => {
+        settle(reject, new Error(`[Pause] Sandbox worker exited unexpectedly with code ${exitCode}`));
+      });
+    });
+  }
+
+  // --- Private Helper Methods ---
+
+  /**
+   * Rebuilds an error reported by the worker.
+   * @private
+   * @param {Object} message - The worker message holding the serialized error.
+   * @returns {Error} - The error.
+   */
+  _toError(message) {
+    const { name, message: errorMessage, stack } = message.error;
+    if (message.clone) {
+      return sandboxError(`[Pause] Sandbox result must be structured-cloneable: ${errorMessage}`, 'ERR_PAUSE_SANDBOX_CLONE');
+    }
+    if (/Script execution timed out/.test(errorMessage)) {
+      return sandboxError(`[Pause] Sandbox execution timed out after ${this.timeoutMs}ms`, 'ERR_PAUSE_SANDBOX_TIMEOUT');
+    }
+    const error = new Error(errorMessage);
+    error.name = name;
+    if (stack) error.stack = stack;
+    return error;
+  }
+
+  /**
+   * Calls an injected capability on behalf of the sandboxed code and posts the outcome back.
+   * @private
+   * @param {import('worker_threads').Worker} worker - The worker that requested the call.
+   * @param {Object} message - The capability request (`callId`, `name`, `args`).
+   * @returns {Promise<void>}
+   */
+  async _callCapability(worker, message) {
+    try {
+      const value = await this.capabilities[message.name](...message.args);
+      worker.postMessage({ type: 'capability-result', callId: message.callId, value });
+    } catch (error) {
+      try {
+        worker.postMessage({ type: 'capability-result', callId: message.callId, error: { name: error.name, message: error.message } });
+      } catch {
+        // The worker has already been terminated
+      }
+    }
+  }
+}
+
+export default Sandbox;
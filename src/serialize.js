@@ -0,0 +1,202 @@
+const DEFAULT_LIMITS = { maxDepth: 6, maxStringLength: 2000, maxArrayLength: 100, maxKeys: 100 };
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are never sent to the LLM
+const DEFAULT_REDACT_KEYS = [/pass(word|wd|phrase)?$/i, /secret/i, /token/i, /api[-_]?key/i, /authorization/i, /credential/i, /private[-_]?key/i, /session[-_]?id/i, /cookie/i];
+
+// Secrets recognizable by their format, replaced inside any string (values, error messages, stack traces)
+const DEFAULT_REDACT_PATTERNS = [
+  /\bBearer\s+[\w\-.~+/]+=*/gi,
+  /\bsk-[A-Za-z0-9_-]{16,}/g,
+  /\bAKIA[0-9A-Z]{16}\b/g,
+  /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g,
+  /(?<=\/\/[^/\s:@]+:)[^/\s@]+(?=@)/g
+];
+
+/**
+ * Replaces every match of the patterns in a text with `[REDACTED]`.
+ * @param {string} text - The text.
+ * @param {RegExp[]} patterns - The patterns, with the `g` flag to replace every occurrence.
+ * @returns {string} - The redacted text.
+ */
+function redactString(text, patterns) {
+  return patterns.reduce((result, pattern) => result.replace(pattern, REDACTED), text);
+}
+
+/**
+ * Returns the constructor name of a class instance, or null for plain objects.
+ * @param {Object} value - The object.
+ * @returns {string|null} - The class name.
+ */
+function className(value) {
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype === null || prototype === Object.prototype) return null;
+  return (prototype.constructor && prototype.constructor.name) || 'Object';
+}
+
+/**
+ * Converts a value to a JSON-compatible description that never throws.
+ *
+ * Cycles are marked `[Circular]`; functions, BigInts, symbols, `undefined`, dates and binary data are
+ * described as strings; maps, sets, errors and class instances become objects annotated with an
+ * `@type` key. Deep or large values are truncated. With a `redact` policy, values under sensitive
+ * keys and secrets inside strings are replaced by `[REDACTED]`.
+ * @param {any} value - The value to describe.
+ * @param {Object} [options={}] - Limits and redaction of the description.
+ * @param {number} [options.maxDepth=6] - Nesting depth after which objects are summarized.
+ * @param {number} [options.maxStringLength=2000] - Strings are cut after this many characters.
+ * @param {number} [options.maxArrayLength=100] - Arrays, maps and sets are cut after this many entries.
+ * @param {number} [options.maxKeys=100] - Objects are cut after this many keys.
+ * @param {Object} [options.redact] - Redaction policy (see `ContextSerializer`): `keys`, `patterns` and `redactor`.
+ * @returns {any} - The JSON-compatible description.
+ */
+function toSerializable(value, options = {}) {
+  const { redact, ...limitOptions } = options;
+  const limits = { ...DEFAULT_LIMITS, ...limitOptions };
+  const keys = (redact && redact.keys) || [];
+  const patterns = (redact && redact.patterns) || [];
+  const redactor = redact && redact.redactor;
+  const ancestors = new Set();
+
+  const isSensitiveKey = (key) => typeof key === 'string' && keys.some((pattern) => {
+    if (typeof pattern === 'string') return pattern.toLowerCase() === key.toLowerCase();
+    pattern.lastIndex = 0;
+    return pattern.test(key);
+  });
+
+  const visit = (current, depth, path) => {
+    if (redactor) {
+      const replacement = redactor(current, { key: path[path.length - 1], path });
+      if (replacement !== undefined) return replacement;
+    }
+    if (current === undefined) return '[undefined]';
+    if (current === null || typeof current === 'boolean') return current;
+    if (typeof current === 'number') return Number.isFinite(current) ? current : String(current);
+    if (typeof current === 'string') {
+      const redacted = redactString(current, patterns);
+      return redacted.length > limits.maxStringLength
+        ? `${redacted.slice(0, limits.maxStringLength)}… [${redacted.length - limits.maxStringLength} more characters]`
+        : redacted;
+    }
+    if (typeof current === 'bigint') return `${current}n`;
+    if (typeof current === 'symbol') return current.toString();
+    if (typeof current === 'function') return `[Function ${current.name || 'anonymous'}]`;
+
+    if (ancestors.has(current)) return '[Circular]';
+    if (current instanceof Date) return Number.isNaN(current.getTime()) ? '[Date Invalid]' : `[Date ${current.toISOString()}]`;
+    if (current instanceof RegExp) return `[RegExp ${current.toString()}]`;
+    if (current instanceof Promise) return '[Promise]';
+    if (current instanceof WeakMap || current instanceof WeakSet) return `[${current.constructor.name}]`;
+    if (ArrayBuffer.isView(current) || current instanceof ArrayBuffer) {
+      return `[${current.constructor.name} ${current.byteLength} bytes]`;
+    }
+    const type = Array.isArray(current) ? null : className(current);
+    if (depth >= limits.maxDepth) {
+      return Array.isArray(current) ? `[Array(${current.length})]` : `[${type || 'Object'}]`;
+    }
+
+    ancestors.add(current);
+    try {
+      const list = (items, label, itemPath) => {
+        const described = items.slice(0, limits.maxArrayLength).map((item, index) => visit(item, depth + 1, itemPath(item, index)));
+        if (items.length > limits.maxArrayLength) described.push(`… [${items.length - limits.maxArrayLength} more ${label}]`);
+        return described;
+      };
+      if (Array.isArray(current)) return list(current, 'items', (item, index) => [...path, index]);
+      if (current instanceof Map) {
+        const entries = Array.from(current.entries()).map(([key, entryValue]) => (isSensitiveKey(key) ? [key, REDACTED] : [key, entryValue]));
+        return { '@type': 'Map', entries: list(entries, 'entries', ([key]) => [...path, key]) };
+      }
+      if (current instanceof Set) return { '@type': 'Set', values: list(Array.from(current.values()), 'values', (item, index) => [...path, index]) };
+      if (current instanceof Error) {
+        return { '@type': current.name || 'Error', message: visit(current.message, depth + 1, [...path, 'message']) };
+      }
+      if (typeof current.toJSON === 'function') return visit(current.toJSON(), depth, path);
+
+      const described = type ? { '@type': type } : {};
+      const ownKeys = Object.keys(current);
+      for (const key of ownKeys.slice(0, limits.maxKeys)) {
+        if (isSensitiveKey(key)) {
+          described[key] = REDACTED;
+          continue;
+        }
+        let property;
+        try {
+          property = current[key];
+        } catch (getterError) {
+          property = `[Getter threw: ${getterError.message}]`;
+        }
+        described[key] = visit(property, depth + 1, [...path, key]);
+      }
+      if (ownKeys.length > limits.maxKeys) described['…'] = `${ownKeys.length - limits.maxKeys} more keys`;
+      return described;
+    } finally {
+      ancestors.delete(current);
+    }
+  };
+
+  return visit(value, 0, []);
+}
+
+/**
+ * Serializes a value to JSON without ever throwing (see `toSerializable`).
+ * @param {any} value - The value to serialize.
+ * @param {Object} [options={}] - `toSerializable` options, plus `space` for indentation.
+ * @returns {string} - The JSON text.
+ */
+function safeStringify(value, options = {}) {
+  const { space, ...serializeOptions } = options;
+  return JSON.stringify(toSerializable(value, serializeOptions), null, space);
+}
+
+/**
+ * Serializes the context of a failure (arguments, scope, results) for the LLM and redacts
+ * secrets from everything sent to it.
+ */
+class ContextSerializer {
+  /**
+   * @param {Object} [options={}] - Limits and redaction policy.
+   * @param {number} [options.maxDepth=6] - Nesting depth after which objects are summarized.
+   * @param {number} [options.maxStringLength=2000] - Strings are cut after this many characters.
+   * @param {number} [options.maxArrayLength=100] - Arrays, maps and sets are cut after this many entries.
+   * @param {number} [options.maxKeys=100] - Objects are cut after this many keys.
+   * @param {Array<RegExp|string>} [options.redactKeys] - Additional key names (strings match case-insensitively) or patterns whose values are redacted.
+   * @param {RegExp[]} [options.redactPatterns] - Additional patterns replaced inside every string, error message and stack trace. Use the `g` flag.
+   * @param {Function} [options.redactor] - Called as `(value, { key, path })` for every value; return a replacement to use it, or `undefined` to keep the value.
+   * @param {boolean} [options.defaultRedaction=true] - Apply the built-in key names (password, secret, token, API key, authorization, cookie, ...) and secret formats (bearer tokens, `sk-` keys, AWS access keys, JWTs, URL credentials).
+   */
+  constructor(options = {}) {
+    const { redactKeys = [], redactPatterns = [], redactor = null, defaultRedaction = true, ...limits } = options;
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.redact = {
+      keys: [...(defaultRedaction ? DEFAULT_REDACT_KEYS : []), ...redactKeys],
+      patterns: [...(defaultRedaction ? DEFAULT_REDACT_PATTERNS : []), ...redactPatterns],
+      redactor
+    };
+  }
+
+  /**
+   * Serializes a value to redacted JSON.
+   * @param {any} value - The value to serialize.
+   * @param {Object} [options={}] - Formatting options.
+   * @param {number} [options.space] - Indentation.
+   * @returns {string} - The JSON text.
+   */
+  serialize(value, options = {}) {
+    return safeStringify(value, { ...this.limits, redact: this.redact, space: options.space });
+  }
+
+  /**
+   * Replaces secrets inside free text, such as error messages, stack traces and prompts.
+   * Only the patterns apply; key-based redaction needs structured data.
+   * @param {string} text - The text.
+   * @returns {string} - The redacted text.
+   */
+  redactText(text) {
+    return redactString(String(text), this.redact.patterns);
+  }
+}
+
+export default ContextSerializer;
+export { toSerializable, safeStringify };
@@ -0,0 +1,349 @@
+import crypto from 'crypto';
+
+/**
+ * Helpers for working with versioned block records.
+ *
+ * A block record is the unit a storage adapter persists for each block ID:
+ * {
+ *   id: string,
+ *   activeVersion: number|null,  // Version executed instead of the local code
+ *   pinnedVersion: number|null,  // When set, new versions never become active automatically
+ *   versions: BlockVersion[],    // Every version ever stored, oldest first
+ *   patches: BlockPatch[],       // Input patches, applied in order before the block runs while `active`
+ *   proposals: BlockProposal[],  // Corrections awaiting (or having received) human approval
+ *   goodVersions: number[],      // Versions that have run successfully at least once
+ *   samples: BlockSample[],      // Arguments and results of successful calls, replayed against corrections
+ *   rollout: BlockRollout|null   // Gradual rollout of the newest version (see `RolloutPolicy`)
+ * }
+ *
+ * A storage adapter must implement:
+ *   getBlock(id): Promise<BlockRecord|null>
+ *   updateBlock(id, updater): Promise<BlockRecord|null>
+ *     `updater` receives a copy of the current record (or null) and returns the new record.
+ * and may implement:
+ *   lock(id, { signal }): Promise<Function>
+ *     Resolves once the caller holds the block's correction lock, to an async function that releases it.
+ *     Should stop waiting, rejecting, when `signal` (the AbortSignal of the call, if any) is aborted, and not wait forever.
+ *     Pause holds it while correcting the block, so processes sharing the store do not correct it at the same time.
+ */
+
+/**
+ * @typedef {Object} BlockVersion
+ * @property {number} version - Sequential version number, starting at 1.
+ * @property {string} code - The function code string for this version.
+ * @property {string} createdAt - ISO timestamp of when the version was stored.
+ * @property {string} source - Where the failing code came from ('local' or 'db'), or 'external' if written outside the framework.
+ * @property {string|null} error - Message of the error that triggered this version.
+ * @property {string|null} errorClass - Class of that error (see `ErrorClassifier`).
+ * @property {string|null} model - Name of the model that produced this version.
+ * @property {number|null} attempt - Correction attempt number that produced this version.
+ * @property {string|null} originalCode - The local code of the block at the time of the correction.
+ * @property {string|null} sourceHash - Hash of `originalCode` (see `hashSource`). A version without one is never considered stale.
+ */
+
+/**
+ * @typedef {Object} BlockPatch
+ * @property {number} version - Sequential patch number, starting at 1.
+ * @property {string} code - The patch function string, called as `(scope, args)`.
+ * @property {string} createdAt - ISO timestamp of when the patch was stored.
+ * @property {string} source - Where the failing code came from ('local' or 'db').
+ * @property {string|null} error - Message of the error that triggered this patch.
+ * @property {string|null} errorClass - Class of that error (see `ErrorClassifier`).
+ * @property {string|null} model - Name of the model that produced this patch.
+ * @property {number|null} attempt - Correction attempt number that produced this patch.
+ * @property {boolean} active - Whether the patch is applied before the block runs.
+ */
+
+/**
+ * @typedef {Object} BlockProposal
+ * @property {number} proposalId - Sequential proposal number, starting at 1.
+ * @property {string} kind - 'replacement' for corrected code, 'patch' for an input patch.
+ * @property {string} status - 'pending', 'approved' or 'rejected'.
+ * @property {string} code - The proposed function string.
+ * @property {string} createdAt - ISO timestamp of when the proposal was stored.
+ * @property {string|null} decidedAt - ISO timestamp of the approval or rejection.
+ * @property {string|null} reason - Reason given for a rejection.
+ * @property {number|null} version - Version (or patch version) created when the proposal was approved.
+ * The version metadata (`source`, `error`, `errorClass`, `model`, `attempt`, `originalCode`, `sourceHash`) is kept as well.
+ */
+
+/**
+ * @typedef {Object} BlockSample
+ * @property {any[]} args - The arguments of a successful call (after active patches), as JSON.
+ * @property {any} result - What the call returned, as JSON.
+ * @property {string|null} sourceHash - Hash of the local code of the block at the time (see `hashSource`).
+ * @property {number|null} version - The stored version that ran, or null for the local code.
+ * @property {string} recordedAt - ISO timestamp of the call.
+ * @property {boolean} unstable - Whether the same arguments returned different results; unstable samples are not replayed.
+ */
+
+/**
+ * @typedef {Object} BlockRollout
+ * @property {number} version - The version being rolled out.
+ * @property {number|null} previousVersion - The version that was active when the rollout started, or null for the local code.
+ * @property {string} stage - 'shadow' or 'canary' while the rollout runs, then 'promoted' or 'rolled-back'.
+ * @property {string} startedAt - ISO timestamp of when the rollout started.
+ * @property {number} calls - Calls of the new version in the current stage.
+ * @property {number} errors - Failed calls of the new version in the current stage.
+ * @property {number} mismatches - Results of the new version that differed from the current version's, in shadow mode.
+ * @property {string} [endedAt] - ISO timestamp of the promotion or rollback.
+ * @property {string} [reason] - Why the rollout was rolled back.
+ */
+
+/**
+ * Hashes the local source of a block, ignoring differences in whitespace.
+ * Compared with the `sourceHash` of a stored version to detect that the local code changed since.
+ * @param {string} code - The function or code string.
+ * @returns {string} - The hex SHA-256 hash.
+ */
+function hashSource(code) {
+  return crypto.createHash('sha256').update(String(code).replace(/\s+/g, ' ').trim()).digest('hex');
+}
+
+/**
+ * Creates an empty block record.
+ * @param {string} id - The unique identifier for the code block.
+ * @returns {Object} - A block record without versions.
+ */
+function createBlockRecord(id) {
+  return { id, activeVersion: null, pinnedVersion: null, versions: [], patches: [], proposals: [], goodVersions: [], samples: [], rollout: null };
+}
+
+/**
+ * Deep-copies a block record so adapters never hand out their internal state.
+ * @param {Object|null} block - The block record to copy.
+ * @returns {Object|null} - The copied record.
+ */
+function cloneBlockRecord(block) {
+  return block ? JSON.parse(JSON.stringify(block)) : null;
+}
+
+/**
+ * Finds a specific version of a block.
+ * @param {Object|null} block - The block record.
+ * @param {number} version - The version number to look up.
+ * @returns {BlockVersion|null} - The version, or null if it does not exist.
+ */
+function findVersion(block, version) {
+  if (!block) return null;
+  return block.versions.find(v => v.version === version) || null;
+}
+
+/**
+ * Returns the version that should be executed for a block.
+ * @param {Object|null} block - The block record.
+ * @returns {BlockVersion|null} - The active version, or null if the local code should run.
+ */
+function getActiveVersion(block) {
+  if (!block || block.activeVersion == null) return null;
+  return findVersion(block, block.activeVersion);
+}
+
+/**
+ * Appends a new version to a block record and activates it unless the block is pinned.
+ * @param {Object|null} block - The block record (null creates a new one).
+ * @param {string} id - The unique identifier for the code block.
+ * @param {Object} data - Version fields (`code` is required, other metadata is optional).
+ * @returns {Object} - The updated block record.
+ */
+function appendVersion(block, id, data) {
+  const next = block || createBlockRecord(id);
+  const version = next.versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+  next.versions.push({
+    version,
+    code: data.code,
+    createdAt: data.createdAt || new Date().toISOString(),
+    source: data.source || null,
+    error: data.error || null,
+    errorClass: data.errorClass || null,
+    model: data.model || null,
+    attempt: data.attempt || null,
+    originalCode: data.originalCode || null,
+    sourceHash: data.sourceHash || null
+  });
+  if (next.pinnedVersion == null) {
+    next.activeVersion = version;
+  }
+  return next;
+}
+
+/**
+ * Records that a version has run successfully.
+ * @param {Object|null} block - The block record.
+ * @param {number} version - The version number.
+ * @returns {Object|null} - The updated block record.
+ */
+function markGoodVersion(block, version) {
+  if (!block || !findVersion(block, version)) return block;
+  block.goodVersions = block.goodVersions || [];
+  if (!block.goodVersions.includes(version)) block.goodVersions.push(version);
+  return block;
+}
+
+/**
+ * Finds the newest version that has run successfully before, other than the excluded one.
+ * @param {Object|null} block - The block record.
+ * @param {number|null} excludeVersion - A version to skip, typically the one that just failed.
+ * @param {Function} [isUsable] - Further filter, called with each candidate version.
+ * @returns {BlockVersion|null} - The last known good version, or null if there is none.
+ */
+function findLastKnownGood(block, excludeVersion, isUsable = () => true) {
+  if (!block || !block.goodVersions) return null;
+  const candidates = block.goodVersions
+    .filter(version => version !== excludeVersion)
+    .sort((a, b) => b - a)
+    .map(version => findVersion(block, version));
+  return candidates.find(version => version && isUsable(version)) || null;
+}
+
+/**
+ * Returns the samples recorded for a local source of a block, oldest first.
+ * @param {Object|null} block - The block record.
+ * @param {string} sourceHash - Hash of the local code (see `hashSource`).
+ * @returns {BlockSample[]} - The samples recorded for that source.
+ */
+function getSamples(block, sourceHash) {
+  if (!block || !block.samples) return [];
+  return block.samples.filter(sample => sample.sourceHash === sourceHash);
+}
+
+/**
+ * Records the arguments and result of a successful call.
+ * A call with the arguments of an existing sample is not recorded again; the sample is flagged `unstable` if the result differs.
+ * Once `maxSamples` samples exist for the source, further calls are not recorded; samples of other sources make room first.
+ * @param {Object|null} block - The block record (null creates a new one).
+ * @param {string} id - The unique identifier for the code block.
+ * @param {Object} data - Sample fields (`args`, `result` and `sourceHash` are required, `version` is optional).
+ * @param {number} maxSamples - The most samples kept per block.
+ * @returns {Object} - The updated block record.
+ */
+function appendSample(block, id, data, maxSamples) {
+  const next = block || createBlockRecord(id);
+  next.samples = next.samples || [];
+  const key = JSON.stringify(data.args);
+  const existing = next.samples.find(sample => sample.sourceHash === data.sourceHash && JSON.stringify(sample.args) === key);
+  if (existing) {
+    if (JSON.stringify(existing.result) !== JSON.stringify(data.result)) existing.unstable = true;
+    return next;
+  }
+  if (getSamples(next, data.sourceHash).length >= maxSamples) return next;
+  while (next.samples.length >= maxSamples) {
+    next.samples.splice(next.samples.findIndex(sample => sample.sourceHash !== data.sourceHash), 1);
+  }
+  next.samples.push({
+    args: data.args,
+    result: data.result,
+    sourceHash: data.sourceHash,
+    version: data.version || null,
+    recordedAt: data.recordedAt || new Date().toISOString(),
+    unstable: Boolean(data.unstable)
+  });
+  return next;
+}
+
+/**
+ * Returns the patches that are applied before a block runs, in order.
+ * @param {Object|null} block - The block record.
+ * @returns {BlockPatch[]} - The active patches.
+ */
+function getActivePatches(block) {
+  if (!block || !block.patches) return [];
+  return block.patches.filter(p => p.active);
+}
+
+/**
+ * Appends a new active patch to a block record. Patches are kept apart from code versions.
+ * @param {Object|null} block - The block record (null creates a new one).
+ * @param {string} id - The unique identifier for the code block.
+ * @param {Object} data - Patch fields (`code` is required, other metadata is optional).
+ * @returns {Object} - The updated block record.
+ */
+function appendPatch(block, id, data) {
+  const next = block || createBlockRecord(id);
+  next.patches = next.patches || [];
+  const version = next.patches.reduce((max, p) => Math.max(max, p.version), 0) + 1;
+  next.patches.push({
+    version,
+    code: data.code,
+    createdAt: data.createdAt || new Date().toISOString(),
+    source: data.source || null,
+    error: data.error || null,
+    errorClass: data.errorClass || null,
+    model: data.model || null,
+    attempt: data.attempt || null,
+    active: true
+  });
+  return next;
+}
+
+/**
+ * Appends a pending proposal to a block record.
+ * @param {Object|null} block - The block record (null creates a new one).
+ * @param {string} id - The unique identifier for the code block.
+ * @param {Object} data - Proposal fields (`kind` and `code` are required, other metadata is optional).
+ * @returns {Object} - The updated block record.
+ */
+function appendProposal(block, id, data) {
+  const next = block || createBlockRecord(id);
+  next.proposals = next.proposals || [];
+  const proposalId = next.proposals.reduce((max, p) => Math.max(max, p.proposalId), 0) + 1;
+  next.proposals.push({
+    proposalId,
+    kind: data.kind,
+    status: 'pending',
+    code: data.code,
+    createdAt: data.createdAt || new Date().toISOString(),
+    decidedAt: null,
+    reason: null,
+    version: null,
+    source: data.source || null,
+    error: data.error || null,
+    errorClass: data.errorClass || null,
+    model: data.model || null,
+    attempt: data.attempt || null,
+    originalCode: data.originalCode || null,
+    sourceHash: data.sourceHash || null
+  });
+  return next;
+}
+
+/**
+ * Summarizes what a block runs (active version and active patches), to detect that a correction
+ * was stored since the record was read.
+ * @param {Object|null} block - The block record.
+ * @returns {string} - The revision.
+ */
+function getRevision(block) {
+  // A record holding nothing but samples runs the local code, like no record at all
+  if (!block) return JSON.stringify([null, 0, []]);
+  return JSON.stringify([block.activeVersion, block.versions.length, getActivePatches(block).map(p => p.version)]);
+}
+
+/**
+ * Finds a proposal of a block.
+ * @param {Object|null} block - The block record.
+ * @param {number} proposalId - The proposal number to look up.
+ * @returns {BlockProposal|null} - The proposal, or null if it does not exist.
+ */
+function findProposal(block, proposalId) {
+  if (!block || !block.proposals) return null;
+  return block.proposals.find(p => p.proposalId === proposalId) || null;
+}
+
+export {
+  hashSource,
+  createBlockRecord,
+  cloneBlockRecord,
+  findVersion,
+  getActiveVersion,
+  appendVersion,
+  markGoodVersion,
+  findLastKnownGood,
+  getSamples,
+  appendSample,
+  getActivePatches,
+  getRevision,
+  appendPatch,
+  appendProposal,
+  findProposal
+};
@@ -0,0 +1,259 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Storage adapter that keeps one JSON file per block in a directory.
+ *
+ * Writes go to a temporary file that is renamed over the block file, so readers
+ * never see a partially written record. Updates take a lock file next to the block
+ * file, which serializes read-modify-write cycles across processes sharing the directory.
+ * A second lock file per block (see `lock()`) lets only one process at a time correct a block.
+ * Each lock file holds a random token, and a holder only removes the lock file while it still holds its token,
+ * so a holder whose lock was taken over as stale does not remove the lock of the next holder.
+ */
+class FileStore {
+  /**
+   * @param {Object} options - Configuration options for the file store.
+   * @param {string} options.directory - Directory holding the block files. Created on first write.
+   * @param {number} [options.lockTimeoutMs=10000] - How long to wait for a lock before failing.
+   * @param {number} [options.lockRetryMs=20] - Delay between attempts to take a lock.
+   * @param {number} [options.staleLockMs=30000] - Age after which a lock left behind by a crashed process is removed.
+   * @param {number} [options.correctionLockMs=120000] - Age after which a correction lock is considered abandoned and taken over.
+   *   Also the default limit on how long `lock()` waits.
+   */
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new Error('[Pause] FileStore requires a directory option.');
+    }
+    this.directory = path.resolve(options.directory);
+    this.lockTimeoutMs = typeof options.lockTimeoutMs === 'number' ? options.lockTimeoutMs : 10000;
+    this.lockRetryMs = typeof options.lockRetryMs === 'number' ? options.lockRetryMs : 20;
+    this.staleLockMs = typeof options.staleLockMs === 'number' ? options.staleLockMs : 30000;
+    this.correctionLockMs = typeof options.correctionLockMs === 'number' ? options.correctionLockMs : 120000;
+  }
+
+  /**
+   * Retrieves a block record.
+   * @param {string} id - The unique identifier for the code block.
+   * @returns {Promise<Object|null>} - The block record or null.
+   */
+  async getBlock(id) {
+    return this._readFile(this._blockPath(id));
+  }
+
+  /**
+   * Applies `updater` to a block record while holding the block's lock file.
+   * @param {string} id - The unique identifier for the code block.
+   * @param {Function} updater - Receives the current record (or null) and returns the new record.
+   * @returns {Promise<Object|null>} - The updated block record.
+   */
+  async updateBlock(id, updater) {
+    const blockPath = this._blockPath(id);
+    return this._withLock(blockPath, async () => {
+      const next = updater(await this._readFile(blockPath));
+      if (next) {
+        await this._writeFileAtomic(blockPath, next);
+      } else {
+        await this._unlinkIfExists(blockPath);
+      }
+      return next;
+    });
+  }
+
+  /**
+   * Takes the correction lock of a block, waiting until another process releases it or abandons it (see `correctionLockMs`).
+   * Pause holds it while correcting the block so that processes sharing the directory do not correct it at the same time.
+   * @param {string} id - The unique identifier for the code block.
+   * @param {Object} [options={}] - Options for waiting.
+   * @param {AbortSignal} [options.signal] - Stops waiting when aborted; the promise rejects with the abort reason.
+   * @param {number} [options.timeoutMs=this.correctionLockMs] - How long to wait for the lock before failing.
+   * @returns {Promise<Function>} - Resolves once the lock is held, to an async function that releases it.
+   * @throws {Error} If the lock cannot be taken within `timeoutMs`.
+   */
+  async lock(id, options = {}) {
+    const lockPath = `${this._blockPath(id)}.correction.lock`;
+    const timeoutMs = typeof options.timeoutMs === 'number' ? options.timeoutMs : this.correctionLockMs;
+    const token = await this._acquireLock(lockPath, timeoutMs, this.correctionLockMs, options.signal);
+    return () => this._releaseLock(lockPath, token);
+  }
+
+  /**
+   * Lists the IDs of all stored blocks.
+   * @returns {Promise<string[]>} - The block IDs.
+   */
+  async listBlocks() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return entries
+      .filter(name => name.endsWith('.json'))
+      .map(name => decodeURIComponent(name.slice(0, -'.json'.length)));
+  }
+
+  /**
+   * Deletes a block record and all of its versions.
+   * @param {string} id - The unique identifier for the code block.
+   * @returns {Promise<void>}
+   */
+  async deleteBlock(id) {
+    const blockPath = this._blockPath(id);
+    await this._withLock(blockPath, () => this._unlinkIfExists(blockPath));
+  }
+
+  // --- Private Helper Methods ---
+
+  /**
+   * Maps a block ID to its file path.
+   * @private
+   * @param {string} id - The unique identifier for the code block.
+   * @returns {string} - The absolute path of the block file.
+   */
+  _blockPath(id) {
+    return path.join(this.directory, `${encodeURIComponent(id)}.json`);
+  }
+
+  /**
+   * Reads and parses a block file.
+   * @private
+   * @param {string} filePath - The block file path.
+   * @returns {Promise<Object|null>} - The parsed record, or null if the file does not exist.
+   */
+  async _readFile(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Writes a record to a temporary file and renames it over the target.
+   * @private
+   * @param {string} filePath - The block file path.
+   * @param {Object} data - The record to write.
+   * @returns {Promise<void>}
+   */
+  async _writeFileAtomic(filePath, data) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await this._unlinkIfExists(tempPath);
+      throw error;
+    }
+  }
+
+  /**
+   * Removes a file, ignoring files that do not exist.
+   * @private
+   * @param {string} filePath - The file to remove.
+   * @returns {Promise<void>}
+   */
+  async _unlinkIfExists(filePath) {
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Runs `fn` while holding the lock file for a block.
+   * @private
+   * @param {string} filePath - The block file path.
+   * @param {Function} fn - The async function to run under the lock.
+   * @returns {Promise<any>} - The result of `fn`.
+   */
+  async _withLock(filePath, fn) {
+    const lockPath = `${filePath}.lock`;
+    const token = await this._acquireLock(lockPath);
+    try {
+      return await fn();
+    } finally {
+      await this._releaseLock(lockPath, token);
+    }
+  }
+
+  /**
+   * Creates a lock file exclusively, waiting for other holders to release it.
+   * @private
+   * @param {string} lockPath - The lock file path.
+   * @param {number} [timeoutMs=this.lockTimeoutMs] - How long to wait for the lock.
+   * @param {number} [staleMs=this.staleLockMs] - Age after which an existing lock file is removed.
+   * @param {AbortSignal} [signal] - Stops waiting when aborted.
+   * @returns {Promise<string>} - The token written to the lock file, needed to release it.
+   * @throws {Error} If the lock cannot be taken within `timeoutMs`, or the abort reason once `signal` is aborted.
+   */
+  async _acquireLock(lockPath, timeoutMs = this.lockTimeoutMs, staleMs = this.staleLockMs, signal = null) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const token = `${process.pid}:${crypto.randomUUID()}`;
+    const startedAt = Date.now();
+    while (true) {
+      if (signal && signal.aborted) throw signal.reason;
+      try {
+        await fs.writeFile(lockPath, token, { flag: 'wx' });
+        return token;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      // Try again right away once a stale lock is gone, so a wait as long as `staleMs` still gets the lock
+      if (await this._removeStaleLock(lockPath, staleMs)) continue;
+      if (Date.now() - startedAt > timeoutMs) {
+        throw new Error(`[Pause] Timed out waiting for lock file: ${lockPath}`);
+      }
+      await sleep(this.lockRetryMs);
+    }
+  }
+
+  /**
+   * Removes a lock file that is older than `staleMs`.
+   * @private
+   * @param {string} lockPath - The lock file path.
+   * @param {number} staleMs - Age after which the lock file is removed.
+   * @returns {Promise<boolean>} - Whether a stale lock file was removed.
+   */
+  async _removeStaleLock(lockPath, staleMs) {
+    try {
+      const stats = await fs.stat(lockPath);
+      if (Date.now() - stats.mtimeMs > staleMs) {
+        await this._unlinkIfExists(lockPath);
+        return true;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return false;
+  }
+
+  /**
+   * Removes a lock file if it still holds `token`. A lock that was taken over as stale belongs to its new holder and is left alone.
+   * @private
+   * @param {string} lockPath - The lock file path.
+   * @param {string} token - The token written when the lock was taken.
+   * @returns {Promise<void>}
+   */
+  async _releaseLock(lockPath, token) {
+    let current;
+    try {
+      current = await fs.readFile(lockPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    if (current === token) {
+      await this._unlinkIfExists(lockPath);
+    }
+  }
+}
+
+export default FileStore;
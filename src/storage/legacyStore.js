@@ -0,0 +1,91 @@
+import { appendVersion, cloneBlockRecord, getActiveVersion } from './blocks.js';
+
+/**
+ * Compatibility shim that exposes the versioned storage contract on top of the
+ * original `getFunctionFromDb` / `saveFunctionToDb` option pair.
+ *
+ * The two-function contract can only persist the active code string, so version
+ * history and metadata are kept in memory for the lifetime of the process.
+ * Whenever the active version changes, its code is written through `saveFunctionToDb`.
+ * Updates of a block are queued, so each read-modify-write, including the save, finishes before the next one reads.
+ */
+class LegacyFunctionStore {
+  /**
+   * @param {Function} getFunctionFromDb - Async function returning the stored function string for an ID, or null.
+   * @param {Function} saveFunctionToDb - Async function storing a function string for an ID.
+   */
+  constructor(getFunctionFromDb, saveFunctionToDb) {
+    this.getFunctionFromDb = getFunctionFromDb;
+    this.saveFunctionToDb = saveFunctionToDb;
+    this._blocks = new Map();
+    this._updateQueues = new Map();
+  }
+
+  /**
+   * Retrieves the block record, reconciling the in-memory history with the stored code.
+   * @param {string} id - The unique identifier for the code block.
+   * @returns {Promise<Object|null>} - The block record or null if nothing is stored.
+   */
+  async getBlock(id) {
+    const storedCode = await this.getFunctionFromDb(id);
+    let block = this._blocks.get(id) || null;
+
+    if (storedCode) {
+      const active = getActiveVersion(block);
+      if (!active || active.code !== storedCode) {
+        // The code was written outside the framework (or by another process)
+        block = appendVersion(block, id, { code: storedCode, source: 'external' });
+        block.activeVersion = block.versions[block.versions.length - 1].version;
+        this._blocks.set(id, block);
+      }
+    }
+    return cloneBlockRecord(block);
+  }
+
+  /**
+   * Applies `updater` to the block record and writes the active code through `saveFunctionToDb`.
+   * @param {string} id - The unique identifier for the code block.
+   * @param {Function} updater - Receives the current record (or null) and returns the new record.
+   * @returns {Promise<Object|null>} - The updated block record.
+   */
+  async updateBlock(id, updater) {
+    // A failed update must not block later ones
+    const previous = this._updateQueues.get(id) || Promise.resolve();
+    const update = previous.catch(() => {}).then(() => this._applyUpdate(id, updater));
+    this._updateQueues.set(id, update);
+    try {
+      return await update;
+    } finally {
+      if (this._updateQueues.get(id) === update) this._updateQueues.delete(id);
+    }
+  }
+
+  // --- Private Helper Methods ---
+
+  /**
+   * Runs one read-modify-write of a block record; callers queue it through `updateBlock`.
+   * @private
+   * @param {string} id - The unique identifier for the code block.
+   * @param {Function} updater - Receives the current record (or null) and returns the new record.
+   * @returns {Promise<Object|null>} - The updated block record.
+   */
+  async _applyUpdate(id, updater) {
+    const current = await this.getBlock(id);
+    const next = updater(cloneBlockRecord(current));
+    const previousActive = getActiveVersion(current);
+    const nextActive = getActiveVersion(next);
+
+    if (nextActive && (!previousActive || previousActive.code !== nextActive.code)) {
+      await this.saveFunctionToDb(id, nextActive.code);
+    }
+    if (next) {
+      this._blocks.set(id, cloneBlockRecord(next));
+    } else {
+      // The two-function contract cannot delete stored code; only the history is dropped
+      this._blocks.delete(id);
+    }
+    return cloneBlockRecord(next);
+  }
+}
+
+export default LegacyFunctionStore;
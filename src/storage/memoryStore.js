@@ -0,0 +1,56 @@
+import { cloneBlockRecord } from './blocks.js';
+
+/**
+ * Storage adapter that keeps block records in memory.
+ * Useful for tests, scripts and as the default when no persistence is configured.
+ */
+class MemoryStore {
+  constructor() {
+    this._blocks = new Map();
+  }
+
+  /**
+   * Retrieves a block record.
+   * @param {string} id - The unique identifier for the code block.
+   * @returns {Promise<Object|null>} - A copy of the block record or null.
+   */
+  async getBlock(id) {
+    return cloneBlockRecord(this._blocks.get(id) || null);
+  }
+
+  /**
+   * Applies `updater` to a block record. The read-modify-write happens synchronously,
+   * so concurrent updates in the same process cannot interleave.
+   * @param {string} id - The unique identifier for the code block.
+   * @param {Function} updater - Receives the current record (or null) and returns the new record.
+   * @returns {Promise<Object|null>} - A copy of the updated block record.
+   */
+  async updateBlock(id, updater) {
+    const next = updater(cloneBlockRecord(this._blocks.get(id) || null));
+    if (next) {
+      this._blocks.set(id, cloneBlockRecord(next));
+    } else {
+      this._blocks.delete(id);
+    }
+    return cloneBlockRecord(next);
+  }
+
+  /**
+   * Lists the IDs of all stored blocks.
+   * @returns {Promise<string[]>} - The block IDs.
+   */
+  async listBlocks() {
+    return [...this._blocks.keys()];
+  }
+
+  /**
+   * Deletes a block record and all of its versions.
+   * @param {string} id - The unique identifier for the code block.
+   * @returns {Promise<void>}
+   */
+  async deleteBlock(id) {
+    this._blocks.delete(id);
+  }
+}
+
+export default MemoryStore;
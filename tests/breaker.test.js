@@ -0,0 +1,95 @@
+import { jest } from '@jest/globals';
+import Pause, { CircuitBreaker } from '../src/index.js';
+import { createMockLlm } from './mockLlm.js';
+import { seedVersions } from './storeFixture.js';
+
+describe('Fallbacks', () => {
+  const failing = () => { throw new Error('boom'); };
+
+  test('should fall back to the last known good version when the active version fails', async () => {
+    const pause = new Pause({ fallback: true });
+    const onFallback = jest.fn();
+    pause.on('fallback:used', onFallback);
+    await seedVersions(pause.store, 'fallback-good', '() => "v1"');
+    expect(await pause.run('fallback-good', 'Return a string', failing)).toBe('v1');
+    expect((await pause.store.getBlock('fallback-good')).goodVersions).toEqual([1]);
+
+    await seedVersions(pause.store, 'fallback-good', '() => { throw new Error("v2 broken"); }');
+    expect(await pause.run('fallback-good', 'Return a string', failing)).toBe('v1');
+    expect(onFallback).toHaveBeenCalledWith({ id: 'fallback-good', step: 'last-known-good', version: 1 });
+  });
+
+  test('should fall back to the local code and then to the fallback value', async () => {
+    const pause = new Pause({ fallback: { handler: (error, { id, args }) => `${id} failed with ${error.message} for ${args[0]}` } });
+    const onFallback = jest.fn();
+    pause.on('fallback:used', onFallback);
+    await seedVersions(pause.store, 'fallback-local', '() => { throw new Error("stored broken"); }');
+
+    expect(await pause.run('fallback-local', 'Return a string', () => 'local')).toBe('local');
+    expect(onFallback).toHaveBeenCalledWith({ id: 'fallback-local', step: 'local', version: null });
+    expect(await pause.run('fallback-value', 'Return a string', failing, {}, 7)).toBe('fallback-value failed with boom for 7');
+    expect(onFallback).toHaveBeenLastCalledWith({ id: 'fallback-value', step: 'value', version: null });
+  });
+
+  test('should throw when no fallback step succeeds or fallbacks are disabled', async () => {
+    await expect(new Pause().run('fallback-none', 'Return a string', failing)).rejects.toThrow(/^boom$/);
+    expect(await new Pause({ fallback: { value: 0 } }).run('fallback-zero', 'Return a number', failing)).toBe(0);
+
+    for (const pause of [new Pause(), new Pause({ fallback: false })]) {
+      await seedVersions(pause.store, 'fallback-off', '() => { throw new Error("stored broken"); }');
+      await expect(pause.run('fallback-off', 'Return a string', () => 'local')).rejects.toThrow('stored broken');
+    }
+    expect(() => new Pause({ fallback: { chain: ['cache'] } })).toThrow('Unknown fallback step: cache');
+  });
+});
+
+describe('Circuit breaker', () => {
+  const failing = () => { throw new Error('boom'); };
+
+  afterEach(() => { jest.restoreAllMocks(); });
+
+  test('should quarantine a version that fails repeatedly and stop running it', async () => {
+    const pause = new Pause({ breaker: { failureThreshold: 2 }, fallback: true });
+    const onQuarantined = jest.fn();
+    const onStart = jest.fn();
+    pause.on('breaker:quarantined', onQuarantined);
+    pause.on('execution:start', onStart);
+    await seedVersions(pause.store, 'breaker-version', '() => "v1"');
+    await pause.run('breaker-version', 'Return a string', failing);
+    await seedVersions(pause.store, 'breaker-version', '() => { throw new Error("v2 broken"); }');
+
+    expect(await pause.run('breaker-version', 'Return a string', failing)).toBe('v1');
+    expect(await pause.run('breaker-version', 'Return a string', failing)).toBe('v1');
+    expect(onQuarantined).toHaveBeenCalledWith({ id: 'breaker-version', version: 2, until: expect.any(String) });
+
+    onStart.mockClear();
+    expect(await pause.run('breaker-version', 'Return a string', failing)).toBe('v1');
+    expect(onStart).not.toHaveBeenCalled();
+    expect(pause.stats().breakers['breaker-version'].quarantined).toEqual({ 2: onQuarantined.mock.calls[0][0].until });
+  });
+
+  test('should stop calling the model during the cool-down after repeated failed corrections', async () => {
+    const llm = createMockLlm(['() => { throw new Error("still broken"); }']);
+    const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 1000 });
+    const pause = new Pause({ llm, maxTurns: 1, breaker, fallback: false });
+    const onOpen = jest.fn();
+    const onSkipped = jest.fn();
+    pause.on('breaker:open', onOpen);
+    pause.on('correction:skipped', onSkipped);
+
+    await expect(pause.run('breaker-open', 'Return one', failing)).rejects.toThrow('Max AI retries reached');
+    await expect(pause.run('breaker-open', 'Return one', failing)).rejects.toThrow('Max AI retries reached');
+    expect(onOpen).toHaveBeenCalledWith({ id: 'breaker-open', until: expect.any(String) });
+    await expect(pause.run('breaker-open', 'Return one', failing)).rejects.toThrow(/^boom$/);
+    expect(llm.invoke).toHaveBeenCalledTimes(2);
+    expect(onSkipped).toHaveBeenCalledWith({ id: 'breaker-open', reason: expect.stringContaining('circuit breaker open') });
+
+    // After the cool-down one attempt is made; its failure opens the breaker again
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 1001);
+    await expect(pause.run('breaker-open', 'Return one', failing)).rejects.toThrow('Max AI retries reached');
+    await expect(pause.run('breaker-open', 'Return one', failing)).rejects.toThrow(/^boom$/);
+    expect(llm.invoke).toHaveBeenCalledTimes(3);
+    expect(breaker.stats()['breaker-open']).toMatchObject({ failures: 3, openUntil: expect.any(String) });
+  });
+});
@@ -0,0 +1,102 @@
+import { jest } from '@jest/globals';
+import Pause, { CorrectionBudget } from '../src/index.js';
+import { createMockLlm } from './mockLlm.js';
+
+/**
+ * Wraps a mock LLM so every response reports the given token usage.
+ * @param {object} llm The mock LLM.
+ * @param {object} usage The `usage_metadata` to report.
+ * @returns {object} The same LLM.
+ */
+function withUsage(llm, usage) {
+  const invoke = llm.invoke.getMockImplementation();
+  llm.invoke.mockImplementation(async (messages) => ({ ...(await invoke(messages)), usage_metadata: usage }));
+  return llm;
+}
+
+describe('Correction budgets', () => {
+  const failing = () => { throw new Error('boom'); };
+
+  afterEach(() => { jest.restoreAllMocks(); });
+
+  test('should track token usage and cost per block and in total', async () => {
+    const llm = withUsage(createMockLlm([{ tool: 'retrieve_stack' }, '() => 1']), { input_tokens: 1000, output_tokens: 500, total_tokens: 1500 });
+    llm.modelName = 'gpt-4o-mini-2024-07-18';
+    const pause = new Pause({ llm });
+
+    await pause.run('budget-a', 'Return one', failing);
+    await pause.run('budget-b', 'Return one', failing);
+
+    const stats = pause.stats();
+    expect(stats).toMatchObject({ corrections: 2, skipped: 0, tokens: { input: 3000, output: 1500, total: 4500 }, tokensLast24h: 4500 });
+    expect(stats.cost).toBeCloseTo((3000 * 0.15 + 1500 * 0.6) / 1e6);
+    expect(stats.blocks['budget-a']).toMatchObject({ corrections: 1, tokens: { total: 3000 } });
+    expect(stats.blocks['budget-b']).toMatchObject({ corrections: 1, tokens: { total: 1500 } });
+  });
+
+  test('should limit corrections per block within the window', async () => {
+    const llm = createMockLlm(['() => { throw new Error("still broken"); }']);
+    const pause = new Pause({ llm, maxTurns: 1, budget: { maxCorrectionsPerBlock: 1, correctionWindowMs: 1000 } });
+    const skipped = jest.fn();
+    pause.on('correction:skipped', skipped);
+
+    const results = [
+      await pause.run('budget-window', 'Return one', failing).catch(reason => ({ reason })),
+      await pause.run('budget-window', 'Return one', failing).catch(reason => ({ reason }))
+    ];
+    expect(results.map(r => r.reason.message)).toEqual([expect.stringContaining('Max AI retries reached'), 'boom']);
+    expect(llm.invoke).toHaveBeenCalledTimes(1);
+    expect(skipped).toHaveBeenCalledWith({ id: 'budget-window', reason: expect.stringContaining('limit 1') });
+
+    // Other blocks are unaffected, and the block may be corrected again once the window has passed
+    await expect(pause.run('budget-other', 'Return one', failing)).rejects.toThrow('Max AI retries reached');
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 1001);
+    await expect(pause.run('budget-window', 'Return one', failing)).rejects.toThrow('Max AI retries reached');
+    expect(pause.stats()).toMatchObject({ corrections: 3, skipped: 1 });
+  });
+
+  test('should stop calling the model once the daily token budget is used up', async () => {
+    const llm = withUsage(createMockLlm([{ tool: 'retrieve_stack' }]), { input_tokens: 300, output_tokens: 100, total_tokens: 400 });
+    const pause = new Pause({ llm, budget: { maxTokensPerDay: 1000 } });
+
+    await expect(pause.run('budget-tokens', 'Return one', failing)).rejects.toThrow(/^boom$/);
+    expect(llm.invoke).toHaveBeenCalledTimes(3);
+    await expect(pause.run('budget-tokens', 'Return one', failing)).rejects.toThrow(/^boom$/);
+    expect(llm.invoke).toHaveBeenCalledTimes(3);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 24 * 60 * 60 * 1000 + 1);
+    expect(pause.stats().tokensLast24h).toBe(0);
+  });
+
+  test('should reserve the usage of calls in progress so concurrent corrections cannot overshoot', async () => {
+    const llm = withUsage(createMockLlm(['() => 1', '() => 2']), { input_tokens: 800, output_tokens: 200, total_tokens: 1000 });
+    const invoke = llm.invoke.getMockImplementation();
+    llm.invoke.mockImplementation(async (messages) => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return invoke(messages);
+    });
+    const pause = new Pause({ llm, budget: { maxTokensPerDay: 1000, estimatedTokensPerCall: 1000 } });
+    const skipped = jest.fn();
+    pause.on('correction:skipped', skipped);
+
+    const results = await Promise.allSettled([pause.run('budget-first', 'Return one', failing), pause.run('budget-second', 'Return two', failing)]);
+    expect(results.map(r => r.status)).toEqual(['fulfilled', 'rejected']);
+    expect(llm.invoke).toHaveBeenCalledTimes(1);
+    expect(skipped).toHaveBeenCalledWith({ id: 'budget-second', reason: 'daily token budget of 1000 reached (0 tokens in the last 24 hours, 1000 reserved by calls in progress)' });
+    expect(pause.stats().tokens.total).toBe(1000);
+  });
+
+  test('should enforce a spend cap shared between instances', async () => {
+    const budget = new CorrectionBudget({ maxCost: 0.01, pricing: { 'mock-model': { input: 10000, output: 0 } } });
+    const first = new Pause({ llm: withUsage(createMockLlm(['() => 1']), { input_tokens: 1, output_tokens: 0, total_tokens: 1 }), budget });
+    const second = new Pause({ llm: createMockLlm(['() => 2']), budget });
+
+    expect(await first.run('budget-cost', 'Return a number', failing)).toBe(1);
+    expect(budget.stats().cost).toBeCloseTo(0.01);
+    await expect(second.run('budget-cost-2', 'Return a number', failing)).rejects.toThrow(/^boom$/);
+    expect(second.llm.invoke).not.toHaveBeenCalled();
+    expect(second.stats().skipped).toBe(1);
+  });
+});
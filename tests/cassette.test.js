@@ -0,0 +1,78 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Pause, { CassetteProvider } from '../src/index.js';
+import { createMockLlm } from './mockLlm.js';
+
+describe('Record/replay cassettes', () => {
+  let directory;
+  let file;
+  const failing = (x) => { throw new Error(`cannot handle ${x}`); };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pause-cassette-'));
+    file = path.join(directory, 'cassettes', 'double.json');
+  });
+
+  afterEach(() => { fs.rmSync(directory, { recursive: true, force: true }); });
+
+  test('should record interactions and replay them without a model', async () => {
+    const llm = createMockLlm([{ tool: 'retrieve_stack' }, '(x) => x * 2']);
+    const recorder = new Pause({ llm, cassette: { file, mode: 'record' } });
+    expect(await recorder.run('double', 'Double a number', failing, {}, 21)).toBe(42);
+    expect(llm.invoke).toHaveBeenCalledTimes(2);
+
+    const cassette = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(cassette.format).toBe('pause-cassette@1');
+    expect(cassette.interactions).toHaveLength(2);
+    expect(cassette.interactions[1]).toMatchObject({
+      model: 'mock-model',
+      response: { toolCalls: [{ name: 'propose_corrected_block', args: { corrected_code: '(x) => x * 2' } }] }
+    });
+    expect(cassette.interactions[1].request.messages.map(m => m.role)).toEqual(['user', 'assistant', 'tool']);
+
+    // Replaying needs no LLM
+    const replayer = new Pause({ cassette: file });
+    expect(await replayer.run('double', 'Double a number', failing, {}, 21)).toBe(42);
+    expect((await replayer.history('double'))[0].code).toBe('(x) => x * 2');
+  });
+
+  test('should fail loudly on a cassette miss', async () => {
+    await new Pause({ llm: createMockLlm(['() => 1']), cassette: { file, mode: 'record' } }).run('one', 'Return one', failing);
+
+    const replayer = new Pause({ cassette: new CassetteProvider({ file }) });
+    await expect(replayer.run('one', 'Return the number one', failing))
+      .rejects.toMatchObject({ code: 'ERR_PAUSE_CASSETTE_MISS', message: expect.stringContaining('Re-record the cassette') });
+
+    await expect(new Pause({ cassette: path.join(directory, 'missing.json') }).run('one', 'Return one', failing))
+      .rejects.toThrow('does not exist. Record it first');
+    await expect(new Pause({ cassette: { file, mode: 'record' } }).run('one', 'Return one', failing))
+      .rejects.toThrow('needs a provider');
+    expect(() => new CassetteProvider({ file, mode: 'rewind' })).toThrow('Unknown cassette mode: rewind');
+  });
+
+  test('should read the cassette again after a failed load', async () => {
+    await new Pause({ llm: createMockLlm(['(x) => x * 2']), cassette: { file, mode: 'record' } }).run('double', 'Double a number', failing, {}, 21);
+    fs.renameSync(file, `${file}.bak`);
+
+    const replayer = new Pause({ cassette: new CassetteProvider({ file }) });
+    await expect(replayer.run('double', 'Double a number', failing, {}, 21)).rejects.toThrow('does not exist. Record it first');
+    fs.renameSync(`${file}.bak`, file);
+    expect(await replayer.run('double', 'Double a number', failing, {}, 21)).toBe(42);
+  });
+
+  test('should key requests independently of tool call IDs and stack frames', () => {
+    const cassette = new CassetteProvider({ file });
+    const request = (stackLine, callId) => ({
+      blockId: 'x',
+      tools: [],
+      messages: [
+        { role: 'user', content: `STACK TRACE:\nError: boom\n${stackLine}\n\nFUNCTION ARGUMENTS:` },
+        { role: 'assistant', content: '', toolCalls: [{ id: callId, name: 'retrieve_stack', args: { block_id: 'x' } }] }
+      ]
+    });
+    const key = cassette.keyFor(request('    at run (/home/ci/app.js:10:5)\n    at main (/home/ci/app.js:20:1)', 'call_1'));
+    expect(cassette.keyFor(request('    at run (C:\\dev\\app.js:12:7)', 'call_abc'))).toBe(key);
+    expect(cassette.keyFor({ ...request('', 'call_1'), messages: [{ role: 'user', content: 'other' }] })).not.toBe(key);
+  });
+});
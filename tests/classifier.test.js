@@ -0,0 +1,98 @@
+import { jest } from '@jest/globals';
+import Pause, { ErrorClassifier } from '../src/index.js';
+import { createMockLlm } from './mockLlm.js';
+
+const withCode = (message, code) => Object.assign(new Error(message), { code });
+const withStatus = (message, status) => Object.assign(new Error(message), { status });
+
+describe('Error classification', () => {
+  test('should sort errors into the default classes', () => {
+    const classifier = new ErrorClassifier();
+
+    expect(classifier.classify(new Error('fetch failed', { cause: withCode('read ECONNRESET', 'ECONNRESET') }))).toEqual({ errorClass: 'transient', reason: 'code ECONNRESET' });
+    expect(classifier.classify(withStatus('Too Many Requests', 429))).toEqual({ errorClass: 'transient', reason: 'HTTP status 429' });
+    expect(classifier.classify(Object.assign(new Error('Forbidden'), { response: { status: 403 } }))).toEqual({ errorClass: 'fatal', reason: 'HTTP status 403' });
+    expect(classifier.classify(new SyntaxError('Unexpected token } in JSON at position 7'))).toEqual({ errorClass: 'input', reason: 'invalid JSON' });
+    expect(classifier.classify(new ReferenceError('x is not defined'))).toEqual({ errorClass: 'defect', reason: 'ReferenceError' });
+    expect(classifier.classify(withCode('[Pause] Block b did not finish within 10ms.', 'ERR_PAUSE_TIMEOUT'))).toEqual({ errorClass: 'defect', reason: 'code ERR_PAUSE_TIMEOUT' });
+  });
+
+  test('should apply custom rules and policies before the defaults', () => {
+    const classifier = new ErrorClassifier({
+      rules: [{ class: 'fatal', message: /quota exceeded/ }, { class: 'input', name: 'TypeError', test: (error) => error.message.includes('undefined') }],
+      policies: { transient: 'rethrow' }
+    });
+
+    expect(classifier.classify(withStatus('quota exceeded', 429))).toEqual({ errorClass: 'fatal', reason: 'rule 1' });
+    expect(classifier.classify(new TypeError('Cannot read properties of undefined'))).toEqual({ errorClass: 'input', reason: 'rule 2' });
+    expect(classifier.actionFor('transient')).toBe('rethrow');
+    expect(classifier.actionFor('input')).toBe('patch');
+    expect(new ErrorClassifier({ retry: { attempts: 3, baseDelayMs: 100, maxDelayMs: 300, jitter: false } }).retryDelay(3)).toBe(300);
+    expect(() => new ErrorClassifier({ policies: { defect: 'ignore' } })).toThrow('Unknown action for error class defect: ignore');
+    expect(() => new ErrorClassifier({ rules: [{ class: 'network' }] })).toThrow('Unknown error class in classifier rule: network');
+  });
+});
+
+describe('Error policies', () => {
+  test('should retry transient errors with backoff without calling the LLM', async () => {
+    const llm = createMockLlm(['() => "corrected"']);
+    const pause = new Pause({ llm, classifier: { retry: { attempts: 2, baseDelayMs: 1, jitter: false } } });
+    const onRetry = jest.fn();
+    pause.on('execution:retry', onRetry);
+    let calls = 0;
+    const flaky = () => {
+      calls++;
+      if (calls < 3) throw withStatus('Service Unavailable', 503);
+      return 'ok';
+    };
+
+    expect(await pause.run('policy-retry', 'Fetch a value', flaky)).toBe('ok');
+    expect(calls).toBe(3);
+    expect(onRetry.mock.calls.map(([payload]) => [payload.retry, payload.delayMs, payload.errorClass])).toEqual([[1, 1, 'transient'], [2, 2, 'transient']]);
+    expect(llm.invoke).not.toHaveBeenCalled();
+
+    await expect(pause.run('policy-retry-down', 'Fetch a value', () => { throw withStatus('Service Unavailable', 503); })).rejects.toThrow('Service Unavailable');
+    expect(onRetry).toHaveBeenLastCalledWith(expect.objectContaining({ id: 'policy-retry-down', retry: 2 }));
+    expect(llm.invoke).not.toHaveBeenCalled();
+  });
+
+  test('should rethrow fatal errors right away, without fallbacks', async () => {
+    const llm = createMockLlm(['() => "corrected"']);
+    const pause = new Pause({ llm, classifier: true, fallback: { value: 'fallback' } });
+    const onError = jest.fn();
+    pause.on('execution:error', onError);
+
+    await expect(pause.run('policy-fatal', 'Read a file', () => { throw withCode('permission denied', 'EACCES'); })).rejects.toThrow('permission denied');
+    expect(onError.mock.calls[0][0].errorClass).toBe('fatal');
+    expect(llm.invoke).not.toHaveBeenCalled();
+  });
+
+  test('should only offer input patches for input errors and record the class', async () => {
+    const llm = createMockLlm([{ patch: '(scope, args) => { args[0] = args[0].replace(/,\\s*}/, "}"); }' }]);
+    const pause = new Pause({ llm, classifier: true });
+
+    expect(await pause.run('policy-input', 'Parse a JSON document', (text) => JSON.parse(text), {}, '{"a":1,}')).toEqual({ a: 1 });
+    const toolNames = llm.bindTools.mock.calls[0][0].map(tool => tool.name);
+    expect(toolNames).toContain('run_patch_function');
+    expect(toolNames).not.toContain('propose_corrected_block');
+    expect(toolNames).not.toContain('test_candidate');
+    expect(llm.invoke.mock.calls[0][0][0].content).toContain("ERROR CLASS: input (invalid JSON). The code is considered correct and the inputs bad: fix them with 'run_patch_function'.");
+    expect((await pause.store.getBlock('policy-input')).patches[0].errorClass).toBe('input');
+  });
+
+  test('should record the class with corrected versions and follow custom policies', async () => {
+    const llm = createMockLlm(['() => "fixed"']);
+    const pause = new Pause({ llm, classifier: { policies: { transient: 'correct' } } });
+
+    expect(await pause.run('policy-custom', 'Return a string', () => { throw withCode('socket closed', 'EPIPE'); })).toBe('fixed');
+    expect((await pause.store.getBlock('policy-custom')).versions[0]).toMatchObject({ errorClass: 'transient', error: 'socket closed' });
+    expect(llm.invoke.mock.calls[0][0][0].content).toContain('ERROR CLASS: transient (code EPIPE).');
+
+    // Without the option every error is corrected, and no class is recorded or shown to the model
+    for (const unclassified of [new Pause({ llm: createMockLlm(['() => "fixed"']) }), new Pause({ llm: createMockLlm(['() => "fixed"']), classifier: false })]) {
+      expect(await unclassified.run('policy-off', 'Return a string', () => { throw withCode('permission denied', 'EACCES'); })).toBe('fixed');
+      expect((await unclassified.store.getBlock('policy-off')).versions[0].errorClass).toBeNull();
+      expect(unclassified.llm.invoke.mock.calls[0][0][0].content).not.toContain('ERROR CLASS');
+    }
+  });
+});
@@ -0,0 +1,101 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Pause, { FileStore } from '../src/index.js';
+import { runCli } from '../src/cli.js';
+import { seedVersions, seedProposal } from './storeFixture.js';
+
+const SRC_INDEX = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../src/index.js');
+
+describe('pause CLI', () => {
+  let directory;
+  let pause;
+
+  const cli = async (...argv) => {
+    let output = '';
+    const exitCode = await runCli(argv, { cwd: directory, stdout: { write: (text) => { output += text; } } });
+    return { exitCode, output };
+  };
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pause-cli-'));
+    fs.writeFileSync(path.join(directory, 'pause.config.mjs'), `
+      import { FileStore } from ${JSON.stringify(SRC_INDEX)};
+      export default { store: new FileStore({ directory: ${JSON.stringify(path.join(directory, 'blocks'))} }) };
+    `);
+    pause = new Pause({ store: new FileStore({ directory: path.join(directory, 'blocks') }) });
+    await seedVersions(pause.store, 'sum',
+      { code: '(a, b) => a + b', source: 'local', error: 'a is not defined', originalCode: '(a, b) => a ++ c' },
+      { code: '(a, b) => b + a', source: 'db' });
+    await seedProposal(pause.store, 'sum', { kind: 'replacement', code: '(a, b) => a - b' });
+  });
+
+  afterEach(() => { fs.rmSync(directory, { recursive: true, force: true }); });
+
+  test('should list blocks and show versions', async () => {
+    expect((await cli('list')).output).toBe('sum\tv2\t2 version(s)\t1 pending\n');
+    expect((await cli('show', 'sum')).output).toContain('sum v2 |');
+    expect((await cli('show', 'sum')).output).toContain('(a, b) => b + a');
+
+    const { output } = await cli('history', 'sum');
+    expect(output.split('\n')[0]).toMatch(/^v1 \| .* \| source: local \| error: a is not defined$/);
+    expect(output.split('\n')[1]).toMatch(/^v2 \[active\] \| /);
+    expect((await cli('show', 'missing')).exitCode).toBe(1);
+  });
+
+  test('should diff a version against the original code', async () => {
+    const { exitCode, output } = await cli('diff', 'sum', '1');
+    expect(exitCode).toBe(0);
+    expect(output).toContain('-(a, b) => a ++ c');
+    expect(output).toContain('+(a, b) => a + b');
+    expect((await cli('diff', 'sum')).output).toContain('has no original code recorded');
+  });
+
+  test('should approve, reject and roll back', async () => {
+    expect((await cli('proposals', 'sum')).output).toMatch(/^#1 replacement \[pending\]/);
+    expect((await cli('approve', 'sum', '1')).output).toBe('Approved proposal 1 of sum as version 3.\n');
+    await expect(cli('reject', 'sum', '1', 'too', 'late')).rejects.toThrow('is already approved');
+
+    await seedProposal(pause.store, 'sum', { kind: 'replacement', code: '() => 0' });
+    await cli('reject', 'sum', '2', 'Ignores', 'the', 'arguments');
+    expect((await pause.proposals('sum'))[1]).toMatchObject({ status: 'rejected', reason: 'Ignores the arguments' });
+
+    await cli('rollback', 'sum', '1');
+    expect((await pause.history('sum')).find(v => v.active).version).toBe(1);
+    await expect(cli('rollback', 'sum', 'latest')).rejects.toThrow('Expected <version> to be a positive integer');
+  });
+
+  test('should export, delete and import blocks', async () => {
+    await cli('export', 'bundle.json');
+    const bundle = JSON.parse(fs.readFileSync(path.join(directory, 'bundle.json'), 'utf8'));
+    expect(bundle.format).toBe('pause-blocks@1');
+    expect(bundle.blocks.map(b => b.id)).toEqual(['sum']);
+
+    await cli('delete', 'sum');
+    expect((await cli('list')).output).toBe('');
+
+    expect((await cli('import', 'bundle.json')).output).toBe('Imported 1 block(s).\n');
+    expect((await cli('import', 'bundle.json')).output).toContain('skipped 1 existing');
+    expect((await cli('import', 'bundle.json', '--overwrite')).output).toBe('Imported 1 block(s).\n');
+    expect(await pause.history('sum')).toHaveLength(2);
+  });
+
+  test('should refuse commands that need history with a store that only keeps the active code', async () => {
+    fs.writeFileSync(path.join(directory, 'legacy.config.mjs'), `
+      export default { getFunctionFromDb: async () => '(a, b) => a + b', saveFunctionToDb: async () => {} };
+    `);
+    for (const argv of [['delete', 'sum'], ['history', 'sum'], ['approve', 'sum', '1'], ['list']]) {
+      await expect(cli('--config', 'legacy.config.mjs', ...argv)).rejects.toThrow(`\`pause ${argv[0]}\` needs a store that implements listBlocks() and deleteBlock()`);
+    }
+    expect((await cli('--config', 'legacy.config.mjs', 'show', 'sum')).output).toContain('(a, b) => a + b');
+  });
+
+  test('should load an explicit config file and print usage', async () => {
+    fs.renameSync(path.join(directory, 'pause.config.mjs'), path.join(directory, 'custom.config.mjs'));
+    await expect(cli('list')).rejects.toThrow('No configuration file found');
+    expect((await cli('--config', 'custom.config.mjs', 'list')).output).toContain('sum');
+    expect((await cli('--help')).output).toContain('Usage: pause');
+    expect((await cli('--config', 'custom.config.mjs', 'frobnicate')).exitCode).toBe(1);
+  });
+});
@@ -0,0 +1,56 @@
+import Pause, { parseCode } from '../src/index.js';
+import { createMockLlm } from './mockLlm.js';
+
+describe('Code parser', () => {
+  test('should detect parameters, kind and body of functions', () => {
+    expect(parseCode('async ({ id, tags: [first] }, retries = (1 + 1), ...rest) => load(id)')).toMatchObject({
+      kind: 'arrow', async: true, generator: false, expressionBody: true,
+      params: ['{ id, tags: [first] }', 'retries = (1 + 1)', '...rest'],
+      paramNames: ['id', 'first', 'retries', 'rest']
+    });
+    expect(parseCode('async x => { return x; }')).toMatchObject({ kind: 'arrow', async: true, expressionBody: false, params: ['x'] });
+    expect(parseCode('function* ids(n) { yield n; }')).toMatchObject({ kind: 'function', name: 'ids', generator: true, params: ['n'] });
+    expect(parseCode('async total(items) { return items.length; }')).toMatchObject({
+      kind: 'method', name: 'total', async: true, source: '({async total(items) { return items.length; }\n})["total"]'
+    });
+    expect(parseCode('static load(id) { return id; }')).toMatchObject({ kind: 'method', name: 'load', params: ['id'] });
+    expect(parseCode('items.length * 2')).toMatchObject({ kind: 'expression', async: false, source: '() => (\nitems.length * 2\n)' });
+    expect(parseCode('const rows = await db.query(sql);\nreturn rows.length;')).toMatchObject({ kind: 'statements', async: true });
+    expect(parseCode('return [1, 2].map(async (x) => await x);')).toMatchObject({ kind: 'statements', async: false });
+  });
+
+  test('should reject unsupported forms and syntax errors with codes', () => {
+    expect(() => parseCode('class Cart {}')).toThrow(expect.objectContaining({ code: 'ERR_PAUSE_CODE_UNSUPPORTED', message: '[Pause] A class cannot run as a block. Use a function or one of its methods instead.' }));
+    expect(() => parseCode('get total() { return 1; }')).toThrow(expect.objectContaining({ code: 'ERR_PAUSE_CODE_UNSUPPORTED', message: expect.stringContaining('A getter cannot run as a block') }));
+    expect(() => parseCode('static set total(value) {}')).toThrow(expect.objectContaining({ code: 'ERR_PAUSE_CODE_UNSUPPORTED', message: expect.stringContaining('A setter cannot run as a block') }));
+    expect(() => parseCode('#secret() { return 1; }')).toThrow(expect.objectContaining({ code: 'ERR_PAUSE_CODE_UNSUPPORTED' }));
+    expect(() => parseCode('   ')).toThrow(expect.objectContaining({ code: 'ERR_PAUSE_CODE_UNSUPPORTED' }));
+    const syntaxError = (() => { try { parseCode('(a, b => {'); } catch (e) { return e; } })();
+    expect(syntaxError).toBeInstanceOf(SyntaxError);
+    expect(syntaxError).toMatchObject({ code: 'ERR_PAUSE_CODE_SYNTAX', message: expect.stringMatching(/^\[Pause\] Cannot parse the code: /) });
+  });
+
+  test('should run every form as a string block with scope variables', async () => {
+    const pause = new Pause();
+    const scope = { rate: 2, load: async (id) => ({ id }) };
+
+    expect(await pause.run('parse-arrow', 'Scale', '({ value } = { value: 1 }, factor = (rate)) => value * factor', scope, { value: 3 })).toBe(6);
+    expect(await pause.run('parse-method', 'Scale', 'async scale(value) { return value * rate; }', scope, 4)).toBe(8);
+    expect(await pause.run('parse-expression', 'Rate', 'rate + 1', scope)).toBe(3);
+    expect(await pause.run('parse-statements', 'Load', 'const row = await load(7);\nreturn row.id;', scope)).toBe(7);
+    const iterator = await pause.run('parse-generator', 'Count', 'function* (n) { for (let i = 0; i < n; i++) yield i * rate; }', scope, 3);
+    expect([...iterator]).toEqual([0, 2, 4]);
+    await expect(pause.run('parse-class', 'Cart', 'class {}', scope)).rejects.toMatchObject({ code: 'ERR_PAUSE_CODE_UNSUPPORTED' });
+  });
+
+  test('should accept method corrections and reject non-function proposals', async () => {
+    const llm = createMockLlm(['items.length', 'count(items) { return items.length; }']);
+    const pause = new Pause({ llm });
+    const count = (items) => items.size();
+
+    expect(await pause.run('parse-correction', 'Count the items', count, {}, [1, 2])).toBe(2);
+    const toolMessage = llm.invoke.mock.lastCall[0].find(m => m.constructor.name === 'ToolMessage');
+    expect(toolMessage.content).toContain('AI proposed an expression instead of a function.\nCode: items.length');
+    expect(await pause.run('parse-correction', 'Count the items', count, {}, [1, 2, 3])).toBe(3);
+  });
+});
@@ -0,0 +1,75 @@
+import Pause, { ResultContract } from '../src/index.js';
+import { validateSchema } from '../src/contract.js';
+import { createMockLlm } from './mockLlm.js';
+
+describe('Result contracts', () => {
+  test('should report schema violations with their path', () => {
+    const schema = {
+      type: 'object',
+      required: ['total', 'lines'],
+      properties: {
+        total: { type: 'number', minimum: 0 },
+        currency: { enum: ['EUR', 'USD'] },
+        lines: { type: 'array', items: { type: 'integer' } }
+      },
+      additionalProperties: false
+    };
+
+    expect(validateSchema({ total: 3, currency: 'EUR', lines: [1, 2] }, schema)).toEqual([]);
+    expect(validateSchema({ total: -1, currency: 'GBP', lines: [1, 'x'], note: '' }, schema)).toEqual([
+      'result.total must be >= 0, got -1',
+      'result.currency must be one of ["EUR","USD"], got "GBP"',
+      'result.lines[1] must be of type integer, got string',
+      'result.note is not allowed'
+    ]);
+    expect(validateSchema('12', { anyOf: [{ type: 'number' }, { type: 'null' }] })).toEqual(['result must match at least one schema of anyOf, got "12"']);
+  });
+
+  test('should combine the check function and examples', async () => {
+    const contract = ResultContract.from({ check: (result) => result >= 0 || 'result must not be negative', examples: [{ input: [3], output: 9 }] });
+
+    expect(await contract.validate(9, [3])).toEqual([]);
+    expect(await contract.validate(-27, [3])).toEqual(['result must not be negative', 'for the arguments [3] the result must be 9, got -27']);
+    expect(await ResultContract.from(() => { throw new Error('bad'); }).validate(1)).toEqual(['the check function threw: bad']);
+    expect(() => new ResultContract({})).toThrow('needs a schema, a check function or examples');
+    expect(() => new ResultContract({ examples: [{ input: 3, output: 9 }] })).toThrow('must be { input: [...args], output } objects');
+  });
+
+  test('should correct a block that returns a wrong value and test proposals against the examples', async () => {
+    const llm = createMockLlm(['(x) => x + x', '(x) => x * x']);
+    const pause = new Pause({ llm });
+    const square = (x) => x * x * x;
+
+    const result = await pause.run({ id: 'contract-square', description: 'Square a number', fn: square, args: [3], contract: { examples: [{ input: [2], output: 4 }, { input: [3], output: 9 }] } });
+    expect(result).toBe(9);
+    const prompt = llm.invoke.mock.calls[0][0][0].content;
+    expect(prompt).toContain('RESULT CONTRACT');
+    expect(prompt).toContain('- arguments [3] => 9');
+    expect(prompt).toContain('OFFENDING RESULT (returned by the original code, violating the contract):\n27');
+    const toolMessage = llm.invoke.mock.lastCall[0].find(m => m.constructor.name === 'ToolMessage');
+    expect(toolMessage.content).toContain('Proposed code does not satisfy the examples of the result contract:\n- for the arguments [3] the result must be 9, got 6');
+    expect(await pause.run('contract-square', 'Square a number', square, {}, 5)).toBe(25);
+  });
+
+  test('should fail with the violations when a result cannot be corrected', async () => {
+    const schema = { type: 'object', required: ['total'], properties: { total: { type: 'number' } } };
+    const pause = new Pause({ contracts: { 'contract-total': { schema } }, fallback: false });
+
+    await expect(pause.run('contract-total', 'Compute the total', () => ({ total: '12' }))).rejects.toMatchObject({
+      code: 'ERR_PAUSE_CONTRACT',
+      violations: ['result.total must be of type number, got string'],
+      result: { total: '12' }
+    });
+    expect(await pause.run('contract-other', 'Compute the total', () => ({ total: '12' }))).toEqual({ total: '12' });
+  });
+
+  test('should report contract violations of tested candidates', async () => {
+    const llm = createMockLlm([{ tool: 'test_candidate', args: { candidate_code: '() => -1' } }, '() => 1']);
+    const pause = new Pause({ llm });
+    const positive = pause.wrap('contract-candidate', 'Return a positive number', () => -5, { contract: (result) => result > 0 || 'result must be positive' });
+
+    expect(await positive()).toBe(1);
+    const toolMessage = llm.invoke.mock.lastCall[0].find(m => m.constructor.name === 'ToolMessage');
+    expect(toolMessage.content).toBe('Candidate ran, but violates the result contract:\n- result must be positive\nResult: -1');
+  });
+});
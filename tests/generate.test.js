@@ -0,0 +1,116 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Pause, { MemoryStore } from '../src/index.js';
+import { findRunCalls, rewriteSource } from '../src/generate.js';
+import { seedVersions } from './storeFixture.js';
+
+const SOURCE = `import Pause from 'pause-framework';
+
+const pause = new Pause();
+
+// Computes the date
+export async function today() {
+  return await pause.run(
+    'date-1',
+    "Get today's date",
+    () => {
+      return new date(); // broken
+    }
+  );
+}
+
+export async function sum(a, b) {
+  return pause.run('sum-1', 'Add two numbers', \`(a, b) => a ++ b\`, {}, a, b); // keep this comment
+}
+
+export const untouched = () => pause.run('missing-1', 'Not stored', () => 1);
+`;
+
+async function createPauseWithVersions(codes) {
+  const pause = new Pause({ store: new MemoryStore() });
+  for (const [id, code] of Object.entries(codes)) {
+    await seedVersions(pause.store, id, { code, source: 'local' });
+  }
+  return pause;
+}
+
+describe('pause.generate()', () => {
+  test('should find pause.run call sites with static IDs', () => {
+    const calls = findRunCalls(SOURCE);
+    expect(calls.map(c => [c.id, c.kind, c.line])).toEqual([
+      ['date-1', 'function', 10],
+      ['sum-1', 'string', 17],
+      ['missing-1', 'function', 20]
+    ]);
+    expect(findRunCalls('this.pause.run("a", "b", () => 1); other.run("c", "d", () => 2);')).toHaveLength(1);
+  });
+
+  test('should replace code arguments with stored versions and keep the rest intact', async () => {
+    const pause = await createPauseWithVersions({
+      'date-1': '() => {\n  return new Date();\n}',
+      'sum-1': '(a, b) => a + b'
+    });
+    const [result] = await pause.generate({ source: SOURCE, filename: 'example.js' });
+
+    expect(result.changes.map(c => c.id)).toEqual(['date-1', 'sum-1']);
+    expect(result.output).toContain(`    "Get today's date",\n    () => {\n      return new Date();\n    }\n  );`);
+    expect(result.output).toContain("pause.run('sum-1', 'Add two numbers', `(a, b) => a + b`, {}, a, b); // keep this comment");
+    expect(result.output).toContain('// Computes the date');
+    expect(result.output).toContain(`pause.run('missing-1', 'Not stored', () => 1)`);
+    expect(result.patch).toContain('--- a/example.js');
+    expect(result.patch).toContain('-      return new date(); // broken');
+    expect(result.patch).toContain('+      return new Date();');
+  });
+
+  test('should keep string call sites strings, escaped in their quoting style', async () => {
+    const stored = 'async (name) => {\n  const quote = "\'";\n  return `${name} says \\n ${quote}`;\n}';
+    const source = [
+      "pause.run('single', 'Greet', '(name) => name', scope, 'x');",
+      'pause.run("double", "Greet", "(name) => name");',
+      'pause.run(`template`, `Greet`, `(name) => name`);',
+      "pause.run('same', 'Greet', 'async (name) => name');"
+    ].join('\n');
+    const getStoredCode = async (id) => (id === 'same' ? 'async (name) => name' : stored);
+
+    const { output, changes } = await rewriteSource(source, getStoredCode);
+    expect(changes.map(c => [c.id, c.kind])).toEqual([['single', 'string'], ['double', 'string'], ['template', 'string']]);
+    const calls = findRunCalls(output);
+    expect(calls.map(c => [c.id, c.kind, c.value])).toEqual([
+      ['single', 'string', stored], ['double', 'string', stored], ['template', 'string', stored], ['same', 'string', 'async (name) => name']
+    ]);
+    expect(output.split('\n')[0]).toMatch(/^pause\.run\('single', 'Greet', '.*', scope, 'x'\);$/);
+    expect(output.split('\n')[1]).toMatch(/^pause\.run\("double", "Greet", ".*"\);$/);
+    expect(output).toContain('`${name} says \\\\n ${quote}`');
+  });
+
+  test('should leave nested calls to the stored code of the outer block', async () => {
+    const source = `pause.run('outer', 'Outer', async () => {\n  return pause.run('inner', 'Inner', () => x);\n});\n`;
+    const getStoredCode = async (id) => ({ outer: 'async () => 1', inner: '() => 2' })[id];
+    const { output, changes } = await rewriteSource(source, getStoredCode);
+    expect(changes.map(c => c.id)).toEqual(['outer']);
+    expect(output).toBe(`pause.run('outer', 'Outer', async () => 1);\n`);
+  });
+
+  test('should rewrite files in a directory only when write is set', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pause-generate-'));
+    try {
+      fs.mkdirSync(path.join(directory, 'node_modules'));
+      fs.writeFileSync(path.join(directory, 'a.js'), SOURCE);
+      fs.writeFileSync(path.join(directory, 'node_modules', 'b.js'), SOURCE);
+      fs.writeFileSync(path.join(directory, 'c.txt'), SOURCE);
+      const pause = await createPauseWithVersions({ 'sum-1': '(a, b) => a + b' });
+
+      const dryRun = await pause.generate(directory, { ids: ['sum-1'] });
+      expect(dryRun.map(r => path.basename(r.file))).toEqual(['a.js']);
+      expect(fs.readFileSync(path.join(directory, 'a.js'), 'utf8')).toBe(SOURCE);
+
+      await pause.generate(directory, { write: true });
+      expect(fs.readFileSync(path.join(directory, 'a.js'), 'utf8')).toContain("'Add two numbers', `(a, b) => a + b`,");
+      expect(fs.readFileSync(path.join(directory, 'node_modules', 'b.js'), 'utf8')).toBe(SOURCE);
+      expect(await pause.generate(directory)).toEqual([]);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,55 @@
+import { jest } from '@jest/globals';
+
+/**
+ * Extracts the block ID from the correction prompt sent to the LLM.
+ * @param {any[]} messages The messages passed to `invoke`.
+ * @returns {string|null} The block ID or null if not found.
+ */
+function findBlockId(messages) {
+  for (const message of messages) {
+    const match = /BLOCK ID: (.+)/.exec(String(message.content));
+    if (match) return match[1].trim();
+  }
+  return null;
+}
+
+/**
+ * Builds the tool call for a scripted correction.
+ * @param {string|{patch: string}|{tool: string, args?: object}} correction A corrected code string, `{ patch }` for an input patch, or `{ tool, args }` for any other tool.
+ * @param {string|null} blockId The block ID to answer for.
+ * @returns {{name: string, args: object}} The tool call name and arguments.
+ */
+function toToolCall(correction, blockId) {
+  if (typeof correction === 'object' && correction.tool) {
+    return { name: correction.tool, args: { block_id: blockId, ...correction.args } };
+  }
+  if (typeof correction === 'object') {
+    return { name: 'run_patch_function', args: { block_id: blockId, patch_code: correction.patch } };
+  }
+  return { name: 'propose_corrected_block', args: { block_id: blockId, corrected_code: correction } };
+}
+
+/**
+ * Creates a fake LangChain chat model that answers with the given tool calls in order.
+ * The last entry is repeated once the list is exhausted.
+ * @param {Array<string|object>} corrections One entry per `invoke` call (see `toToolCall`).
+ * @returns {object} An object with jest mocks for `bindTools` and `invoke`.
+ */
+function createMockLlm(corrections) {
+  let call = 0;
+  const llm = {
+    modelName: 'mock-model',
+    bindTools: jest.fn(() => llm),
+    invoke: jest.fn(async (messages) => {
+      const correction = corrections[Math.min(call, corrections.length - 1)];
+      call++;
+      return {
+        content: '',
+        tool_calls: [{ ...toToolCall(correction, findBlockId(messages)), id: `call_mock_${call}` }]
+      };
+    })
+  };
+  return llm;
+}
+
+export { createMockLlm };
@@ -1,6 +1,10 @@
 import Pause from '../src/pause.js';
 import { getFunctionFromDb, saveFunctionToDb, clearTestDb } from './testDb.js';
 import { jest } from '@jest/globals'; // Import jest for spying if needed, or use inline mocks
+import { createMockLlm } from './mockLlm.js';
+import { findFreeVariables } from '../src/closure.js';
+import MemoryStore from '../src/storage/memoryStore.js';
+import { seedVersions } from './storeFixture.js';
 // const { ChatOpenAI } = require('@langchain/openai'); // No longer needed for mocking
 
 // Ensure NO jest.mock for '@langchain/openai' is present
@@ -30,46 +34,43 @@ describe('Pause Framework', () => {
 
   test('should correct and execute a function with a runtime error', async () => {
     const id = 'runtime-error-test';
+    const llm = createMockLlm(['() => { return 1; }']);
+    const pause = new Pause({ getFunctionFromDb, saveFunctionToDb, llm });
     const incorrectFn = () => {
       // This will throw "ReferenceError: nonExistentVar is not defined" when executed
       return nonExistentVar + 1; // eslint-disable-line no-undef
     };
-    // Description should reflect the original intent, not the fix.
-    // The original intent was likely to return a number, but let's make it more general
-    // and see if the LLM can infer a sensible correction (like returning 0 or handling the error gracefully).
-    // For the test to pass as before (expecting a Date), the LLM *would* need specific guidance.
-    // Let's keep the test expectation as Date for now, but make the description more neutral.
-    const result = await pauseInstance.run(id, "A function that attempts an operation which causes a runtime error.", incorrectFn);
-    expect(result).toBe(1); // Updated expectation: LLM likely corrects to return a number like 1.
-    const saved = await getFunctionFromDb(id);
-    expect(saved).toBeTruthy(); 
-    // Check if the saved code (from LLM) likely produces a number now
-    expect(saved).toMatch(/return\s+\d+|const\s+nonExistentVar\s*=\s*0/); // Broaden to typical numeric fixes
-  }, 45000); // Increased timeout for real API call
+    const result = await pause.run(id, "A function that attempts an operation which causes a runtime error.", incorrectFn);
+    expect(result).toBe(1);
+    expect(await getFunctionFromDb(id)).toBe('() => { return 1; }');
+    expect(llm.invoke.mock.calls[0][0][0].content).toContain('nonExistentVar is not defined');
+  });
 
   test('should correct and execute nested functions with runtime error', async () => {
     const outerId = 'nested-outer-runtime-test';
     const innerId = 'nested-inner-runtime-test';
+    const llm = createMockLlm(['() => a + b']);
+    const pause = new Pause({ getFunctionFromDb, saveFunctionToDb, llm });
 
     const outerFn = async () => {
-      const a = 5; 
+      const a = 5;
       const b = 10;
-      
+
       const innerFn = () => {
           return undefinedInnerVar; // eslint-disable-line no-undef
       };
-      
-      // Guide LLM to a self-contained fix for the inner function for this test
-      return await pauseInstance.run(innerId, "Calculate the sum of 5 and 10.", innerFn, { a, b }); 
+
+      return await pause.run(innerId, "Calculate the sum of 5 and 10.", innerFn, { a, b });
     };
 
-    const result = await pauseInstance.run(outerId, "Outer function that calls an inner function to sum 5 and 10.", outerFn);
-    expect(result).toBe(15); // Expecting 5 + 10
-    const savedInner = await getFunctionFromDb(innerId);
-    expect(savedInner).toBeTruthy();
-    // Check if the saved code reflects the sum logic, allowing for inlined values or re-declarations
-    expect(savedInner).toMatch(/(5\s*\+\s*10|a\s*\+\s*b)/); 
-  }, 60000); // Increased timeout for potentially two LLM calls (though current logic doesn't do nested correction yet)
+    const result = await pause.run(outerId, "Outer function that calls an inner function to sum 5 and 10.", outerFn);
+    expect(result).toBe(15);
+    expect(await getFunctionFromDb(innerId)).toBe('() => a + b');
+    // Only the inner block failed, so the outer block is never corrected
+    expect(await getFunctionFromDb(outerId)).toBeNull();
+    expect(llm.invoke).toHaveBeenCalledTimes(1);
+    expect(llm.invoke.mock.calls[0][0][0].content).toContain(`BLOCK ID: ${innerId}`);
+  });
 
   test('should use DB function string, overriding local function', async () => {
     const id = 'db-override-fn-test';
@@ -84,25 +85,18 @@ describe('Pause Framework', () => {
   
   test('should attempt AI correction if error occurs in DB code string', async () => {
     const id = 'db-error-test';
-    const descriptionForAICorrection = "This code from DB has an error, please fix to return 'Fixed DB Code'";
+    const llm = createMockLlm(["() => 'Fixed DB Code'"]);
+    const pause = new Pause({ getFunctionFromDb, saveFunctionToDb, llm });
     const localFn = () => "This local function is fine and should not run.";
-    
+
     // Save a function string *with an error* to the DB
-    const incorrectDbFunctionString = '() => nonExistentDbVar'; 
-    await saveFunctionToDb(id, incorrectDbFunctionString);
-    
-    // Expect the run call to now succeed after AI correction
-    const result = await pauseInstance.run(id, descriptionForAICorrection, localFn);
-    
-    // Check that the AI corrected it (e.g., to what the description asked for, or a sensible fix)
-    // The actual corrected code string will depend on the LLM and the new description.
-    // For this test, we assume the LLM is guided by the description.
-    expect(result).toBe('Fixed DB Code'); 
-
-    const newlySavedCode = await getFunctionFromDb(id);
-    expect(newlySavedCode).toBeTruthy();
-    expect(newlySavedCode).toContain('Fixed DB Code'); // Check if the fix was saved
-  }, 45000); // Timeout for API call
+    await saveFunctionToDb(id, '() => nonExistentDbVar');
+
+    const result = await pause.run(id, "This code from DB has an error, please fix to return 'Fixed DB Code'", localFn);
+    expect(result).toBe('Fixed DB Code');
+    expect(await getFunctionFromDb(id)).toBe("() => 'Fixed DB Code'");
+    expect(llm.invoke.mock.calls[0][0][0].content).toContain('nonExistentDbVar is not defined');
+  });
 
   test('should stop retrying AI correction after maxAiRetries', async () => {
     const id = 'retry-limit-test';
@@ -176,4 +170,457 @@ describe('Pause Framework', () => {
     // Check how many times the (potentially mocked) LLM's invoke was called.
     expect(retryPauseInstance.llm.invoke).toHaveBeenCalledTimes(maxRetries);
   }, 20000);
-}); 
\ No newline at end of file
+}); 
+describe('Versioned block store', () => {
+  beforeAll(() => { clearTestDb(); });
+  afterEach(() => { clearTestDb(); });
+
+  const createPause = (corrections) => new Pause({
+    getFunctionFromDb,
+    saveFunctionToDb,
+    llm: createMockLlm(corrections)
+  });
+
+  test('should keep every corrected version with metadata', async () => {
+    const id = 'history-test';
+    const pause = createPause(['() => 1', '() => 2']);
+
+    expect(await pause.run(id, 'Return a number', () => { throw new Error('first failure'); })).toBe(1);
+    await saveFunctionToDb(id, '() => { throw new Error("db failure"); }');
+    expect(await pause.run(id, 'Return a number', () => 0)).toBe(2);
+
+    const history = await pause.history(id);
+    expect(history.map(v => v.version)).toEqual([1, 2, 3]);
+    expect(history[0]).toMatchObject({ code: '() => 1', source: 'local', error: 'first failure', model: 'mock-model', attempt: 1 });
+    expect(history[0].originalCode).toContain('first failure');
+    expect(history[1]).toMatchObject({ source: 'external', active: false });
+    expect(history[2]).toMatchObject({ code: '() => 2', source: 'db', active: true });
+    expect(typeof history[2].createdAt).toBe('string');
+    expect(await getFunctionFromDb(id)).toBe('() => 2');
+  });
+
+  test('should roll back to a previous version', async () => {
+    const id = 'rollback-test';
+    const pause = createPause(['() => "v1"']);
+    const failing = () => { throw new Error('boom'); };
+    await pause.run(id, 'Return a string', failing);
+    await saveFunctionToDb(id, '() => "v2"');
+    expect(await pause.run(id, 'Return a string', failing)).toBe('v2');
+
+    await pause.rollback(id, 1);
+    expect(await getFunctionFromDb(id)).toBe('() => "v1"');
+    expect(await pause.run(id, 'Return a string', failing)).toBe('v1');
+    await expect(pause.rollback(id, 42)).rejects.toThrow('Version 42 not found for block ID: rollback-test');
+  });
+
+  test('should not activate new corrections while pinned', async () => {
+    const id = 'pin-test';
+    const pause = createPause(['() => "first"', '() => "fixed"']);
+    expect(await pause.run(id, 'Return a string', () => { throw new Error('boom'); })).toBe('first');
+    await saveFunctionToDb(id, '() => { throw new Error("still broken"); }');
+    await pause.pin(id, 2);
+
+    // The pinned version fails, the correction is stored but not activated
+    expect(await pause.run(id, 'Return a string', () => 'local')).toBe('fixed');
+    let history = await pause.history(id);
+    expect(history.find(v => v.active).version).toBe(2);
+    expect(history.find(v => v.pinned).version).toBe(2);
+    await expect(pause.rollback(id, history[history.length - 1].version)).rejects.toThrow('is pinned to version 2');
+
+    await pause.unpin(id);
+    await pause.rollback(id, history[history.length - 1].version);
+    history = await pause.history(id);
+    expect(history.find(v => v.active).code).toBe('() => "fixed"');
+  });
+});
+
+describe('Patch mode', () => {
+  test('should re-run the original block with patched arguments and store the patch separately', async () => {
+    const id = 'patch-args-test';
+    const llm = createMockLlm([{ patch: '(scope, args) => { args[0] = Number(args[0]); }' }]);
+    const pause = new Pause({ llm });
+    const square = (x) => {
+      if (typeof x !== 'number') throw new TypeError('x must be a number');
+      return x * x;
+    };
+
+    expect(await pause.run(id, 'Square a number', square, {}, '4')).toBe(16);
+    expect(await pause.history(id)).toEqual([]);
+    const patches = await pause.patchHistory(id);
+    expect(patches).toHaveLength(1);
+    expect(patches[0]).toMatchObject({ version: 1, source: 'local', error: 'x must be a number', active: true });
+
+    // The stored patch is applied on later runs without calling the LLM again
+    expect(await pause.run(id, 'Square a number', square, {}, '5')).toBe(25);
+    expect(llm.invoke).toHaveBeenCalledTimes(1);
+
+    // Once cleared, the block fails again and a new patch is requested
+    await pause.clearPatches(id);
+    expect(await pause.run(id, 'Square a number', square, {}, '6')).toBe(36);
+    expect(llm.invoke).toHaveBeenCalledTimes(2);
+    expect((await pause.patchHistory(id)).map(p => p.active)).toEqual([false, true]);
+  });
+
+  test('should not change nested values of the caller\'s arguments', async () => {
+    const llm = createMockLlm([
+      { patch: '(scope, args) => { args[0].items.push("10"); }' },
+      { patch: '(scope, args) => { args[0].items = args[0].items.map(Number); }' }
+    ]);
+    const pause = new Pause({ llm });
+    const sum = (order) => {
+      if (order.items.some(item => typeof item !== 'number')) throw new TypeError('items must be numbers');
+      return order.items.reduce((total, item) => total + item, 0);
+    };
+    const order = { items: ['1', '2'] };
+
+    expect(await pause.run('patch-nested-test', 'Add up the items', sum, {}, order)).toBe(3);
+    expect(llm.invoke).toHaveBeenCalledTimes(2);
+    expect(order).toEqual({ items: ['1', '2'] });
+  });
+
+  test('should patch scope variables of string blocks', async () => {
+    const llm = createMockLlm([{ patch: '(scope) => ({ scope: { ...scope, items: [] } })' }]);
+    const pause = new Pause({ llm });
+    const result = await pause.run('patch-scope-test', 'Count the items', '() => items.length', { items: null });
+    expect(result).toBe(0);
+    const prompt = llm.invoke.mock.calls[0][0][0].content;
+    expect(prompt).toContain('SCOPE VARIABLES');
+    expect(prompt).toContain('{"items":null}');
+  });
+});
+
+describe('Correction loop', () => {
+  const toolResults = (llm) => llm.invoke.mock.lastCall[0]
+    .filter(m => m.constructor.name === 'ToolMessage')
+    .map(m => m.content);
+
+  test('should let the model inspect the failure and test candidates before proposing', async () => {
+    const llm = createMockLlm([
+      { tool: 'retrieve_stack' },
+      { tool: 'retrieve_parent_block' },
+      { tool: 'test_candidate', args: { candidate_code: '() => missing' } },
+      { tool: 'test_candidate', args: { candidate_code: '() => 10' } },
+      '() => 10'
+    ]);
+    const pause = new Pause({ llm });
+
+    const result = await pause.run('loop-outer', 'Outer block', async () => {
+      return pause.run('loop-inner', 'Return ten', () => { throw new Error('inner failure'); });
+    });
+
+    expect(result).toBe(10);
+    expect(llm.invoke).toHaveBeenCalledTimes(5);
+    const results = toolResults(llm);
+    expect(results[0]).toContain('Error: inner failure');
+    expect(JSON.parse(results[1])).toMatchObject({ id: 'loop-outer', description: 'Outer block' });
+    expect(results[2]).toContain('Candidate threw an error');
+    expect(results[3]).toBe('Candidate ran successfully. Result: 10');
+    expect((await pause.history('loop-inner')).map(v => v.attempt)).toEqual([5]);
+  });
+
+  test('should feed rejected proposals back and only save a candidate that runs', async () => {
+    const llm = createMockLlm(['(x) => x.missing.value', '(x) => x * 2']);
+    const pause = new Pause({ llm });
+
+    expect(await pause.run('loop-reject', 'Double a number', (x) => { throw new Error(`bad ${x}`); }, {}, 21)).toBe(42);
+    expect(toolResults(llm)[0]).toMatch(/^Tool Error: Proposed code failed when run against the failing arguments: .*Cannot read properties of undefined/);
+    const history = await pause.history('loop-reject');
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ code: '(x) => x * 2', attempt: 2 });
+  });
+
+  test('should stop when the token budget is used up', async () => {
+    const llm = createMockLlm([{ tool: 'retrieve_stack' }]);
+    const invoke = llm.invoke.getMockImplementation();
+    llm.invoke.mockImplementation(async (messages) => ({ ...(await invoke(messages)), usage_metadata: { total_tokens: 400 } }));
+    const pause = new Pause({ llm, maxCorrectionTokens: 1000 });
+
+    await expect(pause.run('loop-tokens', 'Return a value', () => { throw new Error('boom'); }))
+      .rejects.toThrow('AI correction token budget of 1000 reached for block ID: loop-tokens');
+    expect(llm.invoke).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('Approval workflow', () => {
+  const failing = () => { throw new Error('boom'); };
+
+  test('should store corrections as pending proposals until approved', async () => {
+    const id = 'approval-pending';
+    const pause = new Pause({ llm: createMockLlm(['() => "proposed"']), approval: true });
+
+    // The pending proposal answers the current call only
+    expect(await pause.run(id, 'Return a string', failing)).toBe('proposed');
+    expect(await pause.history(id)).toEqual([]);
+    const [proposal] = await pause.proposals(id, { status: 'pending' });
+    expect(proposal).toMatchObject({ proposalId: 1, kind: 'replacement', code: '() => "proposed"', error: 'boom', source: 'local' });
+
+    const version = await pause.approve(id, 1);
+    expect(version).toMatchObject({ version: 1, code: '() => "proposed"' });
+    expect(await pause.run(id, 'Return a string', failing)).toBe('proposed');
+    expect((await pause.proposals(id))[0]).toMatchObject({ status: 'approved', version: 1 });
+    await expect(pause.approve(id, 1)).rejects.toThrow('Proposal 1 for block ID: approval-pending is already approved');
+    await expect(pause.reject(id, 7)).rejects.toThrow('Proposal 7 not found');
+  });
+
+  test('should fail the current call when pending proposals are not executed', async () => {
+    const id = 'approval-no-execute';
+    const pause = new Pause({ llm: createMockLlm(['() => "proposed"']), approval: { executePending: false } });
+    await expect(pause.run(id, 'Return a string', failing)).rejects.toThrow('boom');
+    expect(await pause.proposals(id, { status: 'pending' })).toHaveLength(1);
+  });
+
+  test('should not start another correction while a proposal is pending', async () => {
+    const llm = createMockLlm(['() => "proposed"', '() => "again"']);
+    const pause = new Pause({ llm, approval: { executePending: false } });
+    const onSkipped = jest.fn();
+    pause.on('correction:skipped', onSkipped);
+
+    await expect(pause.run('approval-once', 'Return a string', failing)).rejects.toThrow('boom');
+    await expect(pause.run('approval-once', 'Return a string', failing)).rejects.toThrow('boom');
+    expect(llm.invoke).toHaveBeenCalledTimes(1);
+    expect(await pause.proposals('approval-once')).toHaveLength(1);
+    expect(onSkipped).toHaveBeenCalledWith({ id: 'approval-once', reason: 'proposal 1 is pending approval' });
+
+    const executing = new Pause({ llm: createMockLlm(['() => "proposed"', '() => "again"']), approval: true });
+    expect(await executing.run('approval-reuse', 'Return a string', failing)).toBe('proposed');
+    expect(await executing.run('approval-reuse', 'Return a string', failing)).toBe('proposed');
+    expect(executing.llm.invoke).toHaveBeenCalledTimes(1);
+    await executing.reject('approval-reuse', 1, 'Wrong string');
+    expect(await executing.run('approval-reuse', 'Return a string', failing)).toBe('again');
+  });
+
+  test('should feed onProposal rejections back to the model', async () => {
+    const id = 'approval-callback';
+    const llm = createMockLlm(['() => 42', '() => Number(process.env.ANSWER)']);
+    const onProposal = jest.fn(async (proposal) => (
+      proposal.code === '() => 42' ? { approved: false, reason: 'Do not hard-code the answer' } : true
+    ));
+    const pause = new Pause({ llm, approval: { onProposal } });
+    process.env.ANSWER = '7';
+
+    expect(await pause.run(id, 'Return the configured answer', failing)).toBe(7);
+    expect(onProposal).toHaveBeenCalledTimes(2);
+    expect(onProposal.mock.calls[0][1]).toEqual({ id, description: 'Return the configured answer' });
+    const toolMessage = llm.invoke.mock.lastCall[0].find(m => m.constructor.name === 'ToolMessage');
+    expect(toolMessage.content).toBe('Tool Error: Proposal 1 was rejected by the reviewer: Do not hard-code the answer');
+    expect((await pause.proposals(id)).map(p => p.status)).toEqual(['rejected', 'approved']);
+    expect((await pause.history(id))[0]).toMatchObject({ code: '() => Number(process.env.ANSWER)', active: true });
+    delete process.env.ANSWER;
+  });
+
+  test('should include rejection reasons in later corrections of the block', async () => {
+    const id = 'approval-reject';
+    const llm = createMockLlm(['() => "first"', '() => "second"']);
+    const pause = new Pause({ llm, approval: true });
+
+    await pause.run(id, 'Return a string', failing);
+    await pause.reject(id, 1, 'Wrong string');
+    await pause.run(id, 'Return a string', failing);
+
+    const secondPrompt = llm.invoke.mock.calls[1][0][0].content;
+    expect(secondPrompt).toContain('PREVIOUSLY REJECTED PROPOSALS');
+    expect(secondPrompt).toContain('() => "first"');
+    expect(secondPrompt).toContain('Reason: Wrong string');
+    expect((await pause.proposals(id)).map(p => p.status)).toEqual(['rejected', 'pending']);
+  });
+});
+
+describe('Events and logging', () => {
+  const failing = () => { throw new Error('boom'); };
+
+  test('should emit typed events for executions and corrections', async () => {
+    const pause = new Pause({ llm: createMockLlm(['(x) => x.missing.value', '(x) => x + 1']) });
+    const events = [];
+    ['execution:start', 'source:db', 'execution:success', 'execution:error', 'correction:attempt',
+      'correction:proposed', 'correction:saved', 'correction:failed'].forEach((name) => {
+      pause.on(name, (payload) => events.push([name, payload]));
+    });
+
+    expect(await pause.run('events', 'Increment a number', failing, {}, 1)).toBe(2);
+    expect(events.map(([name]) => name)).toEqual([
+      'execution:start', 'execution:error', 'correction:attempt', 'correction:proposed',
+      'correction:attempt', 'correction:proposed', 'correction:saved'
+    ]);
+    expect(events[1][1]).toMatchObject({ id: 'events', source: 'local', version: null });
+    expect(events[1][1].error.message).toBe('boom');
+    expect(events[6][1]).toEqual({ id: 'events', turn: 2, kind: 'replacement', version: 1 });
+
+    events.length = 0;
+    expect(await pause.run('events', 'Increment a number', failing, {}, 1)).toBe(2);
+    expect(events.map(([name]) => name)).toEqual(['source:db', 'execution:start', 'execution:success']);
+    expect(events[1][1]).toEqual({ id: 'events', description: 'Increment a number', source: 'db', version: 1 });
+  });
+
+  test('should emit correction:failed and survive failing listeners', async () => {
+    const pause = new Pause({ llm: createMockLlm([{ tool: 'retrieve_stack' }]), maxTurns: 2 });
+    const failed = jest.fn();
+    pause.on('execution:start', () => { throw new Error('listener bug'); });
+    pause.on('correction:failed', failed);
+
+    await expect(pause.run('events-failed', 'Return a value', failing)).rejects.toThrow('Max AI retries reached');
+    expect(failed).toHaveBeenCalledWith(expect.objectContaining({ id: 'events-failed', turns: 2, tokensUsed: 0 }));
+  });
+
+  test('should be quiet by default', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    try {
+      const pause = new Pause({ llm: createMockLlm(['() => 1']) });
+      await pause.run('events-quiet', 'Return one', failing);
+      expect(log).not.toHaveBeenCalled();
+      expect(error).not.toHaveBeenCalled();
+      expect(stderr).not.toHaveBeenCalled();
+    } finally {
+      log.mockRestore();
+      error.mockRestore();
+      stderr.mockRestore();
+    }
+  });
+
+  test('should write structured log lines at or above the configured level', async () => {
+    const lines = [];
+    const pause = new Pause({
+      llm: createMockLlm(['() => 1']),
+      logger: { level: 'info', format: 'json', write: (line) => lines.push(JSON.parse(line)) }
+    });
+    await pause.run('events-json', 'Return one', failing);
+
+    expect(lines.map(l => l.msg)).toEqual(['LLM provided in options', 'Error during execution', 'Starting correction loop', 'Saved corrected code']);
+    expect(lines[1]).toMatchObject({ level: 'warn', id: 'events-json', source: 'local', error: { name: 'Error', message: 'boom' } });
+    expect(typeof lines[1].time).toBe('string');
+
+    // Values JSON.stringify rejects are described instead of making the log call throw
+    const scope = { total: 10n };
+    scope.self = scope;
+    pause.logger.info('Scope', { scope });
+    expect(lines[lines.length - 1].scope).toEqual({ total: '10n', self: '[Circular]' });
+
+    const custom = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    await new Pause({ llm: createMockLlm([]), logger: custom }).unpin('events-json');
+    expect(custom.info).toHaveBeenLastCalledWith('Unpinned block', { id: 'events-json' });
+    expect(() => new Pause({ logger: 'verbose' })).toThrow('Unknown log level: verbose');
+  });
+});
+
+describe('Scope and closures', () => {
+  test('should make scope variables available to DB code by name', async () => {
+    const pause = new Pause();
+    await seedVersions(pause.store, 'scope-db', '(c) => a + b + c');
+    expect(await pause.run('scope-db', 'Add a, b and c', () => 0, { a: 5, b: 10, 'not-an-identifier': 1 }, 1)).toBe(16);
+  });
+
+  test('should show scope variables to the model and let corrected code use them', async () => {
+    const llm = createMockLlm([{ tool: 'test_candidate', args: { candidate_code: '() => a * b' } }, '() => a * b']);
+    const pause = new Pause({ llm });
+    const scope = { a: 5, b: 10, big: 10n };
+    scope.self = scope;
+
+    expect(await pause.run('scope-fix', 'Multiply a and b', () => { throw new Error('broken'); }, scope)).toBe(50);
+    const [prompt, , toolMessage] = llm.invoke.mock.lastCall[0];
+    expect(prompt.content).toContain('SCOPE VARIABLES (available to the block as variables: a, b, big, self):');
+    expect(prompt.content).toContain('{"a":5,"b":10,"big":"10n","self":"[Circular]"}');
+    expect(toolMessage.content).toBe('Candidate ran successfully. Result: 50');
+  });
+
+  test('should capture closure variables through a resolver', async () => {
+    const rate = 3;
+    const items = [1, 2];
+    const llm = createMockLlm(['() => items.map(i => i * rate)']);
+    const pause = new Pause({ llm });
+
+    const result = await pause.run('scope-closure', 'Scale the items by the rate', () => items.map(i => i * rate).missing(), (name) => eval(name));
+    expect(result).toEqual([3, 6]);
+    expect(llm.invoke.mock.calls[0][0][0].content).toContain('{"items":[1,2],"rate":3}');
+    expect(findFreeVariables('(x) => { const y = x + offset; return [y, Math.max(y, limit)]; }')).toEqual(['offset', 'limit']);
+  });
+});
+
+describe('Source changes', () => {
+  const failing = () => { throw new Error('boom'); };
+
+  test('should run the changed local code instead of a stale version by default', async () => {
+    const pause = new Pause({ llm: createMockLlm(['() => "fixed"']) });
+    const onStale = jest.fn();
+    pause.on('source:stale', onStale);
+
+    expect(await pause.run('stale-local', 'Return a string', failing)).toBe('fixed');
+    expect((await pause.history('stale-local'))[0].sourceHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(await pause.run('stale-local', 'Return a string', () => {  throw   new Error('boom'); })).toBe('fixed');
+    expect(await pause.run('stale-local', 'Return a string', () => 'rewritten')).toBe('rewritten');
+    expect(await pause.run('stale-local', 'Return a string', () => 'rewritten')).toBe('rewritten');
+    expect(onStale).toHaveBeenCalledTimes(1);
+    expect(onStale).toHaveBeenCalledWith({ id: 'stale-local', version: 1, policy: 'prefer-local-on-change' });
+
+    await pause.pin('stale-local', 1);
+    expect(await pause.run('stale-local', 'Return a string', () => 'rewritten')).toBe('fixed');
+  });
+
+  test('should never treat versions without a source hash as stale', async () => {
+    const pause = new Pause();
+    await seedVersions(pause.store, 'stale-unhashed', '() => "stored"');
+    expect(await pause.run('stale-unhashed', 'Return a string', () => 'local')).toBe('stored');
+  });
+
+  test('should keep running a stale version with the warn policy', async () => {
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const pause = new Pause({ llm: createMockLlm(['() => "fixed"']), onSourceChange: 'warn', logger });
+    await pause.run('stale-warn', 'Return a string', failing);
+
+    expect(await pause.run('stale-warn', 'Return a string', () => 'rewritten')).toBe('fixed');
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('still running the stored version'), { id: 'stale-warn', version: 1, policy: 'warn' });
+    expect(() => new Pause({ onSourceChange: 'sometimes' })).toThrow('Unknown onSourceChange policy: sometimes');
+  });
+
+  test('should ask for a new version of the changed source with the re-correct policy', async () => {
+    const llm = createMockLlm(['() => "fixed"', '() => "rewritten and fixed"']);
+    const pause = new Pause({ llm, onSourceChange: 're-correct' });
+    const rewritten = () => 'rewritten';
+    await pause.run('stale-recorrect', 'Return a string', failing);
+
+    expect(await pause.run('stale-recorrect', 'Return a string', rewritten)).toBe('rewritten and fixed');
+    expect(llm.invoke.mock.lastCall[0][0].content).toContain('changed since version 1 was stored');
+    expect(await pause.run('stale-recorrect', 'Return a string', rewritten)).toBe('rewritten and fixed');
+    expect(llm.invoke).toHaveBeenCalledTimes(2);
+    expect((await pause.history('stale-recorrect')).map(v => v.originalCode)).toEqual([failing.toString(), rewritten.toString()]);
+  });
+});
+
+describe('Concurrent corrections', () => {
+  const failing = (x) => { throw new Error(`cannot double ${x}`); };
+
+  test('should run one correction for concurrent failures of a block and let every call use it', async () => {
+    const llm = createMockLlm(['(x) => x * 2']);
+    const pause = new Pause({ llm });
+    const joined = jest.fn();
+    pause.on('correction:joined', joined);
+
+    const inputs = Array.from({ length: 20 }, (_, i) => i);
+    const results = await Promise.all(inputs.map(x => pause.run('single-flight', 'Double x', failing, {}, x)));
+    expect(results).toEqual(inputs.map(x => x * 2));
+    expect(llm.invoke).toHaveBeenCalledTimes(1);
+    expect(joined).toHaveBeenCalledTimes(19);
+    expect(await pause.history('single-flight')).toHaveLength(1);
+  });
+
+  test('should correct a block once across instances sharing a store with a lock', async () => {
+    const store = new MemoryStore();
+    let queue = Promise.resolve();
+    store.lock = jest.fn(() => {
+      let release;
+      const held = new Promise(resolve => { release = resolve; });
+      const acquired = queue.then(() => release);
+      queue = queue.then(() => held);
+      return acquired;
+    });
+    const first = new Pause({ store, llm: createMockLlm(['(x) => x * 2']) });
+    const second = new Pause({ store, llm: createMockLlm(['(x) => x * 3']) });
+
+    const results = await Promise.all([first.run('locked', 'Double x', failing, {}, 1), second.run('locked', 'Double x', failing, {}, 2)]);
+    expect(results).toEqual([2, 4]);
+    expect(second.llm.invoke).not.toHaveBeenCalled();
+    expect(store.lock).toHaveBeenCalledTimes(2);
+    expect(store.lock).toHaveBeenCalledWith('locked', expect.objectContaining({ signal: null }));
+    expect(await first.history('locked')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+import Pause, { PolicyEngine } from '../src/index.js';
+import { createMockLlm } from './mockLlm.js';
+
+describe('Code policy', () => {
+  const failing = async (order) => { throw new Error(`cannot ship ${order.id}`); };
+
+  test('should report forbidden identifiers, modules and dynamic imports', () => {
+    const policy = new PolicyEngine();
+    const code = 'async (order) => { const process = 1; const fs = require("node:fs"); await import("http"); return fetch(order.url) + process; }';
+
+    expect(policy.check(code, { id: 'any' }).errors).toEqual([
+      { rule: 'forbidden-identifier', message: 'References the forbidden identifier `require`.' },
+      { rule: 'forbidden-identifier', message: 'References the forbidden identifier `fetch`.' },
+      { rule: 'forbidden-module', message: "Loads the forbidden module 'node:fs'." },
+      { rule: 'dynamic-import', message: 'Uses dynamic import().' },
+      { rule: 'forbidden-module', message: "Loads the forbidden module 'http'." }
+    ]);
+  });
+
+  test('should report constructor access', () => {
+    const policy = new PolicyEngine({ blocks: { lenient: { rules: { 'constructor-access': 'warn' } } } });
+    const violation = { rule: 'constructor-access', message: 'Reads a `constructor` property, which leads to the `Function` constructor.' };
+
+    expect(policy.check('() => (()=>{}).constructor("return process")()', { id: 'any' }).errors).toEqual([violation]);
+    expect(policy.check('(x) => x["constructor"][`constructor`]("return 1")', { id: 'any' }).errors).toEqual([violation]);
+    expect(policy.check('({ constructor: make }) => make("return 1")', { id: 'any' }).errors).toEqual([violation]);
+    expect(policy.check('(x) => x.constructor.name', { id: 'lenient' })).toEqual({ errors: [], warnings: [violation] });
+    expect(policy.check('(x) => ({ constructor: 1, name: x.name })', { id: 'any' }).errors).toEqual([]);
+  });
+
+  test('should check class methods and statements like functions', () => {
+    const policy = new PolicyEngine({ rules: { 'arity-change': 'error' } });
+
+    expect(policy.check('static run() { return process.env.HOME; }', { id: 'any' }).errors).toEqual([
+      { rule: 'forbidden-identifier', message: 'References the forbidden identifier `process`.' }
+    ]);
+    expect(policy.check('static async load(id) { return require("fs"); }', { id: 'any', originalCode: 'async (id, options) => id' }).errors.map(v => v.rule))
+      .toEqual(['forbidden-identifier', 'forbidden-module', 'arity-change']);
+    expect(policy.check('return fetch(url);', { id: 'any' }).errors.map(v => v.rule)).toEqual(['forbidden-identifier']);
+  });
+
+  test('should compare arity and async with the original function', () => {
+    const policy = new PolicyEngine({ rules: { 'arity-change': 'error' }, blocks: { lenient: { rules: { 'async-dropped': 'off' } } } });
+    const originalCode = 'async (order, options) => order';
+
+    expect(policy.check('(order) => order', { id: 'strict', originalCode })).toEqual({
+      errors: [
+        { rule: 'arity-change', message: 'Takes 1 parameter, but the original function takes 2 parameters.' },
+        { rule: 'async-dropped', message: 'Is not async, but the original function is async.' }
+      ],
+      warnings: []
+    });
+    expect(policy.check('(order) => order', { id: 'lenient', originalCode }).errors.map(v => v.rule)).toEqual(['arity-change']);
+    expect(policy.check('(scope, args) => ({ scope, args })', { id: 'strict', kind: 'patch', originalCode }).errors).toEqual([]);
+    expect(() => new PolicyEngine({ rules: { 'no-such-rule': 'error' } })).toThrow('Unknown policy rule: no-such-rule');
+  });
+
+  test('should reject violating proposals and report the violations to the model', async () => {
+    const llm = createMockLlm(['async (order) => process.env.SHIPPED', 'async (order) => `shipped ${order.id}`']);
+    const pause = new Pause({ llm, policy: true });
+    const onPolicy = jest.fn();
+    pause.on('correction:policy', onPolicy);
+
+    expect(await pause.run('policy-reject', 'Ship the order', failing, {}, { id: 7 })).toBe('shipped 7');
+    const toolMessage = llm.invoke.mock.lastCall[0].find(m => m.constructor.name === 'ToolMessage');
+    expect(toolMessage.content).toContain('Tool Error: Proposal rejected by the code policy for block policy-reject:\n- References the forbidden identifier `process`. (forbidden-identifier)');
+    expect(onPolicy).toHaveBeenCalledWith(expect.objectContaining({ id: 'policy-reject', turn: 1, rejected: true }));
+    expect((await pause.history('policy-reject')).map(v => v.code)).toEqual(['async (order) => `shipped ${order.id}`']);
+  });
+
+  test('should accept proposals with warnings, allow per-block exceptions and be off by default', async () => {
+    const llm = createMockLlm(['async () => fetch.name']);
+    const pause = new Pause({ llm, policy: { blocks: { 'policy-allow': { allowIdentifiers: ['fetch'] } } } });
+    const onPolicy = jest.fn();
+    pause.on('correction:policy', onPolicy);
+
+    expect(await pause.run('policy-allow', 'Return the fetch name', failing, {}, { id: 1 })).toBe('fetch');
+    expect(onPolicy).toHaveBeenCalledWith(expect.objectContaining({
+      rejected: false,
+      warnings: [{ rule: 'arity-change', message: 'Takes 0 parameters, but the original function takes 1 parameter.' }]
+    }));
+
+    for (const unchecked of [new Pause({ llm: createMockLlm(['() => typeof process']) }), new Pause({ llm: createMockLlm(['() => typeof process']), policy: false })]) {
+      expect(unchecked.policy).toBeNull();
+      expect(await unchecked.run('policy-off', 'Return the process type', () => { throw new Error('boom'); })).toBe('object');
+    }
+  });
+});
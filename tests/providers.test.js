@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import Pause, { createProvider, JsonTextProvider, OpenAICompatibleProvider } from '../src/index.js';
+
+const failing = () => { throw new Error('boom'); };
+
+/**
+ * Creates a fake `fetch` answering chat completion requests with the given assistant messages in order.
+ * @param {object[]} replies The assistant messages to return.
+ * @returns {Function} A jest mock implementing `fetch`.
+ */
+function createFetch(replies) {
+  let call = 0;
+  return jest.fn(async () => ({
+    ok: true,
+    json: async () => ({
+      choices: [{ message: replies[Math.min(call++, replies.length - 1)] }],
+      usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 }
+    })
+  }));
+}
+
+/**
+ * Creates a provider that answers with the given texts in order, without tool calls.
+ * @param {string[]} texts The reply texts.
+ * @returns {object} A provider whose `complete` is a jest mock.
+ */
+function createTextProvider(texts) {
+  let call = 0;
+  return {
+    name: 'text',
+    model: 'text-model',
+    complete: jest.fn(async () => ({ content: texts[Math.min(call++, texts.length - 1)], toolCalls: [], usage: { input: 1, output: 1, total: 2 } }))
+  };
+}
+
+describe('Correction providers', () => {
+  test('should correct blocks through an OpenAI-compatible endpoint', async () => {
+    const fetch = createFetch([
+      { content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'retrieve_stack', arguments: '{"block_id":"remote"}' } }] },
+      { content: null, tool_calls: [{ id: 'call_2', type: 'function', function: { name: 'propose_corrected_block', arguments: '{"block_id":"remote","corrected_code":"() => 7"}' } }] }
+    ]);
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1/', model: 'local-model', apiKey: 'secret', fetch });
+    const pause = new Pause({ provider });
+
+    expect(await pause.run('remote', 'Return seven', failing)).toBe(7);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    const [url, request] = fetch.mock.calls[1];
+    expect(url).toBe('http://localhost:8080/v1/chat/completions');
+    expect(request.headers.Authorization).toBe('Bearer secret');
+    const body = JSON.parse(request.body);
+    expect(body.model).toBe('local-model');
+    expect(body.tools.map(t => t.function.name)).toContain('propose_corrected_block');
+    expect(body.messages.map(m => m.role)).toEqual(['user', 'assistant', 'tool']);
+    expect(body.messages[2]).toMatchObject({ tool_call_id: 'call_1', content: expect.stringContaining('Error: boom') });
+    expect((await pause.history('remote'))[0]).toMatchObject({ code: '() => 7', model: 'local-model' });
+    expect(pause.stats().tokens).toEqual({ input: 200, output: 40, total: 240 });
+  });
+
+  test('should report endpoint errors', async () => {
+    const fetch = jest.fn(async () => ({ ok: false, status: 503, text: async () => 'overloaded' }));
+    const pause = new Pause({ provider: new OpenAICompatibleProvider({ model: 'local-model', fetch }) });
+    await expect(pause.run('remote-down', 'Return seven', failing)).rejects.toThrow('responded with 503: overloaded');
+  });
+
+  test('should read JSON tool calls from text replies and fall back to fenced code', async () => {
+    const inner = createTextProvider([
+      'Let me look first.\n```json\n{"tool": "test_candidate", "args": {"block_id": "text", "candidate_code": "() => \\"{ok}\\""}}\n```',
+      'Here is the fix:\n```javascript\n() => "fixed"\n```'
+    ]);
+    const pause = new Pause({ provider: new JsonTextProvider(inner) });
+
+    expect(await pause.run('text', 'Return a string', failing)).toBe('fixed');
+    const [firstRequest, secondRequest] = inner.complete.mock.calls.map(call => call[0]);
+    expect(firstRequest.tools).toEqual([]);
+    expect(firstRequest.messages[0].content).toContain('{"tool": "<tool name>", "args": { ... }}');
+    expect(firstRequest.messages[0].content).toContain('- propose_corrected_block:');
+    expect(secondRequest.messages.map(m => m.role)).toEqual(['user', 'assistant', 'user']);
+    expect(secondRequest.messages[2].content).toBe('Result of test_candidate:\nCandidate ran successfully. Result: "{ok}"');
+  });
+
+  test('should use JSON tool calls with LangChain models in json tool mode', async () => {
+    const llm = {
+      modelName: 'plain-chat',
+      bindTools: jest.fn(),
+      invoke: jest.fn(async () => ({ content: '{"tool": "propose_corrected_block", "args": {"block_id": "lc-text", "corrected_code": "() => 3"}}' }))
+    };
+    const pause = new Pause({ llm, toolMode: 'json' });
+
+    expect(await pause.run('lc-text', 'Return three', failing)).toBe(3);
+    expect(llm.bindTools).not.toHaveBeenCalled();
+    expect(llm.invoke.mock.calls[0][0][0].constructor.name).toBe('HumanMessage');
+  });
+
+  test('should create providers from options and the environment', () => {
+    const env = { PAUSE_PROVIDER: 'openai-compatible', PAUSE_BASE_URL: 'http://gpu-box:8000/v1', PAUSE_MODEL: 'qwen', PAUSE_TOOL_MODE: 'json' };
+    const fromEnv = createProvider(undefined, env);
+    expect(fromEnv).toBeInstanceOf(JsonTextProvider);
+    expect(fromEnv.provider).toMatchObject({ baseUrl: 'http://gpu-box:8000/v1', model: 'qwen' });
+
+    const fromOptions = createProvider({ type: 'openai-compatible', model: 'llama', toolMode: 'native' }, env);
+    expect(fromOptions).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(fromOptions.model).toBe('llama');
+
+    const custom = { name: 'custom', model: null, complete: async () => ({}) };
+    expect(createProvider(custom, env)).toBe(custom);
+    expect(createProvider(undefined, {})).toBeNull();
+    expect(() => createProvider('bedrock', {})).toThrow('Unknown correction provider: bedrock');
+    expect(() => createProvider({ type: 'openai-compatible', model: 'm', toolMode: 'xml' }, {})).toThrow('Unknown tool mode: xml');
+  });
+});
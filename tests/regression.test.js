@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import * as acorn from 'acorn';
+import Pause from '../src/index.js';
+import { createMockLlm } from './mockLlm.js';
+import { emptyBlock, seedVersions } from './storeFixture.js';
+
+describe('Regression corpus', () => {
+  const total = (items) => items.map(item => item.price).reduce((sum, price) => sum + price);
+
+  test('should record a bounded sample of successful calls', async () => {
+    const pause = new Pause({ regression: { maxSamples: 2 } });
+    let calls = 0;
+    const counter = (x) => x + calls++;
+
+    await seedVersions(pause.store, 'corpus-bounded', '(items) => items.map(item => item.price).reduce((sum, price) => sum + price)');
+    await pause.run('corpus-bounded', 'Add up prices', total, {}, [{ price: 1 }]);
+    await pause.run('corpus-bounded', 'Add up prices', total, {}, [{ price: 1 }]);
+    await pause.run('corpus-bounded', 'Add up prices', total, {}, [{ price: 2 }, { price: 3 }]);
+    await pause.run('corpus-bounded', 'Add up prices', total, {}, [{ price: 4 }]);
+    const block = await pause.store.getBlock('corpus-bounded');
+    expect(block.samples.map(({ args, result }) => ({ args, result }))).toEqual([
+      { args: [[{ price: 1 }]], result: 1 },
+      { args: [[{ price: 2 }, { price: 3 }]], result: 5 }
+    ]);
+
+    await pause.run('corpus-unstable', 'Count calls', counter, {}, 1);
+    await pause.run('corpus-unstable', 'Count calls', counter, {}, 1);
+    await pause.run('corpus-unstable', 'Count calls', () => new Date(0));
+    // The only sample of the source that ran last is unstable, so nothing is left to export
+    await expect(pause.exportRegressionTests('corpus-unstable', { importPath: '../src/count.js' })).rejects.toThrow('No regression samples recorded for block ID: corpus-unstable');
+  });
+
+  test('should keep the samples of blocks without a record in memory and store them once it exists', async () => {
+    const pause = new Pause();
+    const updateBlock = jest.spyOn(pause.store, 'updateBlock');
+    await pause.run('corpus-local', 'Add up prices', total, {}, [{ price: 2 }]);
+    await pause.run('corpus-local', 'Add up prices', total, {}, [{ price: 3 }]);
+    expect(updateBlock).not.toHaveBeenCalled();
+    expect(await pause.store.getBlock('corpus-local')).toBeNull();
+
+    const exported = await pause.exportRegressionTests('corpus-local', { importPath: '../src/prices.js' });
+    expect(exported.tests).toBe(2);
+
+    await pause.store.updateBlock('corpus-local', () => emptyBlock('corpus-local'));
+    await pause.run('corpus-local', 'Add up prices', total, {}, [{ price: 4 }]);
+    expect((await pause.store.getBlock('corpus-local')).samples.map(sample => sample.result)).toEqual([2, 3, 4]);
+  });
+
+  test('should reject proposals that change known-good results', async () => {
+    const llm = createMockLlm(['(items) => items.length === 0 ? 0 : items[0].price', '(items) => items.reduce((sum, item) => sum + item.price, 0)']);
+    const pause = new Pause({ llm });
+    const onRegression = jest.fn();
+    pause.on('correction:regression', onRegression);
+    await pause.run('corpus-total', 'Add up prices', total, {}, [{ price: 2 }, { price: 3 }]);
+
+    expect(await pause.run('corpus-total', 'Add up prices', total, {}, [])).toBe(0);
+    expect(llm.invoke.mock.calls[0][0][0].content).toContain('EARLIER CALLS: 1 earlier successful call(s) of the block are replayed against every proposal');
+    const toolMessage = llm.invoke.mock.lastCall[0].find(m => m.constructor.name === 'ToolMessage');
+    expect(toolMessage.content).toContain('Proposed code changes the results of earlier successful calls:\n- for the arguments [[{"price":2},{"price":3}]] the result was 5, got 2');
+    expect(onRegression).toHaveBeenCalledWith(expect.objectContaining({ id: 'corpus-total', turn: 1, kind: 'replacement' }));
+    expect((await pause.store.getBlock('corpus-total')).activeVersion).toBe(1);
+  });
+
+  test('should replay the corpus against input patches and skip it when disabled', async () => {
+    const llm = createMockLlm([{ patch: '(scope, args) => { args[0] = 1; }' }, { patch: '(scope, args) => { if (args[0] === 0) args[0] = 1; }' }]);
+    const pause = new Pause({ llm });
+    const invert = (x) => {
+      if (x === 0) throw new RangeError('x must not be 0');
+      return 1 / x;
+    };
+    await pause.run('corpus-patch', 'Invert a number', invert, {}, 4);
+
+    expect(await pause.run('corpus-patch', 'Invert a number', invert, {}, 0)).toBe(1);
+    expect(llm.invoke).toHaveBeenCalledTimes(2);
+    expect((await pause.store.getBlock('corpus-patch')).patches).toHaveLength(1);
+
+    const unchecked = new Pause({ llm: createMockLlm(['() => 0']), regression: false });
+    await unchecked.run('corpus-off', 'Add up prices', total, {}, [{ price: 2 }]);
+    expect(await unchecked.store.getBlock('corpus-off')).toBeNull();
+    expect(await unchecked.run({ id: 'corpus-off', description: 'Add up prices', fn: total, args: [[]] })).toBe(0);
+  });
+
+  test('should export the corpus as a Jest test file', async () => {
+    const pause = new Pause();
+    await seedVersions(pause.store, 'corpus-export', '(items) => items.reduce((sum, item) => sum + item.price, 0)');
+    await pause.run('corpus-export', 'Add up prices', total, {}, [{ price: 2 }, { price: 3 }]);
+    await pause.run('corpus-export', 'Add up prices', total, {}, []);
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pause-regression-'));
+
+    const exported = await pause.exportRegressionTests('corpus-export', { dir, write: true });
+    expect(exported).toMatchObject({ file: path.join(dir, 'corpus-export.regression.test.js'), tests: 2 });
+    expect(await fs.readFile(exported.file, 'utf8')).toBe(exported.output);
+    expect(exported.output).toContain('const block = (items) => items.reduce((sum, item) => sum + item.price, 0);');
+    expect(exported.output).toContain('expect(await block(...[[{"price":2},{"price":3}]])).toEqual(5);');
+    expect(() => acorn.parse(exported.output, { ecmaVersion: 'latest', sourceType: 'module' })).not.toThrow();
+
+    const imported = await pause.exportRegressionTests('corpus-export', { importPath: '../src/prices.js', exportName: 'total' });
+    expect(imported.output).toContain('import { total as block } from "../src/prices.js";');
+    await expect(pause.exportRegressionTests('corpus-none')).rejects.toThrow('No regression samples recorded for block ID: corpus-none');
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+import Pause, { RolloutPolicy } from '../src/index.js';
+import { createMockLlm } from './mockLlm.js';
+import { seedProposal } from './storeFixture.js';
+
+describe('Rollout', () => {
+  const double = (x) => {
+    if (x < 0) throw new RangeError('x must not be negative');
+    return x * 2;
+  };
+
+  const listen = (pause, events) => {
+    const seen = [];
+    for (const event of events) pause.on(event, (payload) => seen.push([event, payload]));
+    return seen;
+  };
+
+  test('should save corrections without activating them and promote them after shadow mode', async () => {
+    const llm = createMockLlm(['(x) => Math.abs(x) * 2']);
+    const pause = new Pause({ llm, rollout: { shadowCalls: 2, canaryCalls: 0 } });
+    const seen = listen(pause, ['rollout:started', 'rollout:mismatch', 'rollout:promoted']);
+
+    expect(await pause.run('rollout-shadow', 'Double a number', double, {}, -2)).toBe(4);
+    expect(await pause.store.getBlock('rollout-shadow')).toMatchObject({ activeVersion: null, rollout: { version: 1, previousVersion: null, stage: 'shadow' } });
+    expect(await pause.run('rollout-shadow', 'Double a number', double, {}, 3)).toBe(6);
+    expect(await pause.run('rollout-shadow', 'Double a number', double, {}, 4)).toBe(8);
+
+    expect(seen).toEqual([
+      ['rollout:started', { id: 'rollout-shadow', version: 1, stage: 'shadow' }],
+      ['rollout:promoted', { id: 'rollout-shadow', version: 1 }]
+    ]);
+    const [version] = await pause.history('rollout-shadow');
+    expect(version).toMatchObject({ version: 1, active: true, rollout: 'promoted' });
+  });
+
+  test('should return the current result in shadow mode and roll back on mismatches', async () => {
+    const pause = new Pause({ rollout: { shadowCalls: 5, maxMismatches: 1 } });
+    const seen = listen(pause, ['rollout:mismatch', 'rollout:rolled-back']);
+    const local = jest.fn(double);
+    await pause._saveVersion('rollout-mismatch', { code: '(x) => x >= 0 ? x * 3 : 0' });
+
+    expect(await pause.run('rollout-mismatch', 'Double a number', local, {}, 1)).toBe(2);
+    expect(await pause.run('rollout-mismatch', 'Double a number', local, {}, -1)).toBe(0);
+    expect(await pause.run('rollout-mismatch', 'Double a number', local, {}, 2)).toBe(4);
+
+    expect(seen).toEqual([
+      ['rollout:mismatch', { id: 'rollout-mismatch', version: 1, result: 2, shadowResult: 3 }],
+      ['rollout:mismatch', { id: 'rollout-mismatch', version: 1, result: 4, shadowResult: 6 }],
+      ['rollout:rolled-back', { id: 'rollout-mismatch', version: 1, reason: '2 result(s) differed from the current version in shadow mode' }]
+    ]);
+    expect(await pause.run('rollout-mismatch', 'Double a number', local, {}, 5)).toBe(10);
+    expect(local).toHaveBeenCalledTimes(4);
+    expect(await pause.store.getBlock('rollout-mismatch')).toMatchObject({ activeVersion: null, rollout: { stage: 'rolled-back', calls: 3, mismatches: 2 } });
+  });
+
+  test('should answer a share of the calls with the canary and roll back failing canaries', async () => {
+    const pause = new Pause({ rollout: { shadowCalls: 0, canaryPercent: 100, canaryCalls: 2, maxErrorRate: 0 } });
+    const seen = listen(pause, ['rollout:started', 'rollout:promoted', 'rollout:rolled-back']);
+    const local = jest.fn(double);
+    await pause._saveVersion('rollout-canary', { code: '(x) => x + x' });
+
+    expect(await pause.run('rollout-canary', 'Double a number', local, {}, 1)).toBe(2);
+    expect(await pause.run('rollout-canary', 'Double a number', local, {}, 2)).toBe(4);
+    expect(local).not.toHaveBeenCalled();
+
+    await pause._saveVersion('rollout-canary', { code: '(x) => { throw new Error("broken"); }' });
+    expect(await pause.run('rollout-canary', 'Double a number', local, {}, 3)).toBe(6);
+    expect(seen).toEqual([
+      ['rollout:started', { id: 'rollout-canary', version: 1, stage: 'canary' }],
+      ['rollout:promoted', { id: 'rollout-canary', version: 1 }],
+      ['rollout:started', { id: 'rollout-canary', version: 2, stage: 'canary' }],
+      ['rollout:rolled-back', { id: 'rollout-canary', version: 2, reason: 'failed 1 of 1 canary call(s)' }]
+    ]);
+    expect((await pause.store.getBlock('rollout-canary')).activeVersion).toBe(1);
+  });
+
+  test('should roll out approved proposals and end rollouts on rollback or pin', async () => {
+    const pause = new Pause({ rollout: true });
+    await seedProposal(pause.store, 'rollout-approval', { kind: 'replacement', code: '(x) => x * 2' });
+
+    await pause.approve('rollout-approval', 1);
+    expect((await pause.history('rollout-approval'))[0]).toMatchObject({ active: false, rollout: 'shadow' });
+    await pause.rollback('rollout-approval', 1);
+    expect(await pause.store.getBlock('rollout-approval')).toMatchObject({ activeVersion: 1, rollout: null });
+
+    expect(() => new RolloutPolicy({ canaryPercent: 150 })).toThrow('canaryPercent must be between 0 and 100, got 150.');
+    expect(new RolloutPolicy({ shadowCalls: 0, canaryCalls: 0 }).start(1, null)).toBeNull();
+  });
+});
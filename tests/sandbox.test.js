@@ -0,0 +1,76 @@
+import Pause, { Sandbox } from '../src/index.js';
+import { createMockLlm } from './mockLlm.js';
+import { seedVersions } from './storeFixture.js';
+
+describe('Sandbox', () => {
+  test('should run sync and async functions with structured-cloned arguments', async () => {
+    const sandbox = new Sandbox();
+    expect(await sandbox.run('(a, b) => a + b', [2, 3])).toBe(5);
+    expect(await sandbox.run('async ({ items }) => items.map(i => i * 2)', [{ items: [1, 2] }])).toEqual([2, 4]);
+    expect(Array.from(await sandbox.run('() => new Map([[1, "a"]])'))).toEqual([[1, 'a']]);
+    expect(await sandbox.run('(c) => a + b + c', [3], { a: 1, b: 2 })).toBe(6);
+  });
+
+  test('should not expose host globals unless allow-listed', async () => {
+    const sandbox = new Sandbox();
+    expect(await sandbox.run('() => [typeof process, typeof require, typeof setTimeout, typeof Math]')).toEqual(['undefined', 'undefined', 'undefined', 'object']);
+    await expect(sandbox.run('() => new Function("return 1")()')).rejects.toThrow(/Code generation from strings disallowed/);
+
+    const escape = '.constructor.constructor("return process")()';
+    await expect(sandbox.run(`(x) => x${escape}`, [{}])).rejects.toThrow(/Code generation from strings disallowed/);
+    await expect(sandbox.run(`(list) => list${escape}`, [[new Map()]])).rejects.toThrow(/Code generation from strings disallowed/);
+    await expect(sandbox.run(`() => config${escape}`, [], { config: { nested: [new Date(0)] } })).rejects.toThrow(/Code generation from strings disallowed/);
+    expect(await sandbox.run('() => typeof __pauseArgs')).toBe('undefined');
+
+    const withTimers = new Sandbox({ globals: ['setTimeout'] });
+    expect(await withTimers.run('() => new Promise(resolve => setTimeout(() => resolve("done"), 5))')).toBe('done');
+  });
+
+  test('should call injected capabilities in the host process', async () => {
+    const lookups = [];
+    const sandbox = new Sandbox({
+      capabilities: {
+        lookup: async (key) => { lookups.push(key); return { key, value: 42 }; },
+        fail: async () => { throw new Error('capability failed'); }
+      }
+    });
+    expect(await sandbox.run('async (key) => (await lookup(key)).value', ['answer'])).toBe(42);
+    expect(lookups).toEqual(['answer']);
+    await expect(sandbox.run('async () => fail()')).rejects.toThrow('capability failed');
+    const escape = '.constructor.constructor("return process")()';
+    for (const code of [`() => lookup${escape}`, `async () => (await lookup("x"))${escape}`, `async () => { try { await fail(); } catch (e) { return e${escape}; } }`]) {
+      await expect(sandbox.run(code)).rejects.toThrow(/Code generation from strings disallowed/);
+    }
+    expect(await sandbox.run('async () => { try { await fail(); } catch (e) { return [e instanceof Error, e.message]; } }')).toEqual([true, 'capability failed']);
+  });
+
+  test('should enforce time and memory limits', async () => {
+    const sandbox = new Sandbox({ timeoutMs: 200, memoryLimitMb: 16 });
+    await expect(sandbox.run('() => { while (true) {} }')).rejects.toMatchObject({ code: 'ERR_PAUSE_SANDBOX_TIMEOUT' });
+    await expect(sandbox.run('() => new Promise(() => {})')).rejects.toMatchObject({ code: 'ERR_PAUSE_SANDBOX_TIMEOUT' });
+    await expect(new Sandbox({ timeoutMs: 10000, memoryLimitMb: 16 }).run('() => { const a = []; while (true) a.push(new Array(100000).fill(1)); }'))
+      .rejects.toMatchObject({ code: 'ERR_PAUSE_SANDBOX_MEMORY' });
+  }, 20000);
+
+  test('should reject values that cannot be structured-cloned', async () => {
+    const sandbox = new Sandbox();
+    await expect(sandbox.run('(fn) => 1', [() => 1])).rejects.toMatchObject({ code: 'ERR_PAUSE_SANDBOX_CLONE' });
+    await expect(sandbox.run('() => () => 1')).rejects.toMatchObject({ code: 'ERR_PAUSE_SANDBOX_CLONE' });
+  });
+
+  test('should run DB code and correction candidates in the sandbox', async () => {
+    const llm = createMockLlm([
+      { tool: 'test_candidate', args: { candidate_code: '() => typeof process' } },
+      '(x) => x + 1'
+    ]);
+    const pause = new Pause({ llm, sandbox: { timeoutMs: 2000 } });
+    expect(pause.sandbox).toBeInstanceOf(Sandbox);
+
+    expect(await pause.run('sandboxed', 'Increment a number', () => { throw new Error('boom'); }, {}, 1)).toBe(2);
+    const toolResult = llm.invoke.mock.lastCall[0].find(m => m.constructor.name === 'ToolMessage').content;
+    expect(toolResult).toBe('Candidate ran successfully. Result: "undefined"');
+
+    await seedVersions(pause.store, 'sandboxed', '() => typeof process');
+    expect(await pause.run('sandboxed', 'Increment a number', () => 0, {}, 1)).toBe('undefined');
+  });
+});
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import Pause, { MemoryStore, FileStore } from '../src/index.js';
+import LegacyFunctionStore from '../src/storage/legacyStore.js';
+import { createMockLlm } from './mockLlm.js';
+import { emptyBlock, seedVersions } from './storeFixture.js';
+
+const execFileAsync = promisify(execFile);
+const FILE_STORE_MODULE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../src/storage/fileStore.js');
+
+const increment = (block) => ({ ...(block || { id: 'counter' }), count: ((block && block.count) || 0) + 1 });
+
+describe('MemoryStore', () => {
+  test('should store, list and delete block records', async () => {
+    const store = new MemoryStore();
+    expect(await store.getBlock('a')).toBeNull();
+
+    await store.updateBlock('a', increment);
+    const block = await store.getBlock('a');
+    expect(block.count).toBe(1);
+
+    // Returned records are copies
+    block.count = 99;
+    expect((await store.getBlock('a')).count).toBe(1);
+
+    expect(await store.listBlocks()).toEqual(['a']);
+    await store.deleteBlock('a');
+    expect(await store.getBlock('a')).toBeNull();
+  });
+
+  test('should be used by Pause when no storage option is given', async () => {
+    const pause = new Pause({ llm: createMockLlm(['() => "fixed"']) });
+    const failing = () => { throw new Error('boom'); };
+    expect(pause.store).toBeInstanceOf(MemoryStore);
+    expect(await pause.run('memory-default', 'Return a string', failing)).toBe('fixed');
+    expect(await pause.run('memory-default', 'Return a string', failing)).toBe('fixed');
+    expect(await pause.history('memory-default')).toHaveLength(1);
+  });
+});
+
+describe('LegacyFunctionStore', () => {
+  test('should queue updates so none is lost while the code is saved', async () => {
+    const saved = new Map();
+    const store = new LegacyFunctionStore(async (id) => saved.get(id) || null, async (id, code) => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      saved.set(id, code);
+    });
+    const appendSample = (n) => (block) => {
+      const next = block || emptyBlock('legacy');
+      next.samples.push(n);
+      return next;
+    };
+
+    await Promise.all([
+      store.updateBlock('legacy', appendSample(0)),
+      seedVersions(store, 'legacy', '() => 1'),
+      ...Array.from({ length: 9 }, (_, n) => store.updateBlock('legacy', appendSample(n + 1)))
+    ]);
+    const block = await store.getBlock('legacy');
+    expect(block.samples).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(block.versions).toHaveLength(1);
+    expect(saved.get('legacy')).toBe('() => 1');
+
+    // A failing save rejects its own update only
+    const failing = new LegacyFunctionStore(async () => null, async () => { throw new Error('db down'); });
+    const results = await Promise.allSettled([seedVersions(failing, 'legacy', '() => 1'), failing.updateBlock('legacy', appendSample(1))]);
+    expect(results.map(r => r.status)).toEqual(['rejected', 'fulfilled']);
+    expect((await failing.getBlock('legacy')).samples).toEqual([1]);
+  });
+});
+
+describe('FileStore', () => {
+  let directory;
+
+  beforeEach(() => { directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pause-file-store-')); });
+  afterEach(() => { fs.rmSync(directory, { recursive: true, force: true }); });
+
+  test('should keep one file per block and leave no temporary files behind', async () => {
+    const store = new FileStore({ directory });
+    await store.updateBlock('block/one', increment);
+    await store.updateBlock('block two', increment);
+    await store.updateBlock('block two', increment);
+
+    expect(fs.readdirSync(directory).sort()).toEqual(['block%20two.json', 'block%2Fone.json']);
+    expect((await store.getBlock('block two')).count).toBe(2);
+    expect((await store.listBlocks()).sort()).toEqual(['block two', 'block/one']);
+
+    await store.deleteBlock('block/one');
+    expect(await store.getBlock('block/one')).toBeNull();
+    expect(await store.listBlocks()).toEqual(['block two']);
+  });
+
+  test('should serialize concurrent updates from separate instances', async () => {
+    const stores = [new FileStore({ directory }), new FileStore({ directory })];
+    await Promise.all(Array.from({ length: 20 }, (_, i) => stores[i % 2].updateBlock('counter', increment)));
+    expect((await stores[0].getBlock('counter')).count).toBe(20);
+  });
+
+  test('should serialize concurrent updates from separate processes', async () => {
+    const script = `
+      import FileStore from ${JSON.stringify(FILE_STORE_MODULE)};
+      const store = new FileStore({ directory: ${JSON.stringify(directory)} });
+      for (let i = 0; i < 15; i++) {
+        await store.updateBlock('counter', (block) => ({ id: 'counter', count: ((block && block.count) || 0) + 1 }));
+      }
+    `;
+    const runChild = () => execFileAsync(process.execPath, ['--input-type=module', '-e', script]);
+    await Promise.all([runChild(), runChild(), runChild()]);
+    expect((await new FileStore({ directory }).getBlock('counter')).count).toBe(45);
+  }, 20000);
+
+  test('should remove stale lock files and time out on held locks', async () => {
+    const store = new FileStore({ directory, staleLockMs: 50, lockTimeoutMs: 200 });
+    const lockPath = path.join(directory, 'counter.json.lock');
+
+    fs.writeFileSync(lockPath, '12345');
+    const past = new Date(Date.now() - 1000);
+    fs.utimesSync(lockPath, past, past);
+    await store.updateBlock('counter', increment);
+    expect(fs.existsSync(lockPath)).toBe(false);
+
+    const strictStore = new FileStore({ directory, staleLockMs: 60000, lockTimeoutMs: 100 });
+    fs.writeFileSync(lockPath, '12345');
+    await expect(strictStore.updateBlock('counter', increment)).rejects.toThrow('Timed out waiting for lock file');
+  });
+
+  test('should hold a correction lock per block until it is released or abandoned', async () => {
+    const store = new FileStore({ directory });
+    const release = await store.lock('block');
+    let acquired = false;
+    const waiting = store.lock('block').then((releaseNext) => { acquired = true; return releaseNext; });
+    await store.updateBlock('block', increment);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(acquired).toBe(false);
+
+    await release();
+    await (await waiting)();
+    expect(fs.readdirSync(directory)).toEqual(['block.json']);
+
+    const impatient = new FileStore({ directory, correctionLockMs: 50, lockRetryMs: 10 });
+    await impatient.lock('block');
+    await (await impatient.lock('block'))();
+  });
+
+  test('should bound the wait for a correction lock and leave locks taken over by others alone', async () => {
+    const store = new FileStore({ directory, correctionLockMs: 60000, lockRetryMs: 10 });
+    await store.lock('block');
+    await expect(store.lock('block', { timeoutMs: 50 })).rejects.toThrow('Timed out waiting for lock file');
+    const controller = new AbortController();
+    const waiting = store.lock('block', { signal: controller.signal });
+    controller.abort(new Error('call aborted'));
+    await expect(waiting).rejects.toThrow('call aborted');
+
+    const impatient = new FileStore({ directory, correctionLockMs: 50, lockRetryMs: 10 });
+    const releaseStale = await impatient.lock('other');
+    await new Promise(resolve => setTimeout(resolve, 80));
+    const releaseNext = await impatient.lock('other');
+    await releaseStale();
+    expect(fs.readdirSync(directory)).toContain('other.json.correction.lock');
+    await releaseNext();
+    expect(fs.readdirSync(directory)).not.toContain('other.json.correction.lock');
+  });
+
+  test('should plug into Pause as a versioned store', async () => {
+    const pause = new Pause({ store: new FileStore({ directory }), llm: createMockLlm(['() => 42']) });
+    const failing = () => { throw new Error('boom'); };
+    expect(await pause.run('file-backed', 'Return 42', failing)).toBe(42);
+
+    const reopened = new Pause({ store: new FileStore({ directory }) });
+    expect(await reopened.run('file-backed', 'Return 42', failing)).toBe(42);
+    expect((await reopened.history('file-backed'))[0]).toMatchObject({ version: 1, code: '() => 42', active: true });
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Returns an empty block record, as the storage adapters store it.
+ * @param {string} id The block ID.
+ * @returns {Object} The block record.
+ */
+function emptyBlock(id) {
+  return { id, activeVersion: null, pinnedVersion: null, versions: [], patches: [], proposals: [], goodVersions: [], samples: [], rollout: null };
+}
+
+/**
+ * Stores new versions of a block through the public store API, as another process or an external tool would.
+ * Each version becomes the active one unless the block is pinned.
+ * @param {Object} store The storage adapter (e.g. `pause.store` or a `MemoryStore`).
+ * @param {string} id The block ID.
+ * @param {...(string|Object)} versions The code of each new version in order, or an object with its `code` and further fields.
+ * @returns {Promise<Object>} The updated block record.
+ */
+async function seedVersions(store, id, ...versions) {
+  return store.updateBlock(id, (current) => {
+    const block = current || emptyBlock(id);
+    for (const entry of versions) {
+      const fields = typeof entry === 'string' ? { code: entry } : entry;
+      const version = block.versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+      block.versions.push({
+        version, createdAt: new Date().toISOString(), source: 'external',
+        error: null, errorClass: null, model: null, attempt: null, originalCode: null, sourceHash: null, ...fields
+      });
+      if (block.pinnedVersion == null) block.activeVersion = version;
+    }
+    return block;
+  });
+}
+
+/**
+ * Stores a pending proposal for a block through the public store API.
+ * @param {Object} store The storage adapter.
+ * @param {string} id The block ID.
+ * @param {{kind: string, code: string}} proposal The kind ('replacement' or 'patch') and code of the proposal.
+ * @returns {Promise<Object>} The updated block record.
+ */
+async function seedProposal(store, id, { kind, code }) {
+  return store.updateBlock(id, (current) => {
+    const block = current || emptyBlock(id);
+    const proposalId = block.proposals.reduce((max, p) => Math.max(max, p.proposalId), 0) + 1;
+    block.proposals.push({
+      proposalId, kind, status: 'pending', code, createdAt: new Date().toISOString(), decidedAt: null, reason: null, version: null,
+      source: 'local', error: null, errorClass: null, model: null, attempt: null, originalCode: null, sourceHash: null
+    });
+    return block;
+  });
+}
+
+export { emptyBlock, seedVersions, seedProposal };
@@ -0,0 +1,61 @@
+import { jest } from '@jest/globals';
+import Pause from '../src/index.js';
+import { createMockLlm } from './mockLlm.js';
+
+describe('Timeouts', () => {
+  const hanging = () => new Promise(() => {});
+
+  test('should treat a hanging block as an error and describe the time limit to the model', async () => {
+    const llm = createMockLlm(['async () => "fast"']);
+    const pause = new Pause({ llm, timeoutMs: 50 });
+    const onError = jest.fn();
+    pause.on('execution:error', onError);
+
+    expect(await pause.run('timeout-hang', 'Return a string', hanging)).toBe('fast');
+    expect(onError.mock.calls[0][0].error).toMatchObject({ code: 'ERR_PAUSE_TIMEOUT', message: expect.stringContaining('did not finish within 50ms') });
+    expect(llm.invoke.mock.calls[0][0][0].content).toContain('TIME LIMIT: Every run of the block must finish within 50ms, and the original code did not.');
+  });
+
+  test('should reject proposals that hang and accept per-call time limits', async () => {
+    const llm = createMockLlm(['() => new Promise(() => {})', '() => "done"']);
+    const pause = new Pause({ llm });
+
+    expect(await pause.run({ id: 'timeout-proposal', description: 'Return a string', fn: hanging, timeoutMs: 30 })).toBe('done');
+    const toolMessage = llm.invoke.mock.lastCall[0].find(m => m.constructor.name === 'ToolMessage');
+    expect(toolMessage.content).toContain('Proposed code failed when run against the failing arguments: [Pause] Block timeout-proposal did not finish within 30ms');
+
+    const uncorrected = new Pause({ fallback: false });
+    await expect(uncorrected.run({ id: 'timeout-none', description: 'Return a string', fn: hanging, timeoutMs: 10 })).rejects.toMatchObject({ code: 'ERR_PAUSE_TIMEOUT' });
+    await expect(uncorrected.run({ id: 'timeout-typo', fn: hanging, timeout: 10 })).rejects.toThrow('Unknown run option: timeout');
+  });
+});
+
+describe('Cancellation', () => {
+  const failing = () => { throw new Error('boom'); };
+
+  test('should pass the signal to the provider and stop the correction when it is aborted', async () => {
+    let started;
+    const providerCalled = new Promise(resolve => { started = resolve; });
+    const provider = { name: 'slow', model: null, complete: jest.fn(() => { started(); return new Promise(() => {}); }) };
+    const pause = new Pause({ provider, fallback: { value: 'fallback' } });
+    const onAborted = jest.fn();
+    pause.on('correction:aborted', onAborted);
+    const controller = new AbortController();
+
+    const result = pause.run({ id: 'abort-correction', description: 'Return a string', fn: failing, signal: controller.signal });
+    await providerCalled;
+    controller.abort(new Error('shutting down'));
+
+    await expect(result).rejects.toThrow('shutting down');
+    expect(provider.complete.mock.calls[0][0].signal).toBe(controller.signal);
+    expect(onAborted).toHaveBeenCalledWith({ id: 'abort-correction', turns: 1, tokensUsed: 0, reason: controller.signal.reason });
+  });
+
+  test('should not start blocks once the instance signal is aborted', async () => {
+    const fn = jest.fn(() => 1);
+    const pause = new Pause({ signal: AbortSignal.abort(new Error('closed')) });
+
+    await expect(pause.run('abort-instance', 'Return one', fn)).rejects.toThrow('closed');
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
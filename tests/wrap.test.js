@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import Pause from '../src/index.js';
+import { createMockLlm } from './mockLlm.js';
+
+describe('Wrapped functions', () => {
+  test('should keep the signature, name and this of the wrapped function', async () => {
+    const llm = createMockLlm(['function (amount, quantity) { return this.rate * (amount ? amount.value : 0) * quantity; }']);
+    const pause = new Pause({ llm });
+    const pricing = {
+      rate: 2,
+      total: pause.wrap('wrap-total', 'Multiply the amount by the rate and quantity', function total(amount, quantity) {
+        return this.rate * amount.value * quantity;
+      })
+    };
+
+    expect(pricing.total.name).toBe('total');
+    expect(pricing.total.length).toBe(2);
+    expect(await pricing.total({ value: 3 }, 2)).toBe(12);
+    expect(await pricing.total(null, 2)).toBe(0);
+    expect(llm.invoke.mock.calls[0][0][0].content).toContain('RECEIVER (`this` of the call');
+
+    // The stored version is called with the receiver too
+    pricing.rate = 5;
+    expect(await pricing.total({ value: 1 }, 1)).toBe(5);
+  });
+
+  test('should let per-wrap options override the instance settings', async () => {
+    const llm = createMockLlm(['() => { throw new Error("still broken"); }']);
+    const pause = new Pause({ llm, maxTurns: 5, fallback: false });
+    const failing = (x) => { throw new Error(`cannot handle ${x}`); };
+    const wrapped = pause.wrap('wrap-overrides', 'Handle a value', failing, { maxTurns: 1, fallback: { value: 'fallback' } });
+
+    expect(await wrapped(1)).toBe('fallback');
+    expect(llm.invoke).toHaveBeenCalledTimes(1);
+    await expect(pause.run('wrap-instance', 'Handle a value', failing, {}, 1)).rejects.toThrow('Max AI retries reached');
+    expect(llm.invoke).toHaveBeenCalledTimes(6);
+
+    expect(() => pause.wrap('wrap-typo', 'Handle a value', failing, { maxTurn: 1 })).toThrow('Unknown wrap option: maxTurn');
+    expect(() => pause.wrap('wrap-code', 'Handle a value', '() => 1')).toThrow('wrap() expects a function');
+  });
+});
+
+describe('Instrumentation', () => {
+  class Cart {
+    constructor(items) {
+      this.items = items;
+    }
+
+    count() {
+      return this.items.length;
+    }
+
+    firstPrice() {
+      return this.items[0].price;
+    }
+  }
+
+  test('should wrap the methods of a class instance in place', async () => {
+    const llm = createMockLlm(['function () { return this.items.length ? this.items[0].price : null; }']);
+    const pause = new Pause({ llm });
+    const onStart = jest.fn();
+    pause.on('execution:start', onStart);
+    const cart = new Cart([]);
+
+    expect(pause.instrument(cart)).toBe(cart);
+    expect(await cart.count()).toBe(0);
+    expect(await cart.firstPrice()).toBeNull();
+    cart.items.push({ price: 3 });
+    expect(await cart.firstPrice()).toBe(3);
+    expect(onStart.mock.calls.map(([event]) => event.id)).toEqual(['Cart.count', 'Cart.firstPrice', 'Cart.firstPrice']);
+    expect(Object.keys(cart)).toEqual(['items', 'count', 'firstPrice']);
+  });
+
+  test('should copy modules and use the given prefix and descriptions', async () => {
+    const pause = new Pause();
+    const onStart = jest.fn();
+    pause.on('execution:start', onStart);
+    const module = Object.freeze({ VERSION: 1, double: (x) => x * 2, Cart });
+
+    const instrumented = pause.instrument(module, { prefix: 'math', descriptions: { double: 'Double a number' } });
+    expect(instrumented).not.toBe(module);
+    expect(instrumented.Cart).toBe(Cart);
+    expect(instrumented.VERSION).toBe(1);
+    expect(await instrumented.double(4)).toBe(8);
+    expect(onStart).toHaveBeenCalledWith(expect.objectContaining({ id: 'math.double', description: 'Double a number' }));
+    expect(() => pause.instrument({ double: (x) => x * 2 })).toThrow('instrument() needs a prefix');
+  });
+});